@@ -35,6 +35,18 @@ const cjsConfig = {
   target: 'node16',
 };
 
+/**
+ * @type {import('esbuild').BuildOptions}
+ */
+const cliConfig = {
+  ...cjsConfig,
+  entryPoints: ['./src/cli.ts'],
+  outfile: './out/cjs/cli.cjs',
+  banner: {
+    js: '#!/usr/bin/env node',
+  },
+};
+
 /**
  * @type {import('esbuild').BuildOptions}
  */
@@ -75,6 +87,12 @@ async function main() {
         sourcemap: true,
       });
 
+      // CLI
+      const cliContext = await context({
+        ...cliConfig,
+        sourcemap: true,
+      });
+
       // ESM
       const esmContext = await context({
         ...esmConfig,
@@ -89,6 +107,7 @@ async function main() {
 
       await Promise.all([
         cjsContext.watch(),
+        cliContext.watch(),
         esmContext.watch(),
         webviewContext.watch(),
       ]);
@@ -96,6 +115,9 @@ async function main() {
       // CommonJS
       await build(cjsConfig);
 
+      // CLI
+      await build(cliConfig);
+
       // ESM
       await build(esmConfig);
 
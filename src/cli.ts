@@ -0,0 +1,410 @@
+import * as fs from 'fs';
+import ignore from 'ignore';
+import * as path from 'path';
+import { parseArgs } from 'util';
+import { Notebook } from './notebook';
+import { matter } from './notebook/markdown';
+import slash from './notebook/slash';
+import { NotebookConfig, PreviewTheme } from './notebook/types';
+
+export const ExportFormats = [
+  'html',
+  'pdf',
+  'png',
+  'jpeg',
+  'prince',
+  'epub',
+  'mobi',
+  'pandoc',
+  'markdown',
+] as const;
+
+export type ExportFormat = (typeof ExportFormats)[number];
+
+export interface CLIOptions {
+  /**
+   * Absolute path to the notebook directory
+   */
+  notebookPath: string;
+  /**
+   * The files, directories or gitignore-style patterns like `docs/**\/*.md` to export.
+   * The patterns are matched against the paths of the notes relative to the notebook directory.
+   */
+  inputs: string[];
+  format: ExportFormat;
+  /**
+   * The directory where the exported files are moved to, keeping the directory structure of the notebook.
+   * The exported files are put next to the notes if not set.
+   * The relative links in the exported HTML files are rewritten to point to the same files from there.
+   */
+  outDir?: string;
+  /**
+   * The preview theme like `github-dark.css`
+   */
+  theme?: PreviewTheme;
+  runAllCodeChunks: boolean;
+  offline: boolean;
+}
+
+export interface CLIExportResult {
+  /**
+   * The paths of the exported files
+   */
+  outputs: string[];
+  /**
+   * The notes that failed to export, or that were exported with render errors
+   * like failed imports or code chunks
+   */
+  errors: { filePath: string; error: Error }[];
+}
+
+const Usage = `Usage: crossnote [options] <file | directory | pattern>...
+
+Export the notes of a notebook.
+
+Options:
+  -n, --notebook <dir>       The notebook directory (default: current directory)
+  -f, --format <format>      ${ExportFormats.join(', ')} (default: html)
+  -o, --out-dir <dir>        The directory of the exported files (default: next to the notes).
+                             Not supported by the pandoc format
+  -t, --theme <theme>        The preview theme, for example, github-dark
+      --run-all-code-chunks  Run all code chunks before exporting
+      --offline              Embed the styles and scripts into the HTML file
+  -h, --help                 Show this help
+
+The command exits with code 1 if any note fails to export or has render errors,
+like a failed import or code chunk.`;
+
+/**
+ * Parse the command line arguments of `crossnote`.
+ * Throws an error if the arguments are invalid,
+ * or if Node.js is older than 18.3.0, which added `util.parseArgs`.
+ * @param args The arguments without `node` and the script path
+ * @param cwd The directory that the relative paths are resolved from
+ * @returns The options, or `null` if the help is requested
+ */
+export function parseCLIArgs(
+  args: string[],
+  cwd: string = process.cwd(),
+): CLIOptions | null {
+  if (typeof parseArgs !== 'function') {
+    throw new Error('The crossnote command requires Node.js 18.3.0 or later');
+  }
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      'notebook': { type: 'string', short: 'n' },
+      'format': { type: 'string', short: 'f', default: 'html' },
+      'out-dir': { type: 'string', short: 'o' },
+      'theme': { type: 'string', short: 't' },
+      'run-all-code-chunks': { type: 'boolean', default: false },
+      'offline': { type: 'boolean', default: false },
+      'help': { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    return null;
+  }
+
+  const format = values.format as ExportFormat;
+  if (!ExportFormats.includes(format)) {
+    throw new Error(
+      `Unknown format "${format}". Supported formats: ${ExportFormats.join(
+        ', ',
+      )}`,
+    );
+  }
+  if (!positionals.length) {
+    throw new Error('No file to export');
+  }
+  if (format === 'pandoc' && values['out-dir']) {
+    throw new Error(
+      '--out-dir cannot be used with the pandoc format, whose output path is set by the front matter',
+    );
+  }
+  const theme = values.theme;
+  return {
+    notebookPath: path.resolve(cwd, values.notebook ?? '.'),
+    inputs: positionals,
+    format,
+    outDir: values['out-dir']
+      ? path.resolve(cwd, values['out-dir'])
+      : undefined,
+    theme: theme
+      ? ((theme.endsWith('.css') ? theme : theme + '.css') as PreviewTheme)
+      : undefined,
+    runAllCodeChunks: !!values['run-all-code-chunks'],
+    offline: !!values.offline,
+  };
+}
+
+/**
+ * Get the paths of the notes to export, relative to the notebook directory.
+ * @param notebook The notebook whose notes are loaded
+ * @param inputs The files, directories or patterns
+ * @param cwd The directory that the relative paths are resolved from
+ */
+async function resolveInputs(
+  notebook: Notebook,
+  inputs: string[],
+  cwd: string,
+): Promise<string[]> {
+  const filePaths = new Set<string>();
+  for (const input of inputs) {
+    if (input.match(/[*?[]/)) {
+      const matcher = ignore().add(input);
+      const matches = Object.keys(notebook.notes).filter((filePath) =>
+        matcher.ignores(slash(filePath)),
+      );
+      if (!matches.length) {
+        throw new Error(`No note matches "${input}"`);
+      }
+      matches.forEach((filePath) => filePaths.add(filePath));
+      continue;
+    }
+
+    const absolutePath = path.resolve(cwd, input);
+    if (!(await notebook.fs.exists(absolutePath))) {
+      throw new Error(`"${input}" does not exist`);
+    }
+    if ((await notebook.fs.stat(absolutePath)).isDirectory()) {
+      const directoryPath = notebook.resolveNoteRelativePath(absolutePath);
+      Object.keys(notebook.notes)
+        .filter((filePath) => {
+          const relativePath = path.relative(directoryPath, filePath);
+          return (
+            !relativePath.startsWith('..') && !path.isAbsolute(relativePath)
+          );
+        })
+        .forEach((filePath) => filePaths.add(filePath));
+    } else {
+      filePaths.add(notebook.resolveNoteRelativePath(absolutePath));
+    }
+  }
+  return Array.from(filePaths).sort();
+}
+
+async function exportNote(
+  notebook: Notebook,
+  filePath: string,
+  options: CLIOptions,
+): Promise<string> {
+  const engine = notebook.getNoteMarkdownEngine(filePath);
+  const { format, runAllCodeChunks, offline } = options;
+  switch (format) {
+    case 'html':
+      return await engine.htmlExport({ offline, runAllCodeChunks });
+    case 'pdf':
+    case 'png':
+    case 'jpeg':
+      return await engine.chromeExport({ fileType: format, runAllCodeChunks });
+    case 'prince':
+      return await engine.princeExport({ runAllCodeChunks });
+    case 'epub':
+    case 'mobi':
+      return await engine.eBookExport({ fileType: format, runAllCodeChunks });
+    case 'pandoc':
+      return await engine.pandocExport({ runAllCodeChunks });
+    case 'markdown':
+      return await engine.markdownExport({ runAllCodeChunks });
+  }
+}
+
+/**
+ * Get the path of the file that the note is exported to,
+ * or `null` if the path is set by the front matter of the note.
+ */
+async function getExportPath(
+  notebook: Notebook,
+  filePath: string,
+  format: ExportFormat,
+): Promise<string | null> {
+  const absolutePath = notebook.resolveNoteAbsolutePath(filePath);
+  const extname = path.extname(absolutePath);
+  const withExtname = (newExtname: string) =>
+    absolutePath.slice(0, absolutePath.length - extname.length) + newExtname;
+  switch (format) {
+    case 'html':
+      return withExtname('.html');
+    case 'pdf':
+    case 'png':
+    case 'jpeg':
+    case 'epub':
+    case 'mobi':
+      return withExtname('.' + format);
+    case 'prince':
+      return withExtname('.pdf');
+    case 'pandoc':
+      return null;
+    case 'markdown': {
+      const { data } = matter(await notebook.fs.readFile(absolutePath));
+      if (data['markdown']?.['path']) {
+        return null;
+      }
+      return absolutePath.match(/\.src\./)
+        ? absolutePath.replace(/\.src\./, '.')
+        : withExtname('_' + extname);
+    }
+  }
+}
+
+/**
+ * Rewrite the relative `src` and `href` attributes of the HTML,
+ * so that they point to the same files after the HTML is moved from `fromDir` to `toDir`.
+ */
+function rewriteRelativeLinks(
+  html: string,
+  fromDir: string,
+  toDir: string,
+): string {
+  return html.replace(
+    /(\s(?:src|href)=")([^"#?]+)([^"]*)"/g,
+    (whole, attribute: string, link: string, suffix: string) => {
+      if (link.startsWith('/') || link.match(/^[a-z][a-z\d+.-]*:/i)) {
+        return whole;
+      }
+      const newLink = slash(path.relative(toDir, path.resolve(fromDir, link)));
+      return `${attribute}${newLink}${suffix}"`;
+    },
+  );
+}
+
+/**
+ * Move the exported file to `outDir`, keeping the path of the note relative to the notebook directory.
+ * The notes in the other roots of the notebook are put in the directories named after the roots.
+ */
+async function moveToOutDir(
+  notebook: Notebook,
+  filePath: string,
+  dest: string,
+  outDir: string,
+): Promise<string> {
+  const { root, path: rootPath } = notebook.parseRootPath(filePath);
+  const newDest = path.join(
+    outDir,
+    root,
+    path.dirname(rootPath),
+    path.basename(dest),
+  );
+  if (path.resolve(newDest) !== path.resolve(dest)) {
+    await fs.promises.mkdir(path.dirname(newDest), { recursive: true });
+    if (path.extname(dest) === '.html') {
+      const html = await fs.promises.readFile(dest, 'utf-8');
+      await fs.promises.writeFile(
+        newDest,
+        rewriteRelativeLinks(html, path.dirname(dest), path.dirname(newDest)),
+      );
+    } else {
+      await fs.promises.copyFile(dest, newDest);
+    }
+    await fs.promises.unlink(dest);
+  }
+  return newDest;
+}
+
+/**
+ * Export the notes of the notebook.
+ * The errors of each note are collected instead of being thrown, so the other notes are still exported.
+ * @param options
+ * @param cwd The directory that the relative input paths are resolved from
+ */
+export async function exportNotes(
+  options: CLIOptions,
+  cwd: string = process.cwd(),
+): Promise<CLIExportResult> {
+  const config: Partial<NotebookConfig> = {};
+  if (options.theme) {
+    config.previewTheme = options.theme;
+  }
+  if (options.runAllCodeChunks) {
+    config.enableScriptExecution = true;
+  }
+  const notebook = await Notebook.init({
+    notebookPath: options.notebookPath,
+    config,
+  });
+  await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+
+  const result: CLIExportResult = { outputs: [], errors: [] };
+  for (const filePath of await resolveInputs(notebook, options.inputs, cwd)) {
+    try {
+      if (options.outDir) {
+        // The file is exported next to the note before it is moved,
+        // so an existing file there would be overwritten and then deleted.
+        const exportPath = await getExportPath(
+          notebook,
+          filePath,
+          options.format,
+        );
+        if (!exportPath) {
+          throw new Error(
+            'The output path is set by the front matter, which cannot be used with --out-dir',
+          );
+        }
+        if (await notebook.fs.exists(exportPath)) {
+          throw new Error(
+            `"${exportPath}" already exists and would be overwritten before being moved to --out-dir`,
+          );
+        }
+      }
+      let dest = await exportNote(notebook, filePath, options);
+      if (options.outDir) {
+        dest = await moveToOutDir(notebook, filePath, dest, options.outDir);
+      }
+      result.outputs.push(dest);
+      const renderErrors = notebook
+        .getNoteMarkdownEngine(filePath)
+        .getRenderErrors();
+      if (renderErrors.length) {
+        throw new Error(renderErrors.join('\n'));
+      }
+    } catch (error) {
+      result.errors.push({
+        filePath,
+        error: error instanceof Error ? error : new Error(String(error)),
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Run the `crossnote` command.
+ * @param args The arguments without `node` and the script path
+ * @returns The exit code
+ */
+export async function runCLI(
+  args: string[],
+  cwd: string = process.cwd(),
+): Promise<number> {
+  let options: CLIOptions | null;
+  try {
+    options = parseCLIArgs(args, cwd);
+  } catch (error) {
+    console.error(`crossnote: ${error.message}\n\n${Usage}`);
+    return 2;
+  }
+  if (!options) {
+    console.log(Usage);
+    return 0;
+  }
+
+  try {
+    const { outputs, errors } = await exportNotes(options, cwd);
+    outputs.forEach((output) => console.log(output));
+    errors.forEach(({ filePath, error }) =>
+      console.error(
+        `crossnote: Failed to export ${filePath}: ${error.message}`,
+      ),
+    );
+    return errors.length ? 1 : 0;
+  } catch (error) {
+    console.error(`crossnote: ${error.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  runCLI(process.argv.slice(2)).then((code) => process.exit(code));
+}
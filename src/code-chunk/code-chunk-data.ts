@@ -22,6 +22,10 @@ export interface CodeChunkData {
    * result after formatting according to options['output'] format
    */
   result: string;
+  /**
+   * error message if the code chunk failed to run
+   */
+  error?: string;
   /**
    * whether is running the code chunk or not
    */
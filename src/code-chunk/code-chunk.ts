@@ -1,15 +1,15 @@
 import { spawn } from 'child_process';
-import * as fs from 'fs/promises';
-import { unlink } from 'fs/promises';
 import * as path from 'path';
 import * as vm from 'vm';
 import { BlockAttributes } from '../lib/block-attributes';
+import { FileSystemApi } from '../notebook/types';
 import * as LaTeX from '../tools/latex';
 
 export async function compileLaTeX(
   content: string,
   fileDirectoryPath: string,
   normalizedAttributes: BlockAttributes,
+  fs: FileSystemApi,
 ): Promise<string> {
   const latexEngine = normalizedAttributes['latex_engine'] || 'pdflatex';
   const latexSVGDir = normalizedAttributes['latex_svg_dir']; // if not provided, the svg files will be stored in temp folder and will be deleted automatically
@@ -33,10 +33,10 @@ export async function compileLaTeX(
       svgWidth: latexWidth,
       svgHeight: latexHeight,
     });
-    await unlink(texFilePath);
+    await fs.unlink(texFilePath);
     return svgMarkdown;
   } catch (e) {
-    await unlink(texFilePath);
+    await fs.unlink(texFilePath);
     throw e;
   }
 }
@@ -60,7 +60,9 @@ export async function run(
   fileDirectoryPath: string,
   cmd: string,
   normalizedAttributes: BlockAttributes,
+  fs: FileSystemApi,
   latexEngine: string = 'pdflatex',
+  onError?: (error: string) => void,
 ): Promise<string> {
   let args = normalizedAttributes['args'] || [];
   if (typeof args === 'string') {
@@ -79,7 +81,7 @@ export async function run(
       ...normalizedAttributes,
       latex_engine: normalizedAttributes['latex_engine'] || latexEngine,
     };
-    return compileLaTeX(content, fileDirectoryPath, patchedAttributes);
+    return compileLaTeX(content, fileDirectoryPath, patchedAttributes, fs);
   }
 
   if (cmd === 'node.vm') {
@@ -148,13 +150,20 @@ except Exception:
       chunks.push(chunk);
     });
 
+    let spawnError: Error | null = null;
     task.on('error', (error) => {
+      spawnError = error;
       chunks.push(Buffer.from(error.toString(), 'utf-8'));
     });
 
-    task.on('close', async () => {
-      await unlink(savePath);
+    task.on('close', async (code) => {
+      await fs.unlink(savePath);
       const data = Buffer.concat(chunks).toString();
+      if (spawnError) {
+        onError?.(spawnError.toString());
+      } else if (code) {
+        onError?.(`${cmd} exited with code ${code}`);
+      }
       resolve(data);
     });
   });
@@ -182,6 +182,7 @@ export async function markdownConvert(
     codeChunksData,
     graphsCache,
     notebook,
+    importErrors,
   }: {
     projectDirectoryPath: string;
     fileDirectoryPath: string;
@@ -190,6 +191,7 @@ export async function markdownConvert(
     codeChunksData: { [key: string]: CodeChunkData };
     graphsCache: { [key: string]: string };
     notebook: Notebook;
+    importErrors?: string[];
   },
   config: object,
 ): Promise<string> {
@@ -243,6 +245,7 @@ export async function markdownConvert(
     protocolsWhiteListRegExp,
     imageDirectoryPath,
     notebook,
+    importErrors,
   });
 
   text = data.outputString;
@@ -281,6 +281,7 @@ export async function pandocConvert(
     codeChunksData,
     graphsCache,
     notebook,
+    importErrors,
   }: {
     fileDirectoryPath: string;
     projectDirectoryPath: string;
@@ -290,6 +291,7 @@ export async function pandocConvert(
     codeChunksData: { [key: string]: CodeChunkData };
     graphsCache: { [key: string]: string };
     notebook: Notebook;
+    importErrors?: string[];
   },
   config = {},
 ): Promise<string> {
@@ -392,6 +394,7 @@ export async function pandocConvert(
     forPreview: false,
     usePandocParser: true,
     notebook,
+    importErrors,
   });
   text = data.outputString;
 
@@ -406,6 +406,7 @@ export async function processGraphs(
             Object.assign({}, attributes, {
               latex_svg_dir: imageDirectoryPath,
             }),
+            notebook.fs,
           );
         } else if (
           currentCodeChunk.normalizedInfo.attributes['output'] === 'markdown'
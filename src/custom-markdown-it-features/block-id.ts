@@ -0,0 +1,95 @@
+/**
+ * Block id at the end of a paragraph or a list item
+ * This is a paragraph ^block-id
+ */
+
+import MarkdownIt from 'markdown-it';
+
+/**
+ * Match the block id like ` ^block-id` at the end of a line
+ */
+export const BlockIdRegExp = /(?:^|\s)\^([A-Za-z0-9-]+)\s*$/;
+
+/**
+ * Extract the paragraph or the list item that ends with the block id.
+ * @param markdown
+ * @param blockId The block id without `^`
+ * @returns `null` if the block is not found
+ */
+export function extractMarkdownBlock(
+  markdown: string,
+  blockId: string,
+): string | null {
+  const lines = markdown.split('\n');
+  const index = lines.findIndex((line) => {
+    const match = line.match(BlockIdRegExp);
+    return match && match[1] === blockId;
+  });
+  if (index < 0) {
+    return null;
+  }
+
+  // List item with its nested lines
+  const listItemMatch = lines[index].match(/^(\s*)([-*+]|\d+[.)])\s/);
+  if (listItemMatch) {
+    const indent = listItemMatch[1].length;
+    let end = index + 1;
+    while (
+      end < lines.length &&
+      lines[end].trim() &&
+      (lines[end].match(/^\s*/)?.[0].length ?? 0) > indent
+    ) {
+      end++;
+    }
+    return lines
+      .slice(index, end)
+      .map((line) => line.slice(indent))
+      .join('\n');
+  }
+
+  // The block id on its own line refers to the block before it
+  let end = index + 1;
+  if (lines[index].trim() === `^${blockId}`) {
+    end = index;
+    while (end > 0 && !lines[end - 1].trim()) {
+      end--;
+    }
+  }
+  let start = end - 1;
+  while (start > 0 && lines[start - 1].trim()) {
+    start--;
+  }
+  return lines.slice(Math.max(start, 0), end).join('\n');
+}
+
+export default (md: MarkdownIt) => {
+  // Remove the block id from the text and set it as the id of the block
+  md.core.ruler.push('block_id', (state) => {
+    const tokens = state.tokens;
+    for (let i = 1; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type !== 'inline' || !token.children?.length) {
+        continue;
+      }
+      const lastChild = token.children[token.children.length - 1];
+      if (lastChild.type !== 'text') {
+        continue;
+      }
+      const match = lastChild.content.match(BlockIdRegExp);
+      if (!match) {
+        continue;
+      }
+
+      // The paragraph in a tight list is not rendered, so use the list item instead
+      let blockToken = tokens[i - 1];
+      if (blockToken.hidden && tokens[i - 2]?.type === 'list_item_open') {
+        blockToken = tokens[i - 2];
+      }
+      if (blockToken.hidden || blockToken.attrGet('id')) {
+        continue;
+      }
+      lastChild.content = lastChild.content.replace(match[0], '');
+      blockToken.attrSet('id', `^${match[1]}`);
+    }
+  });
+};
@@ -0,0 +1,45 @@
+/**
+ * inline #tag
+ * #tag, #area/subarea
+ */
+
+import MarkdownIt from 'markdown-it';
+import { Notebook } from '../notebook';
+
+const TagRegExp = /^[\p{L}\p{N}_\-/]+/u;
+
+export default (md: MarkdownIt, notebook: Notebook) => {
+  md.inline.ruler.push('tag', (state, silent) => {
+    const { src, pos } = state;
+    if (
+      !notebook.config.enableTagSyntax ||
+      src[pos] !== '#' ||
+      (pos > 0 && !src[pos - 1].match(/\s/))
+    ) {
+      return false;
+    }
+
+    const match = src.slice(pos + 1).match(TagRegExp);
+    if (!match) {
+      return false;
+    }
+    const tag = match[0].replace(/\/+$/, '');
+    // A tag must contain at least one non-numeric character,
+    // so that `#123` is not treated as a tag.
+    if (!tag.match(/[^\d/]/) || tag.startsWith('/')) {
+      return false;
+    }
+
+    if (!silent) {
+      const token = state.push('tag', 'span', 0);
+      token.content = tag;
+    }
+    state.pos += tag.length + 1;
+    return true;
+  });
+
+  md.renderer.rules.tag = (tokens, idx) => {
+    const tag = md.utils.escapeHtml(tokens[idx].content);
+    return `<span class="crossnote-tag" data-tag="${tag}">#${tag}</span>`;
+  };
+};
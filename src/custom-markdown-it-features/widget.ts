@@ -48,7 +48,7 @@ export default (md: MarkdownIt, notebook: Notebook) => {
           ...md.options,
           sourceMap: false,
         });
-        const rendered = newMd.render(decoded);
+        const rendered = newMd.render(decoded, env);
         return rendered;
       }
     }
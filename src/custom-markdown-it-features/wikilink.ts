@@ -4,7 +4,9 @@
  */
 
 import MarkdownIt from 'markdown-it';
+import * as path from 'path';
 import { Notebook } from '../notebook';
+import slash from '../notebook/slash';
 
 export default (md: MarkdownIt, notebook: Notebook) => {
   md.inline.ruler.before('autolink', 'wikilink', (state, silent) => {
@@ -48,14 +50,48 @@ export default (md: MarkdownIt, notebook: Notebook) => {
     }
   });
 
-  md.renderer.rules.wikilink = (tokens, idx) => {
+  md.renderer.rules.wikilink = (tokens, idx, options, env) => {
     const { content } = tokens[idx];
     if (!content) {
       return '';
     }
 
     const { text, link } = notebook.processWikilink(content);
+    let href = link;
+    const hashIndex = link.indexOf('#');
+    const hash = hashIndex >= 0 ? link.slice(hashIndex) : '';
 
-    return `<a href="${link}">${text}</a>`;
+    // Resolve the note by `wikiLinkResolution`, aliases and the hash.
+    // `env.filePath` is the path of the note being rendered.
+    // `root:` prefixed links point at the notes in the other roots.
+    const isRootLink = notebook.parseRootPath(link).path !== link;
+    if (
+      env?.filePath &&
+      (isRootLink || !link.match(/^[a-z][a-z0-9+.-]*:/i)) &&
+      notebook.config.markdownFileExtensions.includes(
+        path.extname(link.slice(0, link.length - hash.length)),
+      )
+    ) {
+      const noteFilePath = notebook.resolveNoteRelativePath(env.filePath);
+      const { filePath } = notebook.resolveWikilink(link, noteFilePath);
+      // Point at the id of the heading or the block
+      const noteHash = notebook.resolveNoteHash(filePath, hash);
+      if (
+        isRootLink ||
+        filePath !== notebook.resolveNoteLink(link, noteFilePath)
+      ) {
+        href =
+          slash(
+            path.relative(
+              path.dirname(notebook.resolveNoteAbsolutePath(noteFilePath)),
+              notebook.resolveNoteAbsolutePath(filePath),
+            ),
+          ) + noteHash;
+      } else {
+        href = link.slice(0, link.length - hash.length) + noteHash;
+      }
+    }
+
+    return `<a href="${href}">${text}</a>`;
   };
 };
@@ -24,4 +24,13 @@ export {
   loadConfigsInDirectory,
   wrapNodeFSAsApi,
 } from './notebook/config-helper';
+export {
+  createInMemoryFileSystem,
+  createOverlayFileSystem,
+  createZipFileSystem,
+} from './notebook/file-system';
+export type {
+  InMemoryFileSystemApi,
+  OverlayFileSystemApi,
+} from './notebook/file-system';
 export { HeadingIdGenerator };
@@ -17,6 +17,7 @@ import { ebookConvert } from '../converters/ebook-convert';
 import { markdownConvert } from '../converters/markdown-convert';
 import { pandocConvert } from '../converters/pandoc-convert';
 import { princeConvert } from '../converters/prince-convert';
+import { BlockAttributes } from '../lib/block-attributes';
 import { parseBlockAttributes } from '../lib/block-attributes/parseBlockAttributes';
 import { stringifyBlockAttributes } from '../lib/block-attributes/stringifyBlockAttributes';
 import { normalizeBlockInfo } from '../lib/block-info/normalize-block-info';
@@ -27,6 +28,8 @@ import {
   WebviewConfig,
   getDefaultNotebookConfig,
 } from '../notebook';
+import { matter } from '../notebook/markdown';
+import { NoteDiagnostic } from '../notebook/types';
 import enhanceWithCodeBlockStyling from '../render-enhancers/code-block-styling';
 import enhanceWithEmbeddedLocalImages from '../render-enhancers/embedded-local-images';
 import enhanceWithEmbeddedSvgs from '../render-enhancers/embedded-svgs';
@@ -38,6 +41,8 @@ import enhanceWithFencedCodeChunks, {
 } from '../render-enhancers/fenced-code-chunks';
 import enhanceWithFencedDiagrams from '../render-enhancers/fenced-diagrams';
 import enhanceWithFencedMath from '../render-enhancers/fenced-math';
+import enhanceWithFencedQueries from '../render-enhancers/fenced-queries';
+import enhanceWithFencedTasks from '../render-enhancers/fenced-tasks';
 import enhanceWithResolvedImagePaths from '../render-enhancers/resolved-image-paths';
 import * as utility from '../utility';
 import { removeFileProtocol } from '../utility';
@@ -78,7 +83,49 @@ export interface MarkdownEngineOutput {
    * convert .css file to <link href='...'></link>
    */
   JSAndCssFiles: string[];
-  // slideConfigs: Array<object>
+  headings: HeadingData[];
+  /**
+   * The configs of the slides if the markdown is a presentation
+   */
+  slideConfigs: BlockAttributes[];
+}
+
+export interface RenderToHtmlOptions {
+  /**
+   * Render for the preview, in which case the source line numbers are kept
+   * and the local files are referred by `file://` urls.
+   * Otherwise, the html is rendered for export.
+   * Defaults to `false`.
+   */
+  forPreview?: boolean;
+  /**
+   * Refer to the libraries in the crossnote build directory instead of the CDN.
+   * Defaults to `false`.
+   */
+  offline?: boolean;
+}
+
+export interface RenderToHtmlOutput {
+  html: string;
+  tocHTML: string;
+  headings: HeadingData[];
+  frontMatter: JsonObject;
+  /**
+   * The urls of the scripts and styles that the html needs,
+   * including the libraries and the imported javascript and css files
+   */
+  assets: {
+    scripts: string[];
+    styles: string[];
+  };
+  /**
+   * The front matter issues of the note
+   */
+  diagnostics: NoteDiagnostic[];
+  /**
+   * The configs of the slides if the markdown is a presentation
+   */
+  slideConfigs: BlockAttributes[];
 }
 
 export interface HTMLTemplateOption {
@@ -104,6 +151,44 @@ export interface HTMLTemplateOption {
   embedSVG?: boolean;
 }
 
+/**
+ * The library files in the crossnote build `dependencies` directory and their paths on the CDN
+ */
+const dependencyFiles = {
+  katex: {
+    offline: 'katex/katex.min.css',
+    cdn: 'katex@0.16.9/dist/katex.min.css',
+  },
+  fontAwesome: {
+    offline: 'font-awesome/css/all.min.css',
+    cdn: '@fortawesome/fontawesome-free@6.4.2/css/all.min.css',
+  },
+  mermaid: {
+    offline: 'mermaid/mermaid.min.js',
+    cdn: 'mermaid@10.6.0/dist/mermaid.min.js',
+  },
+  wavedromDefaultSkin: {
+    offline: 'wavedrom/skins/default.js',
+    cdn: 'wavedrom@3.3.0/skins/default.js',
+  },
+  wavedromNarrowSkin: {
+    offline: 'wavedrom/skins/narrow.js',
+    cdn: 'wavedrom@3.3.0/skins/narrow.js',
+  },
+  wavedrom: {
+    offline: 'wavedrom/wavedrom.min.js',
+    cdn: 'wavedrom@3.3.0/wavedrom.min.js',
+  },
+  reveal: {
+    offline: 'reveal/js/reveal.js',
+    cdn: 'reveal.js@4.6.0/dist/reveal.js',
+  },
+  revealStyle: {
+    offline: 'reveal/css/reveal.css',
+    cdn: 'reveal.js@4.6.0/dist/reveal.css',
+  },
+};
+
 // NOTE: The order of the following matters.
 const dependentLibraryMaterials = [
   {
@@ -120,6 +205,32 @@ const dependentLibraryMaterials = [
   },
 ];
 
+/**
+ * The urls of the libraries used by the rendered html
+ */
+interface DependencyAssets {
+  mathjax?: string;
+  katex?: string;
+  fontAwesome?: string;
+  mermaid?: string;
+  wavedrom?: string[];
+  vega?: string[];
+  reveal?: { script: string; style: string };
+}
+
+function getLibraryMaterialFile({
+  key,
+  version,
+}: {
+  key: string;
+  version: string;
+}) {
+  return {
+    offline: `${key}/${key}.min.js`,
+    cdn: `${key}@${version}/build/${key}.js`,
+  };
+}
+
 /**
  * The markdown engine that can be used to parse markdown and export files
  */
@@ -150,6 +261,11 @@ export class MarkdownEngine {
   // files cache
   private filesCache: { [key: string]: string } = {};
 
+  /**
+   * The messages of the imports that failed in the last render or export.
+   */
+  private importErrors: string[] = [];
+
   /**
    * cachedHTML is the cache of html generated from the markdown file.
    */
@@ -172,10 +288,17 @@ export class MarkdownEngine {
     this.tocHTML = '';
   }
 
+  /**
+   * The config of the note, which includes the configs of its root
+   */
+  private get config() {
+    return this.notebook.getNoteConfig(this.filePath);
+  }
+
   private get protocolsWhiteListRegExp() {
     // protocal whitelist
     const protocolsWhiteList = (
-      this.notebook.config.protocolsWhiteList ??
+      this.config.protocolsWhiteList ??
       getDefaultNotebookConfig().protocolsWhiteList ??
       ''
     )
@@ -247,16 +370,14 @@ export class MarkdownEngine {
 
     // math
     if (
-      this.notebook.config.mathRenderingOption === 'MathJax' ||
-      this.notebook.config.usePandocParser
+      this.config.mathRenderingOption === 'MathJax' ||
+      this.config.usePandocParser
     ) {
-      // NOTE: {...this.notebook.config.mathjaxConfig} is neceesary here
-      const mathJaxConfig = copy({ ...this.notebook.config.mathjaxConfig });
+      // NOTE: {...this.config.mathjaxConfig} is neceesary here
+      const mathJaxConfig = copy({ ...this.config.mathjaxConfig });
       mathJaxConfig['tex'] = mathJaxConfig['tex'] || {};
-      mathJaxConfig['tex']['inlineMath'] =
-        this.notebook.config.mathInlineDelimiters;
-      mathJaxConfig['tex']['displayMath'] =
-        this.notebook.config.mathBlockDelimiters;
+      mathJaxConfig['tex']['inlineMath'] = this.config.mathInlineDelimiters;
+      mathJaxConfig['tex']['displayMath'] = this.config.mathBlockDelimiters;
 
       // https://docs.mathjax.org/en/latest/options/startup/startup.html#the-configuration-block
       // Disable typesetting on startup
@@ -269,7 +390,7 @@ export class MarkdownEngine {
       scripts += `<script type="text/javascript"> window.MathJax = (${JSON.stringify(
         mathJaxConfig,
       )}); </script>`;
-      scripts += `<script type="text/javascript" async src="${this.notebook.config.mathjaxV3ScriptSrc}" charset="UTF-8"></script>`;
+      scripts += `<script type="text/javascript" async src="${this.config.mathjaxV3ScriptSrc}" charset="UTF-8"></script>`;
     }
 
     // reveal.js
@@ -306,11 +427,11 @@ export class MarkdownEngine {
 
     // mermaid init
     scripts += `<script>
-var MERMAID_CONFIG = (${JSON.stringify(this.notebook.config.mermaidConfig)});
+var MERMAID_CONFIG = (${JSON.stringify(this.config.mermaidConfig)});
 if (typeof MERMAID_CONFIG !== 'undefined') {
   MERMAID_CONFIG.startOnLoad = false
   MERMAID_CONFIG.cloneCssStyles = false
-  MERMAID_CONFIG.theme = "${this.notebook.config.mermaidTheme}"
+  MERMAID_CONFIG.theme = "${this.config.mermaidTheme}"
 }
 mermaid.initialize(MERMAID_CONFIG || {})
 if (typeof(window['Reveal']) !== 'undefined') {
@@ -423,7 +544,7 @@ window["initRevealPresentation"] = async function() {
    * Automatically pick code block theme for preview.
    */
   private getPrismTheme(isPresentationMode = false, yamlConfig = {}) {
-    if (this.notebook.config.codeBlockTheme === 'auto.css') {
+    if (this.config.codeBlockTheme === 'auto.css') {
       /**
        * Automatically pick code block theme for preview.
        */
@@ -433,19 +554,19 @@ window["initRevealPresentation"] = async function() {
           typeof yamlConfig['presentation'] === 'object' &&
           yamlConfig['presentation']['theme']
             ? yamlConfig['presentation']['theme']
-            : this.notebook.config.revealjsTheme;
+            : this.config.revealjsTheme;
         return (
           MarkdownEngine.AutoPrismThemeMapForPresentation[presentationTheme] ??
           'default.css'
         );
       } else {
         return (
-          MarkdownEngine.AutoPrismThemeMap[this.notebook.config.previewTheme] ??
+          MarkdownEngine.AutoPrismThemeMap[this.config.previewTheme] ??
           'default.css'
         );
       }
     } else {
-      return this.notebook.config.codeBlockTheme;
+      return this.config.codeBlockTheme;
     }
   }
 
@@ -461,8 +582,8 @@ window["initRevealPresentation"] = async function() {
 
     // check math
     if (
-      this.notebook.config.mathRenderingOption === 'KaTeX' &&
-      !this.notebook.config.usePandocParser
+      this.config.mathRenderingOption === 'KaTeX' &&
+      !this.config.usePandocParser
     ) {
       styles += `<link rel="stylesheet" href="${utility.addFileProtocol(
         path.resolve(
@@ -487,7 +608,7 @@ window["initRevealPresentation"] = async function() {
       styles += `<link rel="stylesheet" href="${utility.addFileProtocol(
         path.resolve(
           utility.getCrossnoteBuildDirectory(),
-          `./styles/preview_theme/${this.notebook.config.previewTheme}`,
+          `./styles/preview_theme/${this.config.previewTheme}`,
         ),
         vscodePreviewPanel,
       )}">`;
@@ -507,7 +628,7 @@ window["initRevealPresentation"] = async function() {
             typeof yamlConfig['presentation'] === 'object' &&
             yamlConfig['presentation']['theme']
               ? yamlConfig['presentation']['theme']
-              : this.notebook.config.revealjsTheme
+              : this.config.revealjsTheme
           }`,
         ),
         vscodePreviewPanel,
@@ -545,7 +666,7 @@ window["initRevealPresentation"] = async function() {
     )}">`;
 
     // global styles
-    styles += `<style>${this.notebook.config.globalCss}</style>`;
+    styles += `<style>${this.config.globalCss}</style>`;
 
     return styles;
   }
@@ -655,7 +776,7 @@ window["initRevealPresentation"] = async function() {
       <head>
         <meta http-equiv="Content-type" content="text/html;charset=UTF-8">
         <meta id="crossnote-data" data-config="${escape(
-          JSON.stringify({ ...this.notebook.config, ...config }),
+          JSON.stringify({ ...this.config, ...config }),
         )}" data-time="${Date.now()}">
         <meta charset="UTF-8">
         ${
@@ -676,7 +797,7 @@ window["initRevealPresentation"] = async function() {
         ${
           // NOTE: This is none.css and we are in vscode preview.
           // We need to set the background color and foreground color.
-          this.notebook.config.previewTheme === 'none.css' && vscodePreviewPanel
+          this.config.previewTheme === 'none.css' && vscodePreviewPanel
             ? `<style>
   html, body {
     background-color: var(--vscode-editor-background);
@@ -702,7 +823,7 @@ window["initRevealPresentation"] = async function() {
           JSAndCssFiles,
           vscodePreviewPanel,
         )}
-        ${await this.resolvePathsInHeader(this.notebook.config.includeInHeader)}
+        ${await this.resolvePathsInHeader(this.config.includeInHeader)}
         ${head}
       </head>
       <body class="preview-container ${
@@ -724,6 +845,70 @@ window["initRevealPresentation"] = async function() {
     return htmlTemplate;
   }
 
+  private getDependencyUrl(
+    file: { offline: string; cdn: string },
+    offline: boolean,
+  ) {
+    if (offline) {
+      return `file:///${path.resolve(
+        utility.getCrossnoteBuildDirectory(),
+        './dependencies',
+        file.offline,
+      )}`;
+    } else {
+      return `https://${this.config.jsdelivrCdnHost}/npm/${file.cdn}`;
+    }
+  }
+
+  /**
+   * Get the urls of the libraries that the rendered html needs.
+   * `generateHTMLTemplateForExport` builds its script and style tags from these.
+   */
+  private getDependencyAssets(
+    html: string,
+    yamlConfig: JsonObject,
+    offline: boolean,
+  ): DependencyAssets {
+    const assets: DependencyAssets = {};
+    if (
+      this.config.mathRenderingOption === 'MathJax' ||
+      this.config.usePandocParser
+    ) {
+      assets.mathjax = this.config.mathjaxV3ScriptSrc;
+    } else if (this.config.mathRenderingOption === 'KaTeX') {
+      assets.katex = this.getDependencyUrl(dependencyFiles.katex, offline);
+    }
+    if (html.indexOf('<i class="fa') >= 0) {
+      assets.fontAwesome = this.getDependencyUrl(
+        dependencyFiles.fontAwesome,
+        offline,
+      );
+    }
+    if (html.indexOf(' class="mermaid') >= 0) {
+      assets.mermaid = this.getDependencyUrl(dependencyFiles.mermaid, offline);
+    }
+    if (html.indexOf(' class="wavedrom') >= 0) {
+      assets.wavedrom = [
+        dependencyFiles.wavedromDefaultSkin,
+        dependencyFiles.wavedromNarrowSkin,
+        dependencyFiles.wavedrom,
+      ].map((file) => this.getDependencyUrl(file, offline));
+    }
+    // This also matches ` class="vega-lite`
+    if (html.indexOf(' class="vega') >= 0) {
+      assets.vega = dependentLibraryMaterials.map((material) =>
+        this.getDependencyUrl(getLibraryMaterialFile(material), offline),
+      );
+    }
+    if (yamlConfig['isPresentationMode']) {
+      assets.reveal = {
+        script: this.getDependencyUrl(dependencyFiles.reveal, offline),
+        style: this.getDependencyUrl(dependencyFiles.revealStyle, offline),
+      };
+    }
+    return assets;
+  }
+
   /**
    * Generate HTML content
    * @param html: this is the final content you want to put.
@@ -743,19 +928,20 @@ window["initRevealPresentation"] = async function() {
     }
     elementClass = elementClass.join(' ');
 
+    const dependencyAssets = this.getDependencyAssets(
+      html,
+      yamlConfig,
+      options.offline,
+    );
+
     // math style and script
     let mathStyle = '';
-    if (
-      this.notebook.config.mathRenderingOption === 'MathJax' ||
-      this.notebook.config.usePandocParser
-    ) {
-      // NOTE: {...this.notebook.config.mathjaxConfig} is neceesary here
-      const mathJaxConfig = copy({ ...this.notebook.config.mathjaxConfig });
+    if (dependencyAssets.mathjax) {
+      // NOTE: {...this.config.mathjaxConfig} is neceesary here
+      const mathJaxConfig = copy({ ...this.config.mathjaxConfig });
       mathJaxConfig['tex'] = mathJaxConfig['tex'] || {};
-      mathJaxConfig['tex']['inlineMath'] =
-        this.notebook.config.mathInlineDelimiters;
-      mathJaxConfig['tex']['displayMath'] =
-        this.notebook.config.mathBlockDelimiters;
+      mathJaxConfig['tex']['inlineMath'] = this.config.mathInlineDelimiters;
+      mathJaxConfig['tex']['displayMath'] = this.config.mathBlockDelimiters;
 
       if (options.offline) {
         mathStyle = `
@@ -763,7 +949,7 @@ window["initRevealPresentation"] = async function() {
           window.MathJax = (${JSON.stringify(mathJaxConfig)});
         </script>
         <script type="text/javascript" async src="${
-          this.notebook.config.mathjaxV3ScriptSrc
+          dependencyAssets.mathjax
         }" charset="UTF-8"></script>
         `;
       } else {
@@ -772,47 +958,30 @@ window["initRevealPresentation"] = async function() {
           window.MathJax = (${JSON.stringify(mathJaxConfig)});
         </script>
         <script type="text/javascript" async src="${
-          this.notebook.config.mathjaxV3ScriptSrc
+          dependencyAssets.mathjax
         }"></script>
         `;
       }
-    } else if (this.notebook.config.mathRenderingOption === 'KaTeX') {
-      if (options.offline) {
-        mathStyle = `<link rel="stylesheet" href="file:///${path.resolve(
-          utility.getCrossnoteBuildDirectory(),
-          './dependencies/katex/katex.min.css',
-        )}">`;
-      } else {
-        mathStyle = `<link rel="stylesheet" href="https://${this.notebook.config.jsdelivrCdnHost}/npm/katex@0.16.9/dist/katex.min.css">`;
-      }
+    } else if (dependencyAssets.katex) {
+      mathStyle = `<link rel="stylesheet" href="${dependencyAssets.katex}">`;
     } else {
       mathStyle = '';
     }
 
     // font-awesome
     let fontAwesomeStyle = '';
-    if (html.indexOf('<i class="fa') >= 0) {
-      if (options.offline) {
-        fontAwesomeStyle = `<link rel="stylesheet" href="file:///${path.resolve(
-          utility.getCrossnoteBuildDirectory(),
-          `./dependencies/font-awesome/css/all.min.css`,
-        )}">`;
-      } else {
-        fontAwesomeStyle = `<link rel="stylesheet" href="https://${this.notebook.config.jsdelivrCdnHost}/npm/@fortawesome/fontawesome-free@6.4.2/css/all.min.css">`;
-      }
+    if (dependencyAssets.fontAwesome) {
+      fontAwesomeStyle = `<link rel="stylesheet" href="${dependencyAssets.fontAwesome}">`;
     }
 
     // mermaid
     let mermaidScript = '';
     let mermaidInitScript = '';
-    if (html.indexOf(' class="mermaid') >= 0) {
+    if (dependencyAssets.mermaid) {
       if (options.offline) {
-        mermaidScript = `<script type="text/javascript" src="file:///${path.resolve(
-          utility.getCrossnoteBuildDirectory(),
-          './dependencies/mermaid/mermaid.min.js',
-        )}" charset="UTF-8"></script>`;
+        mermaidScript = `<script type="text/javascript" src="${dependencyAssets.mermaid}" charset="UTF-8"></script>`;
       } else {
-        mermaidScript = `<script src="https://${this.notebook.config.jsdelivrCdnHost}/npm/mermaid@10.6.0/dist/mermaid.min.js"></script>`;
+        mermaidScript = `<script src="${dependencyAssets.mermaid}"></script>`;
       }
 
       mermaidInitScript += `<script type="module">
@@ -820,16 +989,16 @@ window["initRevealPresentation"] = async function() {
 //      we can remove the following lines.
 ${
   html.match(/zenuml/i)
-    ? `import zenuml from 'https://${this.notebook.config.jsdelivrCdnHost}/npm/@mermaid-js/mermaid-zenuml@0.1.0/dist/mermaid-zenuml.esm.min.mjs';
+    ? `import zenuml from 'https://${this.config.jsdelivrCdnHost}/npm/@mermaid-js/mermaid-zenuml@0.1.0/dist/mermaid-zenuml.esm.min.mjs';
 await mermaid.registerExternalDiagrams([zenuml])`
     : ``
 }
 
-var MERMAID_CONFIG = (${JSON.stringify(this.notebook.config.mermaidConfig)});
+var MERMAID_CONFIG = (${JSON.stringify(this.config.mermaidConfig)});
 if (typeof MERMAID_CONFIG !== 'undefined') {
   MERMAID_CONFIG.startOnLoad = false
   MERMAID_CONFIG.cloneCssStyles = false
-  MERMAID_CONFIG.theme = "${this.notebook.config.mermaidTheme}"
+  MERMAID_CONFIG.theme = "${this.config.mermaidTheme}"
 }
 
 mermaid.initialize(MERMAID_CONFIG || {})
@@ -862,25 +1031,12 @@ if (typeof(window['Reveal']) !== 'undefined') {
     // wavedrom
     let wavedromScript = ``;
     let wavedromInitScript = ``;
-    if (html.indexOf(' class="wavedrom') >= 0) {
-      if (options.offline) {
-        wavedromScript += `<script type="text/javascript" src="file:///${path.resolve(
-          utility.getCrossnoteBuildDirectory(),
-          './dependencies/wavedrom/skins/default.js',
-        )}" charset="UTF-8"></script>`;
-        wavedromScript += `<script type="text/javascript" src="file:///${path.resolve(
-          utility.getCrossnoteBuildDirectory(),
-          './dependencies/wavedrom/skins/narrow.js',
-        )}" charset="UTF-8"></script>`;
-        wavedromScript += `<script type="text/javascript" src="file:///${path.resolve(
-          utility.getCrossnoteBuildDirectory(),
-          './dependencies/wavedrom/wavedrom.min.js',
-        )}" charset="UTF-8"></script>`;
-      } else {
-        wavedromScript += `<script type="text/javascript" src="https://${this.notebook.config.jsdelivrCdnHost}/npm/wavedrom@3.3.0/skins/default.js"></script>`;
-        wavedromScript += `<script type="text/javascript" src="https://${this.notebook.config.jsdelivrCdnHost}/npm/wavedrom@3.3.0/skins/narrow.js"></script>`;
-        wavedromScript += `<script type="text/javascript" src="https://${this.notebook.config.jsdelivrCdnHost}/npm/wavedrom@3.3.0/wavedrom.min.js"></script>`;
-      }
+    if (dependencyAssets.wavedrom) {
+      dependencyAssets.wavedrom.forEach((url) => {
+        wavedromScript += `<script type="text/javascript" src="${url}"${
+          options.offline ? ' charset="UTF-8"' : ''
+        }></script>`;
+      });
       wavedromInitScript = `<script>WaveDrom.ProcessAll()</script>`;
     }
 
@@ -888,17 +1044,11 @@ if (typeof(window['Reveal']) !== 'undefined') {
     // https://vega.github.io/vega/usage/#embed
     let vegaScript = ``;
     let vegaInitScript = ``;
-    if (
-      html.indexOf(' class="vega') >= 0 ||
-      html.indexOf(' class="vega-lite') >= 0
-    ) {
-      dependentLibraryMaterials.forEach(({ key, version }) => {
-        vegaScript += options.offline
-          ? `<script type="text/javascript" src="file:///${path.resolve(
-              utility.getCrossnoteBuildDirectory(),
-              `./dependencies/${key}/${key}.min.js`,
-            )}" charset="UTF-8"></script>`
-          : `<script type="text/javascript" src="https://${this.notebook.config.jsdelivrCdnHost}/npm/${key}@${version}/build/${key}.js"></script>`;
+    if (dependencyAssets.vega) {
+      dependencyAssets.vega.forEach((url) => {
+        vegaScript += `<script type="text/javascript" src="${url}"${
+          options.offline ? ' charset="UTF-8"' : ''
+        }></script>`;
       });
 
       vegaInitScript += `<script>
@@ -928,17 +1078,9 @@ if (typeof(window['Reveal']) !== 'undefined') {
     let presentationScript = '';
     let presentationStyle = '';
     let presentationInitScript = '';
-    if (yamlConfig['isPresentationMode']) {
-      if (options.offline) {
-        presentationScript = `
-        <script src='file:///${path.resolve(
-          utility.getCrossnoteBuildDirectory(),
-          './dependencies/reveal/js/reveal.js',
-        )}'></script>`;
-      } else {
-        presentationScript = `
-        <script src='https://${this.notebook.config.jsdelivrCdnHost}/npm/reveal.js@4.6.0/dist/reveal.js'></script>`;
-      }
+    if (dependencyAssets.reveal) {
+      presentationScript = `
+        <script src='${dependencyAssets.reveal.script}'></script>`;
 
       const presentationConfig = yamlConfig['presentation'] || {};
       const dependencies = presentationConfig['dependencies'] || [];
@@ -1004,7 +1146,7 @@ if (typeof(window['Reveal']) !== 'undefined') {
     try {
       // prism *.css
       styleCSS +=
-        !this.notebook.config.printBackground &&
+        !this.config.printBackground &&
         !yamlConfig['print_background'] &&
         !yamlConfig['isPresentationMode']
           ? await this.fs.readFile(
@@ -1029,7 +1171,7 @@ if (typeof(window['Reveal']) !== 'undefined') {
           typeof yamlConfig['presentation'] === 'object' &&
           yamlConfig['presentation']['theme']
             ? yamlConfig['presentation']['theme']
-            : this.notebook.config.revealjsTheme;
+            : this.config.revealjsTheme;
 
         if (options.offline) {
           presentationStyle += `<link rel="stylesheet" href="file:///${path.resolve(
@@ -1037,13 +1179,12 @@ if (typeof(window['Reveal']) !== 'undefined') {
             `./dependencies/reveal/css/theme/${theme}`,
           )}">`;
         } else {
-          presentationStyle += `<link rel="stylesheet" href="https://${this.notebook.config.jsdelivrCdnHost}/npm/reveal.js@4.6.0/dist/theme/${theme}">`;
+          presentationStyle += `<link rel="stylesheet" href="https://${this.config.jsdelivrCdnHost}/npm/reveal.js@4.6.0/dist/theme/${theme}">`;
         }
       } else {
         // preview theme
         styleCSS +=
-          !this.notebook.config.printBackground &&
-          !yamlConfig['print_background']
+          !this.config.printBackground && !yamlConfig['print_background']
             ? await this.fs.readFile(
                 path.resolve(
                   utility.getCrossnoteBuildDirectory(),
@@ -1053,7 +1194,7 @@ if (typeof(window['Reveal']) !== 'undefined') {
             : await this.fs.readFile(
                 path.resolve(
                   utility.getCrossnoteBuildDirectory(),
-                  `./styles/preview_theme/${this.notebook.config.previewTheme}`,
+                  `./styles/preview_theme/${this.config.previewTheme}`,
                 ),
               );
       }
@@ -1080,14 +1221,14 @@ if (typeof(window['Reveal']) !== 'undefined') {
     }
 
     // global styles
-    const globalStyles = this.notebook.config.globalCss;
+    const globalStyles = this.config.globalCss;
 
     // sidebar toc
     let sidebarTOC = '';
     let sidebarTOCScript = '';
     let sidebarTOCBtn = '';
     if (
-      this.notebook.config.enableScriptExecution &&
+      this.config.enableScriptExecution &&
       !yamlConfig['isPresentationMode'] &&
       !options.isForPrint &&
       (!('html' in yamlConfig) ||
@@ -1163,7 +1304,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       <style>
       ${styles}
       </style>
-      ${await this.resolvePathsInHeader(this.notebook.config.includeInHeader)}
+      ${await this.resolvePathsInHeader(this.config.includeInHeader)}
     </head>
     <body ${options.isForPrint ? '' : 'for="html-export"'} ${
       yamlConfig['isPresentationMode'] ? 'data-presentation-mode' : ''
@@ -1287,21 +1428,21 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       html.indexOf('[{"src":"revealjs_deps/notes.js","async":true}]') >= 0
     ) {
       const depsDirName = path.resolve(path.dirname(dest), 'revealjs_deps');
-      if (!fs.existsSync(depsDirName)) {
-        fs.mkdirSync(depsDirName);
+      if (!(await this.fs.exists(depsDirName))) {
+        await this.fs.mkdir(depsDirName);
+      }
+      for (const fileName of ['notes.js', 'notes.html']) {
+        await this.fs.writeFile(
+          path.resolve(depsDirName, fileName),
+          await this.fs.readFile(
+            path.resolve(
+              utility.getCrossnoteBuildDirectory(),
+              './dependencies/reveal/plugin/notes/',
+              fileName,
+            ),
+          ),
+        );
       }
-      fs.createReadStream(
-        path.resolve(
-          utility.getCrossnoteBuildDirectory(),
-          './dependencies/reveal/plugin/notes/notes.js',
-        ),
-      ).pipe(fs.createWriteStream(path.resolve(depsDirName, 'notes.js')));
-      fs.createReadStream(
-        path.resolve(
-          utility.getCrossnoteBuildDirectory(),
-          './dependencies/reveal/plugin/notes/notes.html',
-        ),
-      ).pipe(fs.createWriteStream(path.resolve(depsDirName, 'notes.html')));
     }
 
     await this.fs.writeFile(dest, html);
@@ -1339,7 +1480,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
 
     let executablePath = '';
     try {
-      executablePath = this.notebook.config.chromePath;
+      executablePath = this.config.chromePath;
       if (!executablePath) {
         const chromePaths = (await import('chrome-paths')).default;
         executablePath =
@@ -1362,7 +1503,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       'puppeteer-core/lib/cjs/puppeteer/puppeteer-core.js'
     );
     const browser = await puppeteer.launch({
-      args: this.notebook.config.puppeteerArgs || [],
+      args: this.config.puppeteerArgs || [],
       executablePath,
       headless: true,
     });
@@ -1392,7 +1533,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
               right: '1cm',
             },
           }),
-      printBackground: this.notebook.config.printBackground,
+      printBackground: this.config.printBackground,
       ...(yamlConfig['chrome'] || yamlConfig['puppeteer'] || {}),
     };
 
@@ -1406,10 +1547,10 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     if (timeout && typeof timeout === 'number') {
       await page.waitForTimeout(timeout);
     } else if (
-      this.notebook.config.puppeteerWaitForTimeout &&
-      this.notebook.config.puppeteerWaitForTimeout > 0
+      this.config.puppeteerWaitForTimeout &&
+      this.config.puppeteerWaitForTimeout > 0
     ) {
-      await page.waitForTimeout(this.notebook.config.puppeteerWaitForTimeout);
+      await page.waitForTimeout(this.config.puppeteerWaitForTimeout);
     }
 
     if (fileType === 'pdf') {
@@ -1488,7 +1629,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     }
 
     const asyncFunctions = imagesToDownload.map(($img) => {
-      return new Promise<string>((resolve) => {
+      return new Promise<string>((resolve, reject) => {
         const httpSrc = $img.attr('src');
         let savePath =
           Math.random().toString(36).substr(2, 9) +
@@ -1496,12 +1637,22 @@ sidebarTOCBtn.addEventListener('click', function(event) {
           path.basename(httpSrc);
         savePath = path.resolve(this.fileDirectoryPath, savePath);
 
-        const stream = request(httpSrc).pipe(fs.createWriteStream(savePath));
-
-        stream.on('finish', () => {
-          $img.attr('src', 'file:///' + savePath);
-          return resolve(savePath);
-        });
+        request.get(
+          { url: httpSrc, encoding: 'binary' },
+          async (error, response, body) => {
+            try {
+              if (error) {
+                console.error(error);
+              } else {
+                await this.fs.writeFile(savePath, body, 'binary');
+                $img.attr('src', 'file:///' + savePath);
+              }
+              return resolve(savePath);
+            } catch (error) {
+              return reject(error);
+            }
+          },
+        );
       });
     });
 
@@ -1627,35 +1778,34 @@ sidebarTOCBtn.addEventListener('click', function(event) {
           if (filePath.match(/^https?:\/\//)) {
             return resolve({ heading, id, level, filePath, html: '', offset });
           }
-          fs.readFile(filePath, { encoding: 'utf-8' }, (error, text) => {
-            if (error) {
-              return reject(error.toString());
-            }
-
-            // Fix image paths that are relative to the child documents
-            const rootPath = path.dirname(this.filePath);
-            text = text.replace(
-              /(!\[[^\]]*\]\()(\.[^)\s]*)/g,
-              (whole, openTag, imageLink) => {
-                const fullPath = path.resolve(
-                  path.dirname(filePath),
-                  imageLink,
-                );
-                const relativePath = path.relative(rootPath, fullPath);
-                return openTag + relativePath;
-              },
-            );
-            this.parseMD(text, {
-              useRelativeFilePath: false,
-              isForPreview: false,
-              hideFrontMatter: true,
-              emojiToSvg,
-              fileDirectoryPath: path.dirname(filePath),
-              /* tslint:disable-next-line:no-shadowed-variable */
-            }).then(({ html }) => {
-              return resolve({ heading, id, level, filePath, html, offset });
-            });
-          });
+          this.fs.readFile(filePath).then(
+            (text) => {
+              // Fix image paths that are relative to the child documents
+              const rootPath = path.dirname(this.filePath);
+              text = text.replace(
+                /(!\[[^\]]*\]\()(\.[^)\s]*)/g,
+                (whole, openTag, imageLink) => {
+                  const fullPath = path.resolve(
+                    path.dirname(filePath),
+                    imageLink,
+                  );
+                  const relativePath = path.relative(rootPath, fullPath);
+                  return openTag + relativePath;
+                },
+              );
+              this.parseMD(text, {
+                useRelativeFilePath: false,
+                isForPreview: false,
+                hideFrontMatter: true,
+                emojiToSvg,
+                fileDirectoryPath: path.dirname(filePath),
+                /* tslint:disable-next-line:no-shadowed-variable */
+              }).then(({ html }) => {
+                return resolve({ heading, id, level, filePath, html, offset });
+              });
+            },
+            (error) => reject(error.toString()),
+          );
         });
       },
     );
@@ -1730,7 +1880,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
         ebookConfig['html'] &&
         ebookConfig['html'].cdn
       ) {
-        mathStyle = `<link rel="stylesheet" href="https://${this.notebook.config.jsdelivrCdnHost}/npm/katex@0.16.9/dist/katex.min.css">`;
+        mathStyle = `<link rel="stylesheet" href="https://${this.config.jsdelivrCdnHost}/npm/katex@0.16.9/dist/katex.min.css">`;
       } else {
         mathStyle = `<link rel="stylesheet" href="file:///${path.resolve(
           utility.getCrossnoteBuildDirectory(),
@@ -1756,7 +1906,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
             utility.getCrossnoteBuildDirectory(),
             `./styles/prism_theme/${
               /*this.getPrismTheme(false)*/ MarkdownEngine.AutoPrismThemeMap[
-                ebookConfig['theme'] || this.notebook.config.previewTheme
+                ebookConfig['theme'] || this.config.previewTheme
               ]
             }`,
           ),
@@ -1773,7 +1923,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
           path.resolve(
             utility.getCrossnoteBuildDirectory(),
             `./styles/preview_theme/${
-              ebookConfig['theme'] || this.notebook.config.previewTheme
+              ebookConfig['theme'] || this.config.previewTheme
             }`,
           ),
         ),
@@ -1795,7 +1945,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     // global styles
     let globalStyles = '';
     try {
-      globalStyles = this.notebook.config.globalCss;
+      globalStyles = this.config.globalCss;
     } catch (error) {
       // ignore it
     }
@@ -1813,7 +1963,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     ${globalStyles}
     </style>
     ${mathStyle}
-    ${await this.resolvePathsInHeader(this.notebook.config.includeInHeader)}
+    ${await this.resolvePathsInHeader(this.config.includeInHeader)}
   </head>
   <body ${path.extname(dest) === '.html' ? 'for="html-export"' : ''}>
     <div class="crossnote markdown-preview">
@@ -1830,13 +1980,13 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     }
 
     // this function will be called later
-    function deleteDownloadedImages() {
+    const deleteDownloadedImages = () => {
       downloadedImagePaths.forEach((imagePath) => {
-        fs.unlink(imagePath, () => {
+        this.fs.unlink(imagePath).catch(() => {
           return;
         });
       });
-    }
+    };
 
     try {
       const info = await utility.tempOpen({
@@ -1862,11 +2012,9 @@ sidebarTOCBtn.addEventListener('click', function(event) {
   }): Promise<string> {
     let inputString = await this.fs.readFile(this.filePath);
 
-    if (this.notebook.config.parserConfig.onWillParseMarkdown) {
+    if (this.config.parserConfig.onWillParseMarkdown) {
       inputString =
-        await this.notebook.config.parserConfig.onWillParseMarkdown(
-          inputString,
-        );
+        await this.config.parserConfig.onWillParseMarkdown(inputString);
     }
 
     if (runAllCodeChunks) {
@@ -1892,6 +2040,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       }
     }
 
+    this.importErrors = [];
     const outputFilePath = await pandocConvert(
       inputString,
       {
@@ -1904,6 +2053,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
         codeChunksData: this.codeChunksData,
         graphsCache: this.graphsCache,
         notebook: this.notebook,
+        importErrors: this.importErrors,
       },
       config,
     );
@@ -1957,7 +2107,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     }
 
     if (!markdownConfig['image_dir']) {
-      markdownConfig['image_dir'] = this.notebook.config.imageFolderPath;
+      markdownConfig['image_dir'] = this.config.imageFolderPath;
     }
 
     if (!markdownConfig['path']) {
@@ -1989,6 +2139,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       inputString = '---\n' + YAML.stringify(config) + '---\n' + inputString;
     }
 
+    this.importErrors = [];
     return await markdownConvert(
       inputString,
       {
@@ -1999,6 +2150,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
         codeChunksData: this.codeChunksData,
         graphsCache: this.graphsCache,
         notebook: this.notebook,
+        importErrors: this.importErrors,
       },
       markdownConfig,
     );
@@ -2193,18 +2345,16 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     if (frontMatterString) {
       const data = utility.parseYAML(frontMatterString);
 
-      if (this.notebook.config.usePandocParser) {
+      if (this.config.usePandocParser) {
         // use pandoc parser, so don't change inputString
         return { content: frontMatterString, table: '', data: data || {} };
       } else if (
         hideFrontMatter ||
-        (this.notebook.config.frontMatterRenderingOption ?? '')[0] === 'n'
+        (this.config.frontMatterRenderingOption ?? '')[0] === 'n'
       ) {
         // hide
         return { content: '', table: '', data };
-      } else if (
-        (this.notebook.config.frontMatterRenderingOption ?? '')[0] === 't'
-      ) {
+      } else if ((this.config.frontMatterRenderingOption ?? '')[0] === 't') {
         // table
         // to table
         let table;
@@ -2334,7 +2484,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     args: string[],
   ): Promise<string> {
     let mathRenderer;
-    switch (this.notebook.config.mathRenderingOption) {
+    switch (this.config.mathRenderingOption) {
       case 'MathJax':
         mathRenderer = '--mathjax';
         break;
@@ -2346,7 +2496,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     }
     args = args || [];
     args = [
-      '--from=' + this.notebook.config.pandocMarkdownFlavor, // -tex_math_dollars doesn't work properly
+      '--from=' + this.config.pandocMarkdownFlavor, // -tex_math_dollars doesn't work properly
       '--to=html',
       mathRenderer,
     ]
@@ -2400,7 +2550,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       i += 1;
     }
 
-    const pandocPath = this.notebook.config.pandocPath;
+    const pandocPath = this.config.pandocPath;
     return await new Promise<string>((resolve, reject) => {
       try {
         const program = execFile(
@@ -2445,15 +2595,14 @@ sidebarTOCBtn.addEventListener('click', function(event) {
 
     // TODO: Remove the `onWillParseMarkdown` and `onWillTransformMarkdown`
     // as it is bad for adding source mapping support.
-    if (this.notebook.config.parserConfig.onWillParseMarkdown) {
+    if (this.config.parserConfig.onWillParseMarkdown) {
       inputString =
-        await this.notebook.config.parserConfig.onWillParseMarkdown(
-          inputString,
-        );
+        await this.config.parserConfig.onWillParseMarkdown(inputString);
     }
 
     // import external files and insert anchors if necessary
 
+    this.importErrors = [];
     let {
       outputString,
       // eslint-disable-next-line prefer-const
@@ -2469,11 +2618,12 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       fileDirectoryPath: options.fileDirectoryPath || this.fileDirectoryPath,
       projectDirectoryPath: this.projectDirectoryPath.fsPath,
       forPreview: options.isForPreview,
-      usePandocParser: this.notebook.config.usePandocParser,
+      usePandocParser: this.config.usePandocParser,
       protocolsWhiteListRegExp: this.protocolsWhiteListRegExp,
       useRelativeFilePath: options.useRelativeFilePath,
       filesCache: this.filesCache,
       notebook: this.notebook,
+      importErrors: this.importErrors,
     });
 
     // process front-matter
@@ -2493,7 +2643,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
      * render markdown to html
      */
     let html: string;
-    if (this.notebook.config.usePandocParser) {
+    if (this.config.usePandocParser) {
       // pandoc
       try {
         let args = (yamlConfig['pandoc_args'] || []) as string[];
@@ -2514,7 +2664,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
           args.push('--citeproc');
         }
 
-        args = this.notebook.config.pandocArguments.concat(args);
+        args = this.config.pandocArguments.concat(args);
         html = await this.pandocRender(outputString, args);
       } catch (error) {
         html = `<pre class="language-text"><code>${escape(
@@ -2523,15 +2673,17 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       }
     } else {
       // markdown-it
+      // NOTE: `env.filePath` is used to resolve the wikilinks.
+      const env = { filePath: this.filePath };
       if (options.isForPreview) {
-        html = this.notebook.md.render(outputString);
+        html = this.notebook.md.render(outputString, env);
       } else {
         // NOTE: We disable the source map here.
         const md = this.notebook.initMarkdownIt({
           ...this.notebook.md.options,
           sourceMap: false,
         });
-        html = md.render(outputString);
+        html = md.render(outputString, env);
       }
     }
 
@@ -2583,21 +2735,31 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     const $ = cheerio.load(html);
     await enhanceWithFencedMath(
       $,
-      this.notebook.config.mathRenderingOption,
-      this.notebook.config.mathBlockDelimiters,
-      this.notebook.config.katexConfig,
+      this.config.mathRenderingOption,
+      this.config.mathBlockDelimiters,
+      this.config.katexConfig,
     );
     await enhanceWithFencedDiagrams({
       $,
       graphsCache: this.graphsCache,
       fileDirectoryPath: options.fileDirectoryPath || this.fileDirectoryPath,
       imageDirectoryPath: removeFileProtocol(
-        this.resolveFilePath(this.notebook.config.imageFolderPath, false),
+        this.resolveFilePath(this.config.imageFolderPath, false),
       ),
-      plantumlServer: this.notebook.config.plantumlServer,
-      plantumlJarPath: this.notebook.config.plantumlJarPath,
-      kirokiServer: this.notebook.config.krokiServer,
+      plantumlServer: this.config.plantumlServer,
+      plantumlJarPath: this.config.plantumlJarPath,
+      kirokiServer: this.config.krokiServer,
     });
+    await enhanceWithFencedQueries(
+      $,
+      this.notebook,
+      this.notebook.resolveNoteRelativePath(this.filePath),
+    );
+    await enhanceWithFencedTasks(
+      $,
+      this.notebook,
+      this.notebook.resolveNoteRelativePath(this.filePath),
+    );
     await enhanceWithFencedCodeChunks(
       $,
       this.codeChunksData,
@@ -2611,7 +2773,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       this.resolveFilePath.bind(this),
     );
 
-    if (this.notebook.config.enableExtendedTableSyntax) {
+    if (this.config.enableExtendedTableSyntax) {
       // extend table
       await enhanceWithExtendedTableSyntax($);
     }
@@ -2622,7 +2784,29 @@ sidebarTOCBtn.addEventListener('click', function(event) {
     //   enhanceWithEmojiToSvg($);
     // }
 
+    // Show the front matter issues at the top of the preview
+    let diagnosticsBanner = '';
+    if (options.isForPreview) {
+      const diagnostics = await this.notebook.getNoteDiagnostics(
+        this.filePath,
+        inputString,
+      );
+      if (diagnostics.length) {
+        diagnosticsBanner = `<div class="crossnote-diagnostics"><strong>Front matter issues</strong><ul>${diagnostics
+          .map(
+            (diagnostic) =>
+              `<li>${escape(diagnostic.message)}${
+                diagnostic.schemaFilePath
+                  ? ` <code>${escape(diagnostic.schemaFilePath)}</code>`
+                  : ''
+              }</li>`,
+          )
+          .join('')}</ul></div>`;
+      }
+    }
+
     html =
+      diagnosticsBanner +
       frontMatterTable +
       // NOTE: '\n' is necessary here. Otherwise, it might generate html like '</table><p data-source-line="12">[CROSSNOTESLIDE]</p>'
       // and we will fail to parse for slides, which splits by `^<p...>[CROSSNOTESLIDE]</p>`.
@@ -2640,8 +2824,8 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       }
     }
 
-    if (this.notebook.config.parserConfig.onDidParseMarkdown) {
-      html = await this.notebook.config.parserConfig.onDidParseMarkdown(html);
+    if (this.config.parserConfig.onDidParseMarkdown) {
+      html = await this.config.parserConfig.onDidParseMarkdown(html);
     }
 
     if (options.runAllCodeChunks) {
@@ -2660,7 +2844,7 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       this.exportOnSave(yamlConfig['export_on_save'] as JsonObject);
     }
 
-    if (!this.notebook.config.enableScriptExecution) {
+    if (!this.config.enableScriptExecution) {
       // disable importing js and css files.
       JSAndCssFiles = [];
     }
@@ -2671,9 +2855,85 @@ sidebarTOCBtn.addEventListener('click', function(event) {
       tocHTML: this.tocHTML,
       yamlConfig,
       JSAndCssFiles,
+      headings,
+      slideConfigs,
     };
   }
 
+  /**
+   * Render the markdown to html without the preview panel or the editor.
+   * @param markdown The markdown of the note. The note file is read if it is empty.
+   * @param options
+   * @returns The html and the metadata of the note
+   */
+  public async renderToHtml(
+    markdown: string,
+    { forPreview = false, offline = false }: RenderToHtmlOptions = {},
+  ): Promise<RenderToHtmlOutput> {
+    if (!markdown) {
+      markdown = await this.fs.readFile(this.filePath);
+    }
+    const { html, tocHTML, yamlConfig, JSAndCssFiles, headings, slideConfigs } =
+      await this.parseMD(markdown, {
+        useRelativeFilePath: !forPreview,
+        isForPreview: forPreview,
+        hideFrontMatter: !forPreview,
+        vscodePreviewPanel: null,
+      });
+
+    const dependencies = this.getDependencyAssets(html, yamlConfig, offline);
+    const assets = {
+      scripts: [
+        dependencies.mathjax,
+        dependencies.mermaid,
+        ...(dependencies.wavedrom ?? []),
+        ...(dependencies.vega ?? []),
+        dependencies.reveal?.script,
+      ].filter((url): url is string => !!url),
+      styles: [
+        dependencies.katex,
+        dependencies.fontAwesome,
+        dependencies.reveal?.style,
+      ].filter((url): url is string => !!url),
+    };
+    JSAndCssFiles.forEach((filePath) => {
+      const url = this.resolveFilePath(filePath, !forPreview);
+      if (filePath.endsWith('.js')) {
+        assets.scripts.push(url);
+      } else {
+        assets.styles.push(url);
+      }
+    });
+
+    return {
+      html,
+      tocHTML,
+      headings,
+      frontMatter: matter(markdown).data,
+      assets,
+      diagnostics: await this.notebook.getNoteDiagnostics(
+        this.filePath,
+        markdown,
+      ),
+      slideConfigs,
+    };
+  }
+
+  /**
+   * Get the errors of the last render or export,
+   * that is, the imports that failed and the code chunks that failed to run.
+   */
+  public getRenderErrors(): string[] {
+    return this.importErrors.concat(
+      Object.values(this.codeChunksData)
+        .filter((codeChunkData) => codeChunkData.error)
+        .map(
+          (codeChunkData) =>
+            `Code chunk "${codeChunkData.id}" failed: ${codeChunkData.error}`,
+        ),
+    );
+  }
+
   /**
    * legacy method to support backwards compatibility
    */
@@ -2799,11 +3059,12 @@ sidebarTOCBtn.addEventListener('click', function(event) {
 
   private generateRunOptions(): RunCodeChunkOptions {
     return {
-      enableScriptExecution: this.notebook.config.enableScriptExecution,
+      enableScriptExecution: this.config.enableScriptExecution,
+      fs: this.fs,
       fileDirectoryPath: this.fileDirectoryPath,
       filePath: this.filePath,
-      imageFolderPath: this.notebook.config.imageFolderPath,
-      latexEngine: this.notebook.config.latexEngine,
+      imageFolderPath: this.config.imageFolderPath,
+      latexEngine: this.config.latexEngine,
       modifySource: this.modifySource.bind(this),
       parseMD: this.parseMD.bind(this),
       headings: this.headings,
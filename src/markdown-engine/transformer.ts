@@ -1,17 +1,17 @@
-import * as fs from 'fs/promises';
 import { escape } from 'html-escaper';
 import * as less from 'less';
 import * as Papa from 'papaparse';
 import * as path from 'path';
 import request from 'request';
 import * as temp from 'temp';
+import { extractMarkdownBlock } from '../custom-markdown-it-features/block-id';
 import {
   BlockAttributes,
   parseBlockAttributes,
   stringifyBlockAttributes,
 } from '../lib/block-attributes';
 import computeChecksum from '../lib/compute-checksum';
-import { Notebook } from '../notebook';
+import { FileSystemApi, Notebook } from '../notebook';
 import * as PDF from '../tools/pdf';
 import { CustomSubjects } from './custom-subjects';
 import HeadingIdGenerator from './heading-id-generator';
@@ -59,6 +59,15 @@ export interface TransformMarkdownOptions {
   notebook: Notebook;
   forJest?: boolean;
   timestamp?: number;
+  /**
+   * The absolute paths (with hash) of the markdown files that are being imported.
+   * This is used to detect cyclic imports.
+   */
+  importedFilePaths?: string[];
+  /**
+   * Collects the messages of the imports that fail, including the imports in the imported markdown files.
+   */
+  importErrors?: string[];
 }
 
 const fileExtensionToLanguageMap = {
@@ -116,7 +125,10 @@ let DOWNLOADS_TEMP_FOLDER: string | null = null;
 /**
  * download file and return its local path
  */
-function downloadFileIfNecessary(filePath: string): Promise<string> {
+function downloadFileIfNecessary(
+  filePath: string,
+  fs: FileSystemApi,
+): Promise<string> {
   return new Promise((resolve, reject) => {
     if (!filePath.match(/^https?:\/\//)) {
       return resolve(filePath);
@@ -137,7 +149,7 @@ function downloadFileIfNecessary(filePath: string): Promise<string> {
               computeChecksum(filePath),
             ) + path.extname(filePath);
           await fs.writeFile(localFilePath, body, 'binary');
-          return localFilePath;
+          return resolve(localFilePath);
         }
       },
     );
@@ -186,7 +198,7 @@ async function loadFile(
     });
   } else if (filePath.endsWith('.pdf')) {
     // pdf file
-    const localFilePath = await downloadFileIfNecessary(filePath);
+    const localFilePath = await downloadFileIfNecessary(filePath, notebook.fs);
     const svgMarkdown = await PDF.toSVGMarkdown(localFilePath, {
       markdownDirectoryPath: fileDirectoryPath,
       svgDirectoryPath: imageDirectoryPath,
@@ -247,6 +259,8 @@ export async function transformMarkdown(
     forJest = false,
     fileHash,
     timestamp,
+    importedFilePaths = [],
+    importErrors = [],
   }: TransformMarkdownOptions,
 ): Promise<TransformMarkdownOutput> {
   // Replace CRLF with LF
@@ -257,6 +271,11 @@ export async function transformMarkdown(
   const slideConfigs: BlockAttributes[] = [];
   const JSAndCssFiles: string[] = [];
   let headings: HeadingData[] = [];
+  /**
+   * The headings from the imported markdown files,
+   * whose `lineNo` is not the line number in this file.
+   */
+  const importedHeadings = new Set<HeadingData>();
   let tocBracketEnabled = false;
   let frontMatterString = '';
 
@@ -617,6 +636,30 @@ export async function transformMarkdown(
           outputString += wikilinkImportMatch[1];
           const { link } = notebook.processWikilink(wikilinkImportMatch[2]);
           filePath = link;
+          const hashIndex = link.indexOf('#');
+          const hash = hashIndex >= 0 ? link.slice(hashIndex) : '';
+          if (
+            notebook.config.markdownFileExtensions.includes(
+              path.extname(link.slice(0, link.length - hash.length)),
+            ) &&
+            !(protocolsWhiteListRegExp && link.match(protocolsWhiteListRegExp))
+          ) {
+            // Resolve the note by `wikiLinkResolution`, aliases and the `root:` prefix
+            const noteFilePath = notebook.resolveNoteRelativePath(
+              path.join(fileDirectoryPath, path.basename(link)),
+            );
+            const resolved = notebook.resolveWikilink(link, noteFilePath);
+            if (
+              notebook.parseRootPath(link).path !== link ||
+              resolved.filePath !== notebook.resolveNoteLink(link, noteFilePath)
+            ) {
+              filePath =
+                path.relative(
+                  fileDirectoryPath,
+                  notebook.resolveNoteAbsolutePath(resolved.filePath),
+                ) + hash;
+            }
+          }
         }
 
         let config: BlockAttributes = {};
@@ -811,6 +854,15 @@ export async function transformMarkdown(
                   );
               }
               // markdown files
+              const importedFilePath = absoluteFilePath + fileHash;
+              if (importedFilePaths.includes(importedFilePath)) {
+                throw new Error(
+                  `Cyclic import is detected: ${importedFilePaths
+                    .concat(importedFilePath)
+                    .map((p) => path.relative(projectDirectoryPath, p))
+                    .join(' -> ')}`,
+                );
+              }
               // this return here is necessary
               const {
                 outputString: output2,
@@ -830,9 +882,12 @@ export async function transformMarkdown(
                 notebook,
                 headingIdGenerator,
                 fileHash,
+                importedFilePaths: importedFilePaths.concat(importedFilePath),
+                importErrors,
               });
 
               output = '\n' + output2 + '  ';
+              headings2.forEach((heading) => importedHeadings.add(heading));
               headings = headings.concat(headings2);
             } else if (extname === '.html') {
               // html file
@@ -975,6 +1030,7 @@ export async function transformMarkdown(
             }
             continue;
           } catch (error) {
+            importErrors.push(`Failed to import "${filePath}": ${error}`);
             output = `<pre class="language-text"><code>${escape(
               error.toString(),
             )}</code></pre>  `;
@@ -1024,10 +1080,28 @@ export async function transformMarkdown(
     }
 
     if (fileHash) {
-      const targetId = fileHash.slice(1);
-      if (targetId) {
+      let targetId = fileHash.slice(1);
+      try {
+        targetId = decodeURIComponent(targetId);
+      } catch (error) {
+        // Keep the targetId as it is
+      }
+      if (targetId.startsWith('^')) {
+        // Block reference like `#^block-id`
+        const block = extractMarkdownBlock(outputString, targetId.slice(1));
+        if (block !== null) {
+          headings = [];
+          outputString = block;
+        }
+      } else if (targetId) {
+        // The heading can be referred by its id or its content
+        const targetHeadingId = new HeadingIdGenerator().generateId(targetId);
         const targetHeadingIndex = headings.findIndex(
-          (heading) => heading.id === targetId,
+          (heading) =>
+            !importedHeadings.has(heading) &&
+            (heading.id === targetId ||
+              heading.content === targetId ||
+              heading.id === targetHeadingId),
         );
         if (targetHeadingIndex >= 0) {
           const startHeading = headings[targetHeadingIndex];
@@ -1039,7 +1113,7 @@ export async function transformMarkdown(
           let endHeading: HeadingData | null = null;
           while (endHeadingIndex < headings.length) {
             const heading = headings[endHeadingIndex];
-            if (heading.level <= level) {
+            if (heading.level <= level && !importedHeadings.has(heading)) {
               endHeading = heading;
               break;
             }
@@ -0,0 +1,156 @@
+import Token from 'markdown-it/lib/token';
+import * as path from 'path';
+import { Utils } from 'vscode-uri';
+import { Notebook } from '.';
+import { matter } from './markdown';
+import { Note } from './note';
+import { Reference } from './reference';
+import { BacklinkContext } from './types';
+
+/**
+ * Make the relative `href` and `src` in the html absolute,
+ * so that they still work when the html is displayed in another note.
+ */
+function resolveHtmlLinks(notebook: Notebook, html: string, note: Note) {
+  return html.replace(
+    /\s(href|src)="([^"]*)"/g,
+    (whole, attribute: string, value: string) => {
+      // Skip the links with protocols like `https:` and `file:`
+      if (value.match(/^[a-z][a-z0-9+.-]*:/i)) {
+        return whole;
+      }
+      const hashIndex = value.indexOf('#');
+      const hash = hashIndex >= 0 ? value.slice(hashIndex) : '';
+      let link = value.slice(0, value.length - hash.length);
+      try {
+        link = decodeURI(link);
+      } catch (error) {
+        // Keep the link as it is
+      }
+      // The links are relative to the root of the note
+      const { root, path: rootFilePath } = notebook.parseRootPath(
+        note.filePath,
+      );
+      const filePath = !link
+        ? rootFilePath
+        : link.startsWith('/')
+        ? '.' + link
+        : path.join(path.dirname(rootFilePath), link);
+      const uri = Utils.joinPath(
+        notebook.getRootUri(root),
+        filePath,
+      ).toString();
+      return ` ${attribute}="${uri}${hash}"`;
+    },
+  );
+}
+
+/**
+ * Find the index of the token that closes the token at `openIndex`.
+ */
+function findClosingTokenIndex(tokens: Token[], openIndex: number) {
+  const open = tokens[openIndex];
+  const closeType = open.type.replace(/_open$/, '_close');
+  for (let i = openIndex + 1; i < tokens.length; i++) {
+    if (tokens[i].type === closeType && tokens[i].level === open.level) {
+      return i;
+    }
+  }
+  return tokens.length - 1;
+}
+
+/**
+ * Render the snippets of the references in the referring note.
+ * The links in the snippets are resolved relative to the referring note.
+ * @param notebook
+ * @param note The note that contains the references
+ * @param references
+ */
+export function renderBacklinkSnippets(
+  notebook: Notebook,
+  note: Note,
+  references: Reference[],
+): { referenceHtmls: string[]; contexts: BacklinkContext[] } {
+  const { content } = matter(note.markdown);
+  const lineOffset = note.bodyLineOffset ?? 0;
+  const env = { filePath: note.filePath };
+  const tokens = notebook.md.parse(content, env);
+  const render = (tokens: Token[]) =>
+    resolveHtmlLinks(
+      notebook,
+      notebook.md.renderer.render(tokens, notebook.md.options, env),
+      note,
+    );
+
+  const referenceHtmls: string[] = [];
+  const contexts: BacklinkContext[] = [];
+  for (const reference of references) {
+    const line = reference.line;
+    const contentLine = (line ?? -1) - lineOffset;
+    const containsLine = (token: Token) =>
+      !!token.map && token.map[0] <= contentLine && contentLine < token.map[1];
+
+    // The inline token that contains the reference
+    let inlineIndex = -1;
+    const headingPath: string[] = [];
+    const headingLevels: number[] = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.map && token.map[0] > contentLine) {
+        break;
+      }
+      if (token.type === 'heading_open' && token.level === 0) {
+        const level = parseInt(token.tag.slice(1), 10);
+        while (
+          headingLevels.length &&
+          headingLevels[headingLevels.length - 1] >= level
+        ) {
+          headingLevels.pop();
+          headingPath.pop();
+        }
+        headingLevels.push(level);
+        headingPath.push(tokens[i + 1]?.content ?? '');
+      }
+      if (token.type === 'inline' && containsLine(token)) {
+        inlineIndex = i;
+      }
+    }
+    // The heading itself is not a part of the heading path
+    if (inlineIndex >= 0 && tokens[inlineIndex - 1].type === 'heading_open') {
+      headingPath.pop();
+    }
+
+    if (inlineIndex < 0) {
+      referenceHtmls.push(notebook.md.utils.escapeHtml(reference.text));
+      contexts.push({ line, headingPath });
+      continue;
+    }
+    referenceHtmls.push(render([tokens[inlineIndex]]));
+
+    // The surrounding list item or paragraph
+    let html: string | undefined = undefined;
+    for (let i = inlineIndex - 1; i >= 0; i--) {
+      const token = tokens[i];
+      if (token.type === 'list_item_open' && containsLine(token)) {
+        // Keep the list, so that the list item is rendered correctly
+        let listIndex = i - 1;
+        while (listIndex >= 0 && tokens[listIndex].level >= token.level) {
+          listIndex--;
+        }
+        const list = tokens[listIndex];
+        const listClose = tokens[findClosingTokenIndex(tokens, listIndex)];
+        html = render([
+          list,
+          ...tokens.slice(i, findClosingTokenIndex(tokens, i) + 1),
+          listClose,
+        ]);
+        break;
+      }
+    }
+    if (!html && tokens[inlineIndex - 1].type === 'paragraph_open') {
+      html = render(tokens.slice(inlineIndex - 1, inlineIndex + 2));
+    }
+    contexts.push({ line, headingPath, ...(html ? { html } : {}) });
+  }
+  return { referenceHtmls, contexts };
+}
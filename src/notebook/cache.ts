@@ -0,0 +1,287 @@
+import Token from 'markdown-it/lib/token';
+import hash from 'object-hash';
+import * as path from 'path';
+import { Notebook } from '.';
+import { FilePath, Note, Notes } from './note';
+import { Reference, ReferenceMap } from './reference';
+import { FileSystemStats, NotebookConfig } from './types';
+
+/**
+ * Bump this version whenever the format of the cache changes.
+ */
+const CacheVersion = 3;
+
+/**
+ * The reference without the markdown-it tokens, which are large and contain absolute `file://` URIs.
+ * The snippets of the references are rendered by parsing the note again.
+ */
+type CachedReference = Pick<
+  Reference,
+  'text' | 'link' | 'hash' | 'line' | 'candidates'
+> & {
+  wikilink?: boolean;
+};
+
+interface CachedNote {
+  mtimeMs: number;
+  size: number;
+  /**
+   * The markdown is read from the note file when the note is restored.
+   */
+  note: Omit<Note, 'notebookPath' | 'mentions' | 'markdown'>;
+  /**
+   * The references in this note
+   */
+  references: CachedReference[];
+}
+
+interface CacheData {
+  version: number;
+  /**
+   * The hash of the configs that affect how the notes are parsed.
+   */
+  configHash: string;
+  notes: { [key: FilePath]: CachedNote };
+}
+
+/**
+ * The on-disk cache of the notebook index, which is stored at `${notebookPath}/.crossnote/cache`
+ * if `enableIndexCache` is true.
+ * A note is re-parsed only if its `mtimeMs` or `size` has changed.
+ * The search index is rebuilt from the restored notes.
+ */
+export class NotebookIndexCache {
+  private data: CacheData | null = null;
+  private fileStats: { [key: FilePath]: { mtimeMs: number; size: number } } =
+    {};
+  /**
+   * The notes that are restored from the cache
+   */
+  private restoredFilePaths = new Set<FilePath>();
+
+  constructor(private notebook: Notebook) {}
+
+  private get crossnoteDirectoryPath() {
+    return path.join(this.notebook.notebookPath.fsPath, './.crossnote');
+  }
+
+  private get cacheFilePath() {
+    return path.join(this.crossnoteDirectoryPath, './cache/notebook.json');
+  }
+
+  private getConfigHash() {
+    const getIndexConfig = (config: NotebookConfig) => ({
+      markdownFileExtensions: config.markdownFileExtensions,
+      ignorePatterns: config.ignorePatterns,
+      enableWikiLinkSyntax: config.enableWikiLinkSyntax,
+      enableTagSyntax: config.enableTagSyntax,
+      wikiLinkTargetFileExtension: config.wikiLinkTargetFileExtension,
+      wikiLinkTargetFileNameChangeCase: config.wikiLinkTargetFileNameChangeCase,
+      wikiLinkResolution: config.wikiLinkResolution,
+      useGitHubStylePipedLink: config.useGitHubStylePipedLink,
+    });
+    const roots: { [key: string]: object } = {};
+    for (const name of this.notebook.getRootNames()) {
+      roots[name] = {
+        path: this.notebook.getRootUri(name).toString(),
+        ...getIndexConfig(this.notebook.getNoteConfig(`${name}:`)),
+      };
+    }
+    return hash({
+      ...getIndexConfig(this.notebook.config),
+      // The file paths of the notes in the other roots depend on the names
+      ...(Object.keys(roots).length
+        ? { rootName: this.notebook.rootName, roots }
+        : {}),
+    });
+  }
+
+  /**
+   * The cache is only used if the `.crossnote` directory exists.
+   */
+  private async isEnabled() {
+    return (
+      this.notebook.config.enableIndexCache &&
+      (await this.notebook.fs.exists(this.crossnoteDirectoryPath))
+    );
+  }
+
+  public async load() {
+    if (!(await this.isEnabled())) {
+      return;
+    }
+    try {
+      if (!(await this.notebook.fs.exists(this.cacheFilePath))) {
+        return;
+      }
+      const data: CacheData = JSON.parse(
+        await this.notebook.fs.readFile(this.cacheFilePath),
+      );
+      if (
+        data.version === CacheVersion &&
+        data.configHash === this.getConfigHash()
+      ) {
+        this.data = data;
+      }
+    } catch (error) {
+      console.error(error);
+      this.data = null;
+    }
+  }
+
+  /**
+   * Get the note from the cache if the file has not been changed.
+   */
+  public async getNote(
+    filePath: FilePath,
+    stats: FileSystemStats,
+  ): Promise<Note | null> {
+    this.fileStats[filePath] = { mtimeMs: stats.mtimeMs, size: stats.size };
+    const cachedNote = this.data?.notes[filePath];
+    if (
+      !cachedNote ||
+      cachedNote.mtimeMs !== stats.mtimeMs ||
+      cachedNote.size !== stats.size
+    ) {
+      return null;
+    }
+    let markdown: string;
+    try {
+      markdown = await this.notebook.fs.readFile(
+        this.notebook.resolveNoteAbsolutePath(filePath),
+      );
+    } catch (error) {
+      return null;
+    }
+    this.restoredFilePaths.add(filePath);
+    return {
+      ...cachedNote.note,
+      markdown,
+      notebookPath: this.notebook.notebookPath,
+      config: {
+        ...cachedNote.note.config,
+        createdAt: new Date(cachedNote.note.config.createdAt),
+        modifiedAt: new Date(cachedNote.note.config.modifiedAt),
+      },
+      mentions: new Set<FilePath>(),
+    };
+  }
+
+  /**
+   * Get the references in the note if the note was got from the cache.
+   * The `token` of the restored reference only has the type of the link.
+   */
+  public getReferences(filePath: FilePath): Reference[] | null {
+    const cachedNote = this.data?.notes[filePath];
+    if (!cachedNote || !this.restoredFilePaths.has(filePath)) {
+      return null;
+    }
+    return cachedNote.references.map(({ wikilink, ...reference }) => ({
+      ...reference,
+      elementId: '',
+      parentToken: null,
+      token: new Token(wikilink ? 'wikilink' : 'link_open', '', 0),
+    }));
+  }
+
+  /**
+   * Whether the wikilinks in the cached references still resolve to the same notes.
+   * This is false if the aliases of any note have been changed, or
+   * if any note has been added or removed with `shortest` wiki link resolution in any root.
+   */
+  public hasSameWikilinkTargets(notes: Notes): boolean {
+    const cachedNotes = this.data?.notes;
+    if (!cachedNotes) {
+      return false;
+    }
+    const usesShortestResolution = [
+      this.notebook.config,
+      ...this.notebook
+        .getRootNames()
+        .map((name) => this.notebook.getNoteConfig(`${name}:`)),
+    ].some((config) => config.wikiLinkResolution === 'shortest');
+    const filePaths = new Set([
+      ...Object.keys(notes),
+      ...Object.keys(cachedNotes),
+    ]);
+    for (const filePath of filePaths) {
+      const note = notes[filePath];
+      const cachedNote = cachedNotes[filePath]?.note;
+      if ((!note || !cachedNote) && usesShortestResolution) {
+        return false;
+      }
+      const aliases = (note?.config.aliases ?? []).join('|');
+      const cachedAliases = (cachedNote?.config.aliases ?? []).join('|');
+      if (aliases !== cachedAliases) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  public async save(notes: Notes, referenceMap: ReferenceMap) {
+    if (!(await this.isEnabled())) {
+      return;
+    }
+
+    const references: { [key: FilePath]: CachedReference[] } = {};
+    for (const filePath in referenceMap.map) {
+      for (const referredByFilePath in referenceMap.map[filePath]) {
+        references[referredByFilePath] = (
+          references[referredByFilePath] ?? []
+        ).concat(
+          referenceMap.map[filePath][referredByFilePath].map(
+            ({ text, link, hash, line, candidates, token }) => ({
+              text,
+              link,
+              hash,
+              line,
+              ...(candidates ? { candidates } : {}),
+              ...(token.type === 'wikilink' ? { wikilink: true } : {}),
+            }),
+          ),
+        );
+      }
+    }
+
+    const data: CacheData = {
+      version: CacheVersion,
+      configHash: this.getConfigHash(),
+      notes: {},
+    };
+    for (const filePath in notes) {
+      const stats = this.fileStats[filePath];
+      if (!stats) {
+        continue;
+      }
+      const note = notes[filePath];
+      data.notes[filePath] = {
+        ...stats,
+        note: {
+          filePath: note.filePath,
+          title: note.title,
+          config: note.config,
+          bodyLineOffset: note.bodyLineOffset,
+          tags: note.tags,
+        },
+        references: references[filePath] ?? [],
+      };
+    }
+
+    try {
+      const cacheDirectoryPath = path.dirname(this.cacheFilePath);
+      await this.notebook.fs.mkdir(cacheDirectoryPath);
+      // Keep the cache out of the version control of the `.crossnote` directory
+      const gitignorePath = path.join(cacheDirectoryPath, './.gitignore');
+      if (!(await this.notebook.fs.exists(gitignorePath))) {
+        await this.notebook.fs.writeFile(gitignorePath, '*\n');
+      }
+      await this.notebook.fs.writeFile(
+        this.cacheFilePath,
+        JSON.stringify(data),
+      );
+    } catch (error) {
+      console.error(error);
+    }
+  }
+}
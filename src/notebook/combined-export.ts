@@ -0,0 +1,449 @@
+import Token from 'markdown-it/lib/token';
+import * as path from 'path';
+import { JsonObject } from 'type-fest';
+import { Notebook } from '.';
+import { parseBlockAttributes } from '../lib/block-attributes';
+import HeadingIdGenerator from '../markdown-engine/heading-id-generator';
+import { matter, matterStringify, parseHeadings } from './markdown';
+import { FilePath } from './note';
+import slash from './slash';
+
+export type CombinedExportFormat = 'html' | 'pdf' | 'epub' | 'docx';
+
+export interface CombinedExportOptions {
+  /**
+   * The notes to be combined in order.
+   */
+  notes?: FilePath[];
+  /**
+   * The folder whose notes are combined, relative to the notebook directory.
+   * The notes are ordered by the links in `SUMMARY.md` if it exists,
+   * otherwise by the `order` front matter and then by the file path.
+   */
+  folder?: string;
+  format: CombinedExportFormat;
+  /**
+   * The absolute path of the output file.
+   * Defaults to `<folder name>.<format>` in the notebook directory.
+   */
+  dest?: string;
+  /**
+   * The title of the document.
+   */
+  title?: string;
+  runAllCodeChunks?: boolean;
+}
+
+const ProtocolRegExp = /^[a-z][a-z0-9+.-]*:/i;
+const SummaryFileName = 'SUMMARY.md';
+
+/**
+ * Get the 0-based line numbers that are parsed as inline content,
+ * so that the links inside code blocks are kept as they are.
+ */
+function getInlineLines(notebook: Notebook, markdown: string): Set<number> {
+  const inlineLines = new Set<number>();
+  const traverse = (tokens: Token[]) => {
+    for (const token of tokens) {
+      if (token.type === 'inline' && token.map) {
+        for (let i = token.map[0]; i < token.map[1]; i++) {
+          inlineLines.add(i);
+        }
+      } else if (token.children && token.children.length) {
+        traverse(token.children);
+      }
+    }
+  };
+  traverse(notebook.md.parse(markdown, {}));
+  return inlineLines;
+}
+
+/**
+ * Resolve the note that the markdown link points at.
+ * Returns `null` if the link is not a link to a note.
+ */
+function resolveMarkdownLink(
+  notebook: Notebook,
+  href: string,
+  filePath: FilePath,
+): { target: FilePath; hash: string } | null {
+  try {
+    href = decodeURI(href);
+  } catch (error) {
+    return null;
+  }
+  const hashIndex = href.indexOf('#');
+  const hash = hashIndex >= 0 ? href.slice(hashIndex) : '';
+  const link = hashIndex >= 0 ? href.slice(0, hashIndex) : href;
+  if (
+    !link ||
+    !link.endsWith('.md') ||
+    (link.match(ProtocolRegExp) && notebook.parseRootPath(link).path === link)
+  ) {
+    return null;
+  }
+  return { target: notebook.resolveNoteLink(link, filePath), hash };
+}
+
+/**
+ * Get the notes linked from the `SUMMARY.md` in order.
+ */
+function getSummaryNoteFilePaths(
+  notebook: Notebook,
+  summaryFilePath: FilePath,
+): FilePath[] {
+  const { content } = matter(notebook.notes[summaryFilePath].markdown);
+  const inlineLines = getInlineLines(notebook, content);
+  const filePaths: FilePath[] = [];
+  content.split('\n').forEach((line, i) => {
+    if (!inlineLines.has(i)) {
+      return;
+    }
+    const regExp = /\[\[(.+?)\]\]|\[[^\]]*\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+    let match: RegExpExecArray | null;
+    while ((match = regExp.exec(line))) {
+      let target: FilePath | undefined;
+      if (match[1]) {
+        target = notebook.resolveWikilink(
+          notebook.processWikilink(match[1]).link,
+          summaryFilePath,
+        ).filePath;
+      } else {
+        target = resolveMarkdownLink(notebook, match[2], summaryFilePath)
+          ?.target;
+      }
+      if (target && target in notebook.notes && !filePaths.includes(target)) {
+        filePaths.push(target);
+      }
+    }
+  });
+  return filePaths;
+}
+
+/**
+ * Get the notes to be combined in order.
+ */
+export function getCombinedNoteFilePaths(
+  notebook: Notebook,
+  { notes, folder }: Pick<CombinedExportOptions, 'notes' | 'folder'>,
+): FilePath[] {
+  if (notes) {
+    return notes.map((note) => {
+      const filePath = path.normalize(notebook.resolveNoteRelativePath(note));
+      if (!(filePath in notebook.notes)) {
+        throw new Error(`Note "${note}" does not exist`);
+      }
+      return filePath;
+    });
+  }
+  if (folder === undefined) {
+    throw new Error('Either `notes` or `folder` should be provided');
+  }
+
+  const summaryFilePath = path.join(folder, SummaryFileName);
+  if (summaryFilePath in notebook.notes) {
+    return getSummaryNoteFilePaths(notebook, summaryFilePath);
+  }
+
+  const getOrder = (filePath: FilePath) => {
+    const order = matter(notebook.notes[filePath].markdown).data['order'];
+    return typeof order === 'number' ? order : Infinity;
+  };
+  return Object.keys(notebook.notes)
+    .filter((filePath) => {
+      const relativePath = path.relative(folder, filePath);
+      return (
+        !relativePath.startsWith('..') &&
+        !path.isAbsolute(relativePath) &&
+        path.basename(filePath) !== SummaryFileName
+      );
+    })
+    .sort((a, b) => getOrder(a) - getOrder(b) || a.localeCompare(b));
+}
+
+interface CombinedNote {
+  filePath: FilePath;
+  lines: string[];
+  inlineLines: Set<number>;
+  /**
+   * The id of the first heading, which the links to the note point at
+   */
+  anchor: string;
+  /**
+   * The heading id in the note -> the heading id in the combined document
+   */
+  headingIds: { [key: string]: string };
+}
+
+/**
+ * Give every heading an id that is unique in the combined document.
+ */
+function prepareNote(
+  notebook: Notebook,
+  filePath: FilePath,
+  headingIdGenerator: HeadingIdGenerator,
+): CombinedNote {
+  const note = notebook.notes[filePath];
+  const lines = matter(note.markdown).content.split('\n');
+  const headingIds: { [key: string]: string } = {};
+  let anchor = '';
+  for (const heading of parseHeadings(lines.join('\n'))) {
+    const attributesMatch = lines[heading.line].match(/{([^{]+)\}\s*$/);
+    let attributes: { [key: string]: unknown } = {};
+    if (attributesMatch) {
+      try {
+        attributes = parseBlockAttributes(attributesMatch[0]);
+      } catch (error) {
+        continue;
+      }
+    }
+    // The explicit id is kept
+    const id = attributes['id']
+      ? heading.id
+      : headingIdGenerator.generateId(heading.content);
+    headingIds[heading.id] = id;
+    anchor = anchor || id;
+    if (!attributes['id']) {
+      lines[heading.line] = `${'#'.repeat(heading.level)} ${
+        heading.content
+      } {#${id}${attributesMatch ? ' ' + attributesMatch[1].trim() : ''}}`;
+    }
+  }
+
+  if (!anchor) {
+    anchor = headingIdGenerator.generateId(note.title);
+    lines.unshift(`# ${note.title} {#${anchor}}`, '');
+  }
+  return {
+    filePath,
+    lines,
+    inlineLines: getInlineLines(notebook, lines.join('\n')),
+    anchor,
+    headingIds,
+  };
+}
+
+/**
+ * Concatenate the notes into one markdown document.
+ * The links between the combined notes are changed to the in-document anchors,
+ * and the other relative links are resolved against `directoryPath`.
+ * @param directoryPath The absolute path of the directory of the combined document
+ */
+export function combineNotes(
+  notebook: Notebook,
+  filePaths: FilePath[],
+  directoryPath: string,
+): string {
+  const headingIdGenerator = new HeadingIdGenerator();
+  const notes: { [key: string]: CombinedNote } = {};
+  for (const filePath of filePaths) {
+    notes[filePath] = prepareNote(notebook, filePath, headingIdGenerator);
+  }
+
+  const getAnchor = (target: FilePath, hash: string) => {
+    const note = notes[target];
+    const id = hash.slice(1);
+    return '#' + (id ? note.headingIds[id] ?? id : note.anchor);
+  };
+
+  return filePaths
+    .map((filePath) => {
+      const { lines, inlineLines, headingIds } = notes[filePath];
+      const absoluteFilePath = notebook.resolveNoteAbsolutePath(filePath);
+
+      // Resolve the relative link against the combined document
+      const resolveLink = (link: string) => {
+        if (!link || link.startsWith('#') || link.match(ProtocolRegExp)) {
+          return link;
+        }
+        const [, linkPath, suffix] = link.match(/^([^?#]*)(.*)$/) ?? [];
+        let decodedLinkPath: string;
+        try {
+          decodedLinkPath = decodeURI(linkPath);
+        } catch (error) {
+          return link;
+        }
+        const absolutePath = decodedLinkPath.startsWith('/')
+          ? path.join(
+              notebook.getRootUri(notebook.parseRootPath(filePath).root).fsPath,
+              decodedLinkPath,
+            )
+          : path.resolve(path.dirname(absoluteFilePath), decodedLinkPath);
+        const newLinkPath = slash(path.relative(directoryPath, absolutePath));
+        return (
+          (decodedLinkPath !== linkPath || newLinkPath.match(/\s/)
+            ? encodeURI(newLinkPath)
+            : newLinkPath) + suffix
+        );
+      };
+
+      const rewriteWikilink = (
+        match: string,
+        bang: string,
+        content: string,
+      ) => {
+        const { text, link } = notebook.processWikilink(content);
+        if (
+          link.match(ProtocolRegExp) &&
+          notebook.parseRootPath(link).path === link
+        ) {
+          return match;
+        }
+        const { filePath: target } = notebook.resolveWikilink(link, filePath);
+        if (!target) {
+          return match;
+        }
+        const hashIndex = link.indexOf('#');
+        const hash = hashIndex >= 0 ? link.slice(hashIndex) : '';
+        if (!bang && target in notes) {
+          return `[${text}](${getAnchor(target, hash)})`;
+        }
+        // The `root:` prefixed link resolves to the same note anywhere
+        const newLink = notebook.getRootLink(target) + hash;
+        return `${bang}[[${
+          notebook.config.useGitHubStylePipedLink
+            ? `${text}|${newLink}`
+            : `${newLink}|${text}`
+        }]]`;
+      };
+
+      const rewriteMarkdownLink = (
+        match: string,
+        prefix: string,
+        href: string,
+        title: string = '',
+      ) => {
+        if (href.startsWith('#')) {
+          const id = href.slice(1);
+          return `${prefix}(#${headingIds[id] ?? id}${title})`;
+        }
+        const resolved = resolveMarkdownLink(notebook, href, filePath);
+        if (!prefix.startsWith('!') && resolved && resolved.target in notes) {
+          return `${prefix}(${getAnchor(
+            resolved.target,
+            resolved.hash,
+          )}${title})`;
+        }
+        return `${prefix}(${resolveLink(href)}${title})`;
+      };
+
+      return lines
+        .map((line, i) => {
+          if (!inlineLines.has(i)) {
+            return line;
+          }
+          return (
+            line
+              // Both kinds of links are rewritten in one pass,
+              // so that the rewritten wikilinks are not rewritten again
+              .replace(
+                /(!?)\[\[(.+?)\]\]|(!?\[[^\]]*\])\(([^)\s]+)(\s+"[^"]*")?\)/g,
+                (match, bang, content, prefix, href, title) =>
+                  content !== undefined
+                    ? rewriteWikilink(match, bang, content)
+                    : rewriteMarkdownLink(match, prefix, href, title),
+              )
+              .replace(
+                /(<img\s[^>]*?src=["'])([^"']+)(["'])/gi,
+                (match, prefix, src, quote) =>
+                  prefix + resolveLink(src) + quote,
+              )
+              .replace(
+                /^(\s*@import\s+["'])([^"'[]+)(["'])/,
+                (match, prefix, src, quote) =>
+                  prefix + resolveLink(src) + quote,
+              )
+          );
+        })
+        .join('\n')
+        .trim();
+    })
+    .join('\n\n<!-- pagebreak -->\n\n');
+}
+
+/**
+ * Export the notes as one document.
+ * @returns The absolute path of the generated file
+ */
+export async function exportCombinedDocument(
+  notebook: Notebook,
+  {
+    notes,
+    folder,
+    format,
+    dest,
+    title,
+    runAllCodeChunks = false,
+  }: CombinedExportOptions,
+): Promise<string> {
+  const filePaths = getCombinedNoteFilePaths(notebook, { notes, folder });
+  if (!filePaths.length) {
+    throw new Error('No note to export');
+  }
+  const name = folder
+    ? path.basename(path.resolve(notebook.notebookPath.fsPath, folder))
+    : 'combined';
+  dest = dest ?? path.join(notebook.notebookPath.fsPath, `${name}.${format}`);
+
+  const frontMatter: JsonObject = {
+    title: title ?? name,
+  };
+  if (format === 'docx') {
+    frontMatter['output'] = {
+      word_document: { path: path.basename(dest) },
+    };
+  } else if (format === 'epub') {
+    frontMatter['output'] = {
+      custom_document: { path: path.basename(dest), toc: true },
+    };
+  }
+
+  // The combined markdown is written next to the output,
+  // so that the relative links keep working.
+  const sourcePath = path.join(
+    path.dirname(dest),
+    `.${path.basename(dest, path.extname(dest))}.combined.md`,
+  );
+  const markdown = combineNotes(notebook, filePaths, path.dirname(dest));
+  await notebook.fs.mkdir(path.dirname(dest));
+  await notebook.fs.writeFile(
+    sourcePath,
+    matterStringify('\n' + markdown + '\n', frontMatter),
+  );
+
+  const engines = notebook.getNoteMarkdownEngines();
+  const engineKey = notebook.resolveNoteRelativePath(sourcePath);
+  try {
+    const engine = notebook.getNoteMarkdownEngine(sourcePath);
+    let outputFilePath: string;
+    if (format === 'html') {
+      outputFilePath = await engine.htmlExport({
+        offline: false,
+        runAllCodeChunks,
+      });
+    } else if (format === 'pdf') {
+      outputFilePath = await engine.chromeExport({
+        fileType: 'pdf',
+        runAllCodeChunks,
+      });
+    } else {
+      outputFilePath = await engine.pandocExport({ runAllCodeChunks });
+    }
+    if (path.resolve(outputFilePath) !== path.resolve(dest)) {
+      if (notebook.fs.rename) {
+        await notebook.fs.rename(outputFilePath, dest);
+      } else {
+        await notebook.fs.writeFile(
+          dest,
+          await notebook.fs.readFile(outputFilePath, 'binary'),
+          'binary',
+        );
+        await notebook.fs.unlink(outputFilePath);
+      }
+    }
+    return dest;
+  } finally {
+    delete engines[engineKey];
+    await notebook.fs.unlink(sourcePath);
+  }
+}
@@ -2,7 +2,9 @@ import * as fs from 'fs';
 import * as less from 'less';
 import * as path from 'path';
 import { interpretJS } from '../utility';
+import { DefaultIgnorePatterns } from './ignore';
 import {
+  FileChangeType,
   FileSystemApi,
   NotebookConfig,
   ParserConfig,
@@ -219,6 +221,82 @@ async function getParserConfig(
   }
 }
 
+/**
+ * Watch the directory and its subdirectories through `fs.watch`.
+ * The `recursive` option is not supported on Linux before Node.js 20,
+ * in which case each directory is watched separately.
+ * @returns A function to stop watching
+ */
+function watchDirectory(
+  dirPath: string,
+  callback: (absFilePath: string, eventType: fs.WatchEventType) => void,
+): () => void {
+  try {
+    const watcher = fs.watch(
+      dirPath,
+      { recursive: true },
+      (eventType, fileName) => {
+        if (fileName) {
+          callback(path.resolve(dirPath, fileName.toString()), eventType);
+        }
+      },
+    );
+    return () => watcher.close();
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw error;
+    }
+  }
+
+  const watchers = new Map<string, fs.FSWatcher>();
+  const unwatchTree = (directoryPath: string) => {
+    watchers.forEach((watcher, watchedPath) => {
+      if (
+        watchedPath === directoryPath ||
+        watchedPath.startsWith(directoryPath + path.sep)
+      ) {
+        watcher.close();
+        watchers.delete(watchedPath);
+      }
+    });
+  };
+  const watchTree = (directoryPath: string) => {
+    if (
+      watchers.has(directoryPath) ||
+      DefaultIgnorePatterns.includes(path.basename(directoryPath))
+    ) {
+      return;
+    }
+    try {
+      const watcher = fs.watch(directoryPath, (eventType, fileName) => {
+        if (!fileName) {
+          return;
+        }
+        const absFilePath = path.resolve(directoryPath, fileName.toString());
+        if (eventType === 'rename') {
+          if (fs.existsSync(absFilePath)) {
+            if (fs.statSync(absFilePath).isDirectory()) {
+              watchTree(absFilePath);
+            }
+          } else {
+            unwatchTree(absFilePath);
+          }
+        }
+        callback(absFilePath, eventType);
+      });
+      watchers.set(directoryPath, watcher);
+      fs.readdirSync(directoryPath, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .forEach((entry) => watchTree(path.join(directoryPath, entry.name)));
+    } catch (error) {
+      // The directory might be deleted before it is watched
+      unwatchTree(directoryPath);
+    }
+  };
+  watchTree(dirPath);
+  return () => unwatchTree(dirPath);
+}
+
 export function wrapNodeFSAsApi(): FileSystemApi {
   const fsPromises = fs.promises;
   return {
@@ -247,5 +325,23 @@ export function wrapNodeFSAsApi(): FileSystemApi {
     unlink: async (_path: string) => {
       return await fsPromises.unlink(_path);
     },
+    rename: async (oldPath: string, newPath: string) => {
+      return await fsPromises.rename(oldPath, newPath);
+    },
+    watch: (
+      _path: string,
+      callback: (path: string, type: FileChangeType) => void,
+    ) =>
+      watchDirectory(_path, (absFilePath, eventType) => {
+        if (eventType === 'change') {
+          callback(absFilePath, 'changed');
+        } else {
+          // The `rename` event is emitted when the file is created or deleted
+          callback(
+            absFilePath,
+            fs.existsSync(absFilePath) ? 'created' : 'deleted',
+          );
+        }
+      }),
   };
 }
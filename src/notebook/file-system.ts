@@ -0,0 +1,548 @@
+import * as pako from 'pako';
+import * as path from 'path';
+import { FileChangeType, FileSystemApi, FileSystemStats } from './types';
+
+function createStats(
+  type: 'file' | 'directory',
+  {
+    mtimeMs,
+    ctimeMs,
+    size,
+  }: { mtimeMs: number; ctimeMs: number; size: number },
+): FileSystemStats {
+  return {
+    mtimeMs,
+    ctimeMs,
+    size,
+    isFile: () => type === 'file',
+    isDirectory: () => type === 'directory',
+    isSymbolicLink: () => false,
+  };
+}
+
+function noSuchFileError(filePath: string) {
+  return Object.assign(
+    new Error(`ENOENT: no such file or directory, '${filePath}'`),
+    { code: 'ENOENT' },
+  );
+}
+
+function normalizePath(filePath: string) {
+  const normalized = path.normalize(filePath);
+  return normalized.length > 1 ? normalized.replace(/[\\/]+$/, '') : normalized;
+}
+
+/**
+ * Get the names of the direct children of the directory from the paths.
+ */
+function getChildNames(dirPath: string, paths: Iterable<string>) {
+  const names = new Set<string>();
+  for (const p of paths) {
+    const relativePath = path.relative(dirPath, p);
+    if (
+      relativePath &&
+      !relativePath.startsWith('..') &&
+      !path.isAbsolute(relativePath)
+    ) {
+      names.add(relativePath.split(/[\\/]/)[0]);
+    }
+  }
+  return Array.from(names).sort();
+}
+
+interface InMemoryFile {
+  content: string;
+  mtimeMs: number;
+  ctimeMs: number;
+}
+
+export type InMemoryFileSystemApi = Required<FileSystemApi> & {
+  /**
+   * Get the content of all files by their absolute paths.
+   */
+  toJSON: () => { [key: string]: string };
+};
+
+/**
+ * Create a file system that keeps the files in memory,
+ * which is useful for tests and for the browsers.
+ * The parent directories are created automatically when a file is written.
+ * @param files The initial files by their absolute paths
+ */
+export function createInMemoryFileSystem(
+  files: { [key: string]: string } = {},
+): InMemoryFileSystemApi {
+  const fileMap = new Map<string, InMemoryFile>();
+  const directories = new Set<string>();
+  const watchers = new Set<(filePath: string, type: FileChangeType) => void>();
+
+  const notify = (filePath: string, type: FileChangeType) => {
+    watchers.forEach((callback) => callback(filePath, type));
+  };
+  const addDirectory = (dirPath: string) => {
+    for (
+      let p = normalizePath(dirPath);
+      !directories.has(p);
+      p = path.dirname(p)
+    ) {
+      directories.add(p);
+      if (path.dirname(p) === p) {
+        break;
+      }
+    }
+  };
+  const isDirectory = (dirPath: string) => directories.has(dirPath);
+  const setFile = (filePath: string, content: string) => {
+    filePath = normalizePath(filePath);
+    if (isDirectory(filePath)) {
+      throw new Error(
+        `EISDIR: illegal operation on a directory, '${filePath}'`,
+      );
+    }
+    const now = Date.now();
+    const existingFile = fileMap.get(filePath);
+    fileMap.set(filePath, {
+      content,
+      mtimeMs: now,
+      ctimeMs: existingFile?.ctimeMs ?? now,
+    });
+    addDirectory(path.dirname(filePath));
+    notify(filePath, existingFile ? 'changed' : 'created');
+  };
+  const getFile = (filePath: string) => {
+    const file = fileMap.get(normalizePath(filePath));
+    if (!file) {
+      throw noSuchFileError(filePath);
+    }
+    return file;
+  };
+
+  for (const filePath in files) {
+    setFile(filePath, files[filePath]);
+  }
+
+  return {
+    readFile: async (filePath: string) => {
+      return getFile(filePath).content;
+    },
+    writeFile: async (filePath: string, content: string) => {
+      setFile(filePath, content);
+    },
+    mkdir: async (dirPath: string) => {
+      addDirectory(dirPath);
+    },
+    exists: async (filePath: string) => {
+      filePath = normalizePath(filePath);
+      return fileMap.has(filePath) || isDirectory(filePath);
+    },
+    stat: async (filePath: string) => {
+      filePath = normalizePath(filePath);
+      if (isDirectory(filePath)) {
+        return createStats('directory', { mtimeMs: 0, ctimeMs: 0, size: 0 });
+      }
+      const { content, mtimeMs, ctimeMs } = getFile(filePath);
+      return createStats('file', {
+        mtimeMs,
+        ctimeMs,
+        size: Buffer.byteLength(content),
+      });
+    },
+    readdir: async (dirPath: string) => {
+      dirPath = normalizePath(dirPath);
+      if (!isDirectory(dirPath)) {
+        throw noSuchFileError(dirPath);
+      }
+      return getChildNames(dirPath, [...fileMap.keys(), ...directories]);
+    },
+    unlink: async (filePath: string) => {
+      getFile(filePath);
+      fileMap.delete(normalizePath(filePath));
+      notify(normalizePath(filePath), 'deleted');
+    },
+    rename: async (oldPath: string, newPath: string) => {
+      const file = getFile(oldPath);
+      fileMap.delete(normalizePath(oldPath));
+      notify(normalizePath(oldPath), 'deleted');
+      setFile(newPath, file.content);
+    },
+    watch: (
+      dirPath: string,
+      callback: (filePath: string, type: FileChangeType) => void,
+    ) => {
+      dirPath = normalizePath(dirPath);
+      const watcher = (filePath: string, type: FileChangeType) => {
+        if (!path.relative(dirPath, filePath).startsWith('..')) {
+          callback(filePath, type);
+        }
+      };
+      watchers.add(watcher);
+      return () => {
+        watchers.delete(watcher);
+      };
+    },
+    toJSON: () => {
+      const result: { [key: string]: string } = {};
+      fileMap.forEach(({ content }, filePath) => (result[filePath] = content));
+      return result;
+    },
+  };
+}
+
+interface ZipEntry {
+  compressionMethod: number;
+  compressedSize: number;
+  localHeaderOffset: number;
+  mtimeMs: number;
+  size: number;
+}
+
+/**
+ * Convert the MS-DOS date and time of the zip entry to milliseconds.
+ */
+function dosDateTimeToMs(date: number, time: number) {
+  return new Date(
+    ((date >> 9) & 0x7f) + 1980,
+    ((date >> 5) & 0x0f) - 1,
+    date & 0x1f,
+    (time >> 11) & 0x1f,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) * 2,
+  ).getTime();
+}
+
+/**
+ * Read the entries from the central directory of the zip file.
+ */
+function readZipEntries(data: Uint8Array): { [key: string]: ZipEntry } {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  // Find the end of central directory record, which might be followed by a comment
+  let endOffset = -1;
+  for (let i = data.length - 22; i >= Math.max(0, data.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Invalid zip file: the central directory is not found');
+  }
+
+  const entries: { [key: string]: ZipEntry } = {};
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder('utf-8');
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error('Invalid zip file: the central directory is corrupted');
+    }
+    const fileNameLength = view.getUint16(offset + 28, true);
+    const extraFieldLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const fileName = decoder.decode(
+      data.subarray(offset + 46, offset + 46 + fileNameLength),
+    );
+    entries[fileName] = {
+      compressionMethod: view.getUint16(offset + 10, true),
+      mtimeMs: dosDateTimeToMs(
+        view.getUint16(offset + 14, true),
+        view.getUint16(offset + 12, true),
+      ),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+    };
+    offset += 46 + fileNameLength + extraFieldLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Create a read-only file system from the zip archive.
+ * Only the stored and deflated entries are supported.
+ * @param data The content of the zip file
+ * @param rootPath The absolute path where the archive is mounted
+ */
+export function createZipFileSystem(
+  data: Uint8Array,
+  rootPath = '/',
+): FileSystemApi {
+  rootPath = normalizePath(rootPath);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const files = new Map<string, ZipEntry>();
+  const directories = new Set<string>([rootPath]);
+  const entries = readZipEntries(data);
+  for (const fileName in entries) {
+    const filePath = normalizePath(path.join(rootPath, fileName));
+    if (fileName.endsWith('/')) {
+      directories.add(filePath);
+    } else {
+      files.set(filePath, entries[fileName]);
+    }
+    for (
+      let p = path.dirname(filePath);
+      p.length >= rootPath.length && !directories.has(p);
+      p = path.dirname(p)
+    ) {
+      directories.add(p);
+    }
+  }
+
+  const readOnlyError = () =>
+    Promise.reject(new Error('The zip file system is read-only'));
+  const getEntry = (filePath: string) => {
+    const entry = files.get(normalizePath(filePath));
+    if (!entry) {
+      throw noSuchFileError(filePath);
+    }
+    return entry;
+  };
+
+  return {
+    readFile: async (filePath: string) => {
+      const entry = getEntry(filePath);
+      const offset = entry.localHeaderOffset;
+      const dataOffset =
+        offset +
+        30 +
+        view.getUint16(offset + 26, true) +
+        view.getUint16(offset + 28, true);
+      const compressed = data.subarray(
+        dataOffset,
+        dataOffset + entry.compressedSize,
+      );
+      let content: Uint8Array;
+      if (entry.compressionMethod === 0) {
+        content = compressed;
+      } else if (entry.compressionMethod === 8) {
+        content = pako.inflateRaw(compressed);
+      } else {
+        throw new Error(
+          `Unsupported compression method ${entry.compressionMethod} of '${filePath}'`,
+        );
+      }
+      return new TextDecoder('utf-8').decode(content);
+    },
+    writeFile: readOnlyError,
+    mkdir: readOnlyError,
+    exists: async (filePath: string) => {
+      filePath = normalizePath(filePath);
+      return files.has(filePath) || directories.has(filePath);
+    },
+    stat: async (filePath: string) => {
+      filePath = normalizePath(filePath);
+      if (directories.has(filePath)) {
+        return createStats('directory', { mtimeMs: 0, ctimeMs: 0, size: 0 });
+      }
+      const { mtimeMs, size } = getEntry(filePath);
+      return createStats('file', { mtimeMs, ctimeMs: mtimeMs, size });
+    },
+    readdir: async (dirPath: string) => {
+      dirPath = normalizePath(dirPath);
+      if (!directories.has(dirPath)) {
+        throw noSuchFileError(dirPath);
+      }
+      return getChildNames(dirPath, [...files.keys(), ...directories]);
+    },
+    unlink: readOnlyError,
+    rename: readOnlyError,
+  };
+}
+
+export type OverlayFileSystemApi = Required<FileSystemApi> & {
+  /**
+   * Keep the unsaved content of the file in memory, which is returned by `readFile` instead of the content on disk.
+   */
+  setBuffer: (filePath: string, content: string) => Promise<void>;
+  /**
+   * Discard the unsaved content of the file.
+   */
+  deleteBuffer: (filePath: string) => Promise<void>;
+  /**
+   * Get the absolute paths of the files that have unsaved content.
+   */
+  getBufferPaths: () => string[];
+};
+
+/**
+ * Create a file system that keeps the unsaved buffers in memory on top of the base file system.
+ * The file changes are written to the base file system and discard the buffers,
+ * unless `readOnly` is `true`, in which case they are only kept in the buffers.
+ * @param base The file system below, for example, `wrapNodeFSAsApi()`
+ * @param readOnly Never modify the base file system
+ */
+export function createOverlayFileSystem(
+  base: FileSystemApi,
+  readOnly = false,
+): OverlayFileSystemApi {
+  const buffers = createInMemoryFileSystem();
+  /**
+   * The files that are deleted from the buffers in read-only mode
+   */
+  const deletedPaths = new Set<string>();
+  const watchers = new Set<(filePath: string, type: FileChangeType) => void>();
+  const notify = (filePath: string, type: FileChangeType) => {
+    watchers.forEach((callback) => callback(filePath, type));
+  };
+
+  /**
+   * The paths of the files in the buffers
+   */
+  const bufferPaths = new Set<string>();
+  const hasBuffer = (filePath: string) =>
+    bufferPaths.has(normalizePath(filePath));
+  const exists = async (filePath: string) =>
+    hasBuffer(filePath) ||
+    (!deletedPaths.has(normalizePath(filePath)) &&
+      (await base.exists(filePath)));
+
+  const setBuffer = async (filePath: string, content: string) => {
+    filePath = normalizePath(filePath);
+    deletedPaths.delete(filePath);
+    await buffers.writeFile(filePath, content);
+    bufferPaths.add(filePath);
+    notify(filePath, 'changed');
+  };
+  const removeBuffer = async (filePath: string) => {
+    filePath = normalizePath(filePath);
+    await buffers.unlink(filePath);
+    bufferPaths.delete(filePath);
+  };
+  const deleteBuffer = async (filePath: string) => {
+    if (hasBuffer(filePath)) {
+      await removeBuffer(filePath);
+      notify(normalizePath(filePath), 'changed');
+    }
+  };
+
+  return {
+    readFile: async (filePath: string, encoding?: BufferEncoding) => {
+      if (hasBuffer(filePath)) {
+        return await buffers.readFile(filePath);
+      }
+      if (deletedPaths.has(normalizePath(filePath))) {
+        throw noSuchFileError(filePath);
+      }
+      return await base.readFile(filePath, encoding);
+    },
+    writeFile: async (filePath: string, content: string, encoding?: string) => {
+      if (readOnly) {
+        await setBuffer(filePath, content);
+      } else {
+        await base.writeFile(filePath, content, encoding);
+        await deleteBuffer(filePath);
+      }
+    },
+    mkdir: async (dirPath: string) => {
+      if (readOnly) {
+        await buffers.mkdir(dirPath);
+      } else {
+        await base.mkdir(dirPath);
+      }
+    },
+    exists: async (filePath: string) => {
+      return (await exists(filePath)) || (await buffers.exists(filePath));
+    },
+    stat: async (filePath: string) => {
+      if (!(await exists(filePath)) && (await buffers.exists(filePath))) {
+        // The directory only exists in the buffers
+        return await buffers.stat(filePath);
+      }
+      if (!hasBuffer(filePath)) {
+        if (deletedPaths.has(normalizePath(filePath))) {
+          throw noSuchFileError(filePath);
+        }
+        return await base.stat(filePath);
+      }
+      const stats = await buffers.stat(filePath);
+      if (!(await base.exists(filePath))) {
+        return stats;
+      }
+      // Keep the creation time of the file on disk
+      const baseStats = await base.stat(filePath);
+      return createStats('file', {
+        mtimeMs: Math.max(stats.mtimeMs, baseStats.mtimeMs + 1),
+        ctimeMs: baseStats.ctimeMs,
+        size: stats.size,
+      });
+    },
+    readdir: async (dirPath: string) => {
+      const names = new Set<string>();
+      if (await base.exists(dirPath)) {
+        for (const name of await base.readdir(dirPath)) {
+          if (!deletedPaths.has(normalizePath(path.join(dirPath, name)))) {
+            names.add(name);
+          }
+        }
+      }
+      if (await buffers.exists(dirPath)) {
+        for (const name of await buffers.readdir(dirPath)) {
+          names.add(name);
+        }
+      }
+      if (!names.size && !(await base.exists(dirPath))) {
+        throw noSuchFileError(dirPath);
+      }
+      return Array.from(names).sort();
+    },
+    unlink: async (filePath: string) => {
+      if (readOnly) {
+        if (!(await exists(filePath))) {
+          throw noSuchFileError(filePath);
+        }
+        if (hasBuffer(filePath)) {
+          await removeBuffer(filePath);
+        }
+        deletedPaths.add(normalizePath(filePath));
+        notify(normalizePath(filePath), 'deleted');
+      } else {
+        await base.unlink(filePath);
+        await deleteBuffer(filePath);
+      }
+    },
+    rename: async (oldPath: string, newPath: string) => {
+      if (readOnly || hasBuffer(oldPath) || !base.rename) {
+        const content = hasBuffer(oldPath)
+          ? await buffers.readFile(oldPath)
+          : await base.readFile(oldPath);
+        if (readOnly) {
+          await setBuffer(newPath, content);
+        } else {
+          await base.writeFile(newPath, content);
+        }
+        if (readOnly) {
+          if (hasBuffer(oldPath)) {
+            await removeBuffer(oldPath);
+          }
+          deletedPaths.add(normalizePath(oldPath));
+          notify(normalizePath(oldPath), 'deleted');
+        } else {
+          await base.unlink(oldPath);
+          await deleteBuffer(oldPath);
+        }
+      } else {
+        await base.rename(oldPath, newPath);
+      }
+    },
+    watch: (
+      dirPath: string,
+      callback: (filePath: string, type: FileChangeType) => void,
+    ) => {
+      dirPath = normalizePath(dirPath);
+      const watcher = (filePath: string, type: FileChangeType) => {
+        if (!path.relative(dirPath, filePath).startsWith('..')) {
+          callback(filePath, type);
+        }
+      };
+      // The changes of the base file system and the buffers are filtered by the same watcher
+      const unwatchBase = base.watch?.(dirPath, watcher);
+      watchers.add(watcher);
+      return () => {
+        watchers.delete(watcher);
+        unwatchBase?.();
+      };
+    },
+    setBuffer,
+    deleteBuffer,
+    getBufferPaths: () => Array.from(bufferPaths).sort(),
+  };
+}
@@ -0,0 +1,304 @@
+import { Notebook } from '.';
+import { constructGraphView } from './graph-view';
+import { FilePath } from './note';
+
+export interface NoteRank {
+  filePath: FilePath;
+  /**
+   * The PageRank score of the note. The scores of all notes sum up to 1.
+   */
+  score: number;
+}
+
+export interface SuggestedLink {
+  source: FilePath;
+  target: FilePath;
+  /**
+   * The notes that are linked with both the source and the target
+   */
+  sharedNeighbors: FilePath[];
+  /**
+   * The Jaccard similarity of the neighbors of the source and the target
+   */
+  score: number;
+}
+
+export interface PageRankOptions {
+  /**
+   * @default 0.85
+   */
+  damping?: number;
+  /**
+   * @default 100
+   */
+  maxIterations?: number;
+  /**
+   * Stop iterating when the total change of the scores is less than this value.
+   * @default 1e-6
+   */
+  tolerance?: number;
+}
+
+export interface SuggestedLinksOptions {
+  /**
+   * The maximum number of suggestions to return.
+   * @default 10
+   */
+  limit?: number;
+  /**
+   * The minimum number of shared neighbors of the suggested notes.
+   * @default 2
+   */
+  minSharedNeighbors?: number;
+}
+
+interface NoteGraph {
+  filePaths: FilePath[];
+  /**
+   * source -> target -> weight
+   */
+  outLinks: Map<FilePath, Map<FilePath, number>>;
+  /**
+   * The linked notes in both directions
+   */
+  neighbors: Map<FilePath, Set<FilePath>>;
+}
+
+/**
+ * Build the graph of the existing notes from the reference map.
+ * Links to missing notes and links from a note to itself are ignored.
+ */
+function getNoteGraph(notebook: Notebook): NoteGraph {
+  const { nodes, links } = constructGraphView(notebook);
+  const filePaths = nodes
+    .filter((node) => node.type === 'note' && !node.missing)
+    .map((node) => node.id)
+    .sort();
+  const outLinks = new Map<FilePath, Map<FilePath, number>>();
+  const neighbors = new Map<FilePath, Set<FilePath>>();
+  for (const filePath of filePaths) {
+    outLinks.set(filePath, new Map());
+    neighbors.set(filePath, new Set());
+  }
+  for (const { source, target, type, weight } of links) {
+    if (
+      type !== 'note' ||
+      source === target ||
+      !outLinks.has(source) ||
+      !outLinks.has(target)
+    ) {
+      continue;
+    }
+    outLinks.get(source)?.set(target, weight);
+    neighbors.get(source)?.add(target);
+    neighbors.get(target)?.add(source);
+  }
+  return { filePaths, outLinks, neighbors };
+}
+
+/**
+ * Find the shortest path between two notes with breadth-first search.
+ * @param notebook
+ * @param from The path of the start note relative to the notebook directory
+ * @param to The path of the end note relative to the notebook directory
+ * @param directed Only follow the links from the referring notes to the referred notes
+ * @returns The file paths of the notes on the path including `from` and `to`, or `null` if there is no path
+ */
+export function getShortestPath(
+  notebook: Notebook,
+  from: FilePath,
+  to: FilePath,
+  directed = false,
+): FilePath[] | null {
+  const { outLinks, neighbors } = getNoteGraph(notebook);
+  if (!outLinks.has(from) || !outLinks.has(to)) {
+    return null;
+  }
+
+  const previous = new Map<FilePath, FilePath | null>([[from, null]]);
+  let frontier = [from];
+  while (frontier.length && !previous.has(to)) {
+    const next: FilePath[] = [];
+    for (const filePath of frontier) {
+      const adjacent = directed
+        ? outLinks.get(filePath)?.keys()
+        : neighbors.get(filePath)?.values();
+      for (const neighbor of Array.from(adjacent ?? []).sort()) {
+        if (!previous.has(neighbor)) {
+          previous.set(neighbor, filePath);
+          next.push(neighbor);
+        }
+      }
+    }
+    frontier = next;
+  }
+  if (!previous.has(to)) {
+    return null;
+  }
+
+  const path: FilePath[] = [];
+  for (let filePath: FilePath | null = to; filePath; ) {
+    path.unshift(filePath);
+    filePath = previous.get(filePath) ?? null;
+  }
+  return path;
+}
+
+/**
+ * Group the notes that are linked with each other, ignoring the direction of the links.
+ * @returns The groups of file paths, from the largest group
+ */
+export function getConnectedComponents(notebook: Notebook): FilePath[][] {
+  const { filePaths, neighbors } = getNoteGraph(notebook);
+  const visited = new Set<FilePath>();
+  const components: FilePath[][] = [];
+  for (const filePath of filePaths) {
+    if (visited.has(filePath)) {
+      continue;
+    }
+    const component: FilePath[] = [];
+    const stack = [filePath];
+    visited.add(filePath);
+    while (stack.length) {
+      const current = stack.pop() as FilePath;
+      component.push(current);
+      for (const neighbor of neighbors.get(current) ?? []) {
+        if (!visited.has(neighbor)) {
+          visited.add(neighbor);
+          stack.push(neighbor);
+        }
+      }
+    }
+    components.push(component.sort());
+  }
+  return components.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Rank the notes with PageRank, where the links are weighted by the number of references.
+ * @returns The ranks of the notes, from the highest score
+ */
+export function getPageRank(
+  notebook: Notebook,
+  {
+    damping = 0.85,
+    maxIterations = 100,
+    tolerance = 1e-6,
+  }: PageRankOptions = {},
+): NoteRank[] {
+  const { filePaths, outLinks } = getNoteGraph(notebook);
+  const count = filePaths.length;
+  if (!count) {
+    return [];
+  }
+
+  let scores = new Map<FilePath, number>(
+    filePaths.map((filePath) => [filePath, 1 / count]),
+  );
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    // The notes without links distribute their scores to all notes
+    let danglingScore = 0;
+    for (const filePath of filePaths) {
+      if (!outLinks.get(filePath)?.size) {
+        danglingScore += scores.get(filePath) ?? 0;
+      }
+    }
+
+    const base = (1 - damping) / count + (damping * danglingScore) / count;
+    const newScores = new Map<FilePath, number>(
+      filePaths.map((filePath) => [filePath, base]),
+    );
+    for (const filePath of filePaths) {
+      const targets = outLinks.get(filePath) ?? new Map<FilePath, number>();
+      let totalWeight = 0;
+      targets.forEach((weight) => (totalWeight += weight));
+      targets.forEach((weight, target) => {
+        newScores.set(
+          target,
+          (newScores.get(target) ?? 0) +
+            (damping * (scores.get(filePath) ?? 0) * weight) / totalWeight,
+        );
+      });
+    }
+
+    let change = 0;
+    for (const filePath of filePaths) {
+      change += Math.abs(
+        (newScores.get(filePath) ?? 0) - (scores.get(filePath) ?? 0),
+      );
+    }
+    scores = newScores;
+    if (change < tolerance) {
+      break;
+    }
+  }
+
+  return filePaths
+    .map((filePath) => ({ filePath, score: scores.get(filePath) ?? 0 }))
+    .sort((a, b) => b.score - a.score || a.filePath.localeCompare(b.filePath));
+}
+
+/**
+ * Suggest the links between the notes that share many neighbors but are not linked with each other.
+ * @param notebook
+ * @param filePath Only suggest the links from this note if provided
+ * @param options
+ * @returns The suggested links, from the most similar notes
+ */
+export function getSuggestedLinks(
+  notebook: Notebook,
+  filePath?: FilePath,
+  { limit = 10, minSharedNeighbors = 2 }: SuggestedLinksOptions = {},
+): SuggestedLink[] {
+  const { filePaths, neighbors } = getNoteGraph(notebook);
+  const sources = filePath
+    ? filePaths.filter((source) => source === filePath)
+    : filePaths;
+
+  const suggestions: SuggestedLink[] = [];
+  for (const source of sources) {
+    const sourceNeighbors = neighbors.get(source) ?? new Set<FilePath>();
+    // The notes that are two links away from the source
+    const candidates = new Set<FilePath>();
+    sourceNeighbors.forEach((neighbor) => {
+      neighbors.get(neighbor)?.forEach((candidate) => {
+        if (
+          candidate !== source &&
+          !sourceNeighbors.has(candidate) &&
+          // Only suggest each pair once if no note is specified
+          (filePath || source < candidate)
+        ) {
+          candidates.add(candidate);
+        }
+      });
+    });
+
+    candidates.forEach((target) => {
+      const targetNeighbors = neighbors.get(target) ?? new Set<FilePath>();
+      const sharedNeighbors = Array.from(sourceNeighbors)
+        .filter((neighbor) => targetNeighbors.has(neighbor))
+        .sort();
+      if (sharedNeighbors.length < minSharedNeighbors) {
+        return;
+      }
+      const unionSize =
+        sourceNeighbors.size + targetNeighbors.size - sharedNeighbors.length;
+      suggestions.push({
+        source,
+        target,
+        sharedNeighbors,
+        score: sharedNeighbors.length / unionSize,
+      });
+    });
+  }
+
+  return suggestions
+    .sort(
+      (a, b) =>
+        b.sharedNeighbors.length - a.sharedNeighbors.length ||
+        b.score - a.score ||
+        a.source.localeCompare(b.source) ||
+        a.target.localeCompare(b.target),
+    )
+    .slice(0, limit);
+}
@@ -1,14 +1,45 @@
 import hash from 'object-hash';
-import { basename } from 'path';
+import { basename, dirname } from 'path';
 import { Notebook } from '.';
+import slash from './slash';
+
+export type GraphViewNodeType = 'note' | 'tag' | 'folder';
+
 export interface GraphViewNode {
   id: string;
   label: string;
+  type: GraphViewNodeType;
+  /**
+   * The number of notes that link to this note
+   */
+  inDegree: number;
+  /**
+   * The number of notes that this note links to
+   */
+  outDegree: number;
+  /**
+   * Whether the note is not linked from any other note
+   */
+  orphan: boolean;
+  /**
+   * Whether the linked note does not exist
+   */
+  missing: boolean;
+  /**
+   * The folder of the note relative to the notebook directory, which can be used to cluster the nodes.
+   * `.` for the notes in the notebook directory.
+   */
+  folder?: string;
 }
 
 export interface GraphViewLink {
   source: string;
   target: string;
+  type: GraphViewNodeType;
+  /**
+   * The number of references from the source to the target
+   */
+  weight: number;
 }
 
 export interface GraphViewData {
@@ -17,20 +48,62 @@ export interface GraphViewData {
   links: GraphViewLink[];
 }
 
-export function constructGraphView(notebook: Notebook): GraphViewData {
+export interface GraphViewOptions {
+  /**
+   * Add a node for each tag, linked from the notes that have the tag.
+   * The id of the tag node is `#tag`.
+   */
+  includeTags?: boolean;
+  /**
+   * Add a node for each folder, linked from the notes and the folders in it.
+   * The id of the folder node is `folder/`.
+   */
+  includeFolders?: boolean;
+}
+
+function getFolder(filePath: string) {
+  return slash(dirname(filePath));
+}
+
+function getFolderNodeId(folder: string) {
+  return folder === '.' ? './' : folder + '/';
+}
+
+export function constructGraphView(
+  notebook: Notebook,
+  options: GraphViewOptions = {},
+): GraphViewData {
   const nodes: GraphViewNode[] = [];
   const links: GraphViewLink[] = [];
 
-  const addedNodes: { [key: string]: boolean } = {};
-  const addNode = (filePath: string) => {
-    if (filePath in addedNodes) {
-      return;
+  const addedNodes: { [key: string]: GraphViewNode } = {};
+  const addNode = (
+    id: string,
+    label: string,
+    type: GraphViewNodeType,
+    extra: Partial<GraphViewNode> = {},
+  ) => {
+    if (!(id in addedNodes)) {
+      const node: GraphViewNode = {
+        id,
+        label,
+        type,
+        inDegree: 0,
+        outDegree: 0,
+        orphan: false,
+        missing: false,
+        ...extra,
+      };
+      nodes.push(node);
+      addedNodes[id] = node;
     }
+    return addedNodes[id];
+  };
+  const addNoteNode = (filePath: string) => {
     const note = notebook.notes[filePath];
     if (note) {
-      nodes.push({
-        id: filePath,
-        label: note.title,
+      return addNode(filePath, note.title, 'note', {
+        folder: getFolder(filePath),
       });
     } else {
       const lastIndex = filePath.lastIndexOf('.');
@@ -38,33 +111,165 @@ export function constructGraphView(notebook: Notebook): GraphViewData {
       if (lastIndex > 0) {
         label = filePath.slice(0, lastIndex);
       }
-      nodes.push({
-        id: filePath,
-        label: basename(label),
+      return addNode(filePath, basename(label), 'note', {
+        folder: getFolder(filePath),
+        missing: true,
       });
     }
-    addedNodes[filePath] = true;
+  };
+  const addLink = (
+    source: string,
+    target: string,
+    type: GraphViewNodeType,
+    weight: number,
+  ) => {
+    links.push({ source, target, type, weight });
+    if (type === 'note') {
+      addedNodes[source].outDegree++;
+      addedNodes[target].inDegree++;
+    }
   };
 
   for (const filePath in notebook.referenceMap.map) {
     // eslint-disable-next-line no-prototype-builtins
     if (notebook.referenceMap.map.hasOwnProperty(filePath)) {
-      addNode(filePath);
+      addNoteNode(filePath);
       for (const referredByFilePath in notebook.referenceMap.map[filePath]) {
         if (
           // eslint-disable-next-line no-prototype-builtins
           notebook.referenceMap.map[filePath].hasOwnProperty(referredByFilePath)
         ) {
-          addNode(referredByFilePath);
-          links.push({
-            source: referredByFilePath,
-            target: filePath,
-          });
+          const references =
+            notebook.referenceMap.map[filePath][referredByFilePath];
+          addNoteNode(referredByFilePath);
+          // The note refers to itself only to declare its existence
+          if (!references.length) {
+            continue;
+          }
+          addLink(referredByFilePath, filePath, 'note', references.length);
+        }
+      }
+    }
+  }
+  for (const filePath in notebook.notes) {
+    addNoteNode(filePath);
+  }
+
+  for (const node of nodes) {
+    node.orphan = !node.missing && node.inDegree === 0;
+  }
+
+  if (options.includeTags) {
+    for (const filePath in notebook.notes) {
+      for (const tag of notebook.notes[filePath].tags ?? []) {
+        const tagNode = addNode(`#${tag}`, `#${tag}`, 'tag');
+        tagNode.inDegree++;
+        addLink(filePath, tagNode.id, 'tag', 1);
+      }
+    }
+  }
+
+  if (options.includeFolders) {
+    const addFolderNode = (folder: string) => {
+      const id = getFolderNodeId(folder);
+      if (!(id in addedNodes)) {
+        addNode(id, folder === '.' ? '/' : basename(folder), 'folder', {
+          folder: getFolder(folder),
+        });
+        if (folder !== '.') {
+          const parent = addFolderNode(getFolder(folder));
+          parent.inDegree++;
+          addLink(id, parent.id, 'folder', 1);
         }
       }
+      return addedNodes[id];
+    };
+    for (const node of nodes.slice()) {
+      if (node.type === 'note' && !node.missing && node.folder) {
+        const folderNode = addFolderNode(node.folder);
+        folderNode.inDegree++;
+        addLink(node.id, folderNode.id, 'folder', 1);
+      }
+    }
+  }
+
+  return {
+    hash: hash({ nodes, links }),
+    nodes,
+    links,
+  };
+}
+
+/**
+ * Construct the graph view of the notes within `depth` links from the note.
+ * The links are followed in both directions.
+ * The tag and folder nodes of the notes in the neighborhood are included if enabled in the options.
+ * @param notebook
+ * @param filePath The path of the note relative to the notebook directory
+ * @param depth The maximum number of links from the note
+ * @param options
+ */
+export function constructLocalGraphView(
+  notebook: Notebook,
+  filePath: string,
+  depth = 1,
+  options: GraphViewOptions = {},
+): GraphViewData {
+  const graphView = constructGraphView(notebook, options);
+
+  const neighbors: { [key: string]: string[] } = {};
+  for (const link of graphView.links) {
+    if (link.type === 'note') {
+      neighbors[link.source] = (neighbors[link.source] ?? []).concat(
+        link.target,
+      );
+      neighbors[link.target] = (neighbors[link.target] ?? []).concat(
+        link.source,
+      );
+    }
+  }
+
+  // Breadth-first search from the note
+  const included = new Set<string>();
+  if (graphView.nodes.some((node) => node.id === filePath)) {
+    included.add(filePath);
+  }
+  let frontier = Array.from(included);
+  for (let i = 0; i < depth && frontier.length; i++) {
+    const next: string[] = [];
+    for (const id of frontier) {
+      for (const neighbor of neighbors[id] ?? []) {
+        if (!included.has(neighbor)) {
+          included.add(neighbor);
+          next.push(neighbor);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  // Include the tags and the folders of the notes
+  for (const link of graphView.links) {
+    if (link.type === 'tag' && included.has(link.source)) {
+      included.add(link.target);
+    }
+  }
+  const folderLinks = graphView.links.filter((link) => link.type === 'folder');
+  let added = true;
+  while (added) {
+    added = false;
+    for (const link of folderLinks) {
+      if (included.has(link.source) && !included.has(link.target)) {
+        included.add(link.target);
+        added = true;
+      }
     }
   }
 
+  const nodes = graphView.nodes.filter((node) => included.has(node.id));
+  const links = graphView.links.filter(
+    (link) => included.has(link.source) && included.has(link.target),
+  );
   return {
     hash: hash({ nodes, links }),
     nodes,
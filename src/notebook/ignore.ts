@@ -0,0 +1,104 @@
+import ignore, { Ignore } from 'ignore';
+import * as path from 'path';
+import slash from './slash';
+import { FileSystemApi } from './types';
+
+/**
+ * The patterns that are always ignored.
+ */
+export const DefaultIgnorePatterns = ['node_modules', '.git', '.crossnote'];
+
+/**
+ * Check whether a file in the notebook should be ignored.
+ *
+ * The rules come from:
+ * - the `ignorePatterns` option of the notebook config,
+ * - `${notebookPath}/.crossnote/ignore`,
+ * - the `.gitignore` files in the notebook directory and its subdirectories.
+ */
+export class IgnoreFilter {
+  private rootIgnore: Promise<Ignore> | null = null;
+  /**
+   * Relative directory path -> `.gitignore` rules in that directory
+   */
+  private gitignores: { [key: string]: Promise<Ignore | null> } = {};
+
+  constructor(
+    private notebookPath: string,
+    private fs: FileSystemApi,
+    private patterns: string[] = [],
+  ) {}
+
+  private async readFileIfExists(filePath: string): Promise<string | null> {
+    try {
+      if (await this.fs.exists(filePath)) {
+        return await this.fs.readFile(filePath);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+    return null;
+  }
+
+  private getRootIgnore() {
+    if (!this.rootIgnore) {
+      this.rootIgnore = (async () => {
+        const content = await this.readFileIfExists(
+          path.join(this.notebookPath, './.crossnote/ignore'),
+        );
+        return ignore()
+          .add(DefaultIgnorePatterns)
+          .add(this.patterns)
+          .add(content ?? '');
+      })();
+    }
+    return this.rootIgnore;
+  }
+
+  private getGitignore(dir: string) {
+    if (!(dir in this.gitignores)) {
+      this.gitignores[dir] = (async () => {
+        const content = await this.readFileIfExists(
+          path.join(this.notebookPath, dir, '.gitignore'),
+        );
+        return content === null ? null : ignore().add(content);
+      })();
+    }
+    return this.gitignores[dir];
+  }
+
+  /**
+   * @param filePath The path relative to the notebook directory
+   * @param isDirectory Whether the path is a directory
+   */
+  public async ignores(filePath: string, isDirectory = false) {
+    const relativePath = slash(path.normalize(filePath)).replace(/\/$/, '');
+    if (
+      !relativePath ||
+      relativePath === '.' ||
+      relativePath.startsWith('../') ||
+      path.isAbsolute(relativePath)
+    ) {
+      return false;
+    }
+    const toTestPath = (p: string) => (isDirectory ? p + '/' : p);
+
+    const rootIgnore = await this.getRootIgnore();
+    if (rootIgnore.ignores(toTestPath(relativePath))) {
+      return true;
+    }
+
+    // Check the `.gitignore` in every ancestor directory
+    const segments = relativePath.split('/');
+    for (let i = 0; i < segments.length; i++) {
+      const gitignore = await this.getGitignore(segments.slice(0, i).join('/'));
+      if (
+        gitignore &&
+        gitignore.ignores(toTestPath(segments.slice(i).join('/')))
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
@@ -11,6 +11,7 @@ import Token from 'markdown-it/lib/token';
 import * as path from 'path';
 import { URI, Utils } from 'vscode-uri';
 import useMarkdownAdmonition from '../custom-markdown-it-features/admonition';
+import useMarkdownItBlockId from '../custom-markdown-it-features/block-id';
 import useMarkdownItCodeFences from '../custom-markdown-it-features/code-fences';
 import useMarkdownItCriticMarkup from '../custom-markdown-it-features/critic-markup';
 import useMarkdownItCurlyBracketAttributes from '../custom-markdown-it-features/curly-bracket-attributes';
@@ -18,26 +19,127 @@ import useMarkdownItEmoji from '../custom-markdown-it-features/emoji';
 import useMarkdownItHTML5Embed from '../custom-markdown-it-features/html5-embed';
 import useMarkdownItMath from '../custom-markdown-it-features/math';
 import useMarkdownItSourceMap from '../custom-markdown-it-features/sourcemap';
+import useMarkdownItTag from '../custom-markdown-it-features/tag';
 import useMarkdownItWidget from '../custom-markdown-it-features/widget';
 import useMarkdownItWikilink from '../custom-markdown-it-features/wikilink';
-import { MarkdownEngine } from '../markdown-engine';
+import {
+  MarkdownEngine,
+  RenderToHtmlOptions,
+  RenderToHtmlOutput,
+} from '../markdown-engine';
+import HeadingIdGenerator from '../markdown-engine/heading-id-generator';
 import { replaceVariablesInString } from '../utility';
+import { renderBacklinkSnippets } from './backlinks';
+import { NotebookIndexCache } from './cache';
+import {
+  CombinedExportOptions,
+  exportCombinedDocument,
+} from './combined-export';
 import { loadConfigsInDirectory, wrapNodeFSAsApi } from './config-helper';
-import { matter, matterStringify } from './markdown';
-import { FilePath, Mentions, Note, NoteConfig, Notes } from './note';
+import {
+  NoteRank,
+  PageRankOptions,
+  SuggestedLink,
+  SuggestedLinksOptions,
+  getConnectedComponents,
+  getPageRank,
+  getShortestPath,
+  getSuggestedLinks,
+} from './graph-analytics';
+import {
+  GraphViewData,
+  GraphViewOptions,
+  constructGraphView,
+  constructLocalGraphView,
+} from './graph-view';
+import { IgnoreFilter } from './ignore';
+import { LinkHealthReport, getLinkHealthReport } from './link-health';
+import { rewriteNoteLinks } from './link-rewriter';
+import {
+  getFrontMatterTags,
+  getHeadings,
+  MarkdownHeading,
+  matter,
+  matterStringify,
+  normalizeTag,
+  parseHeadings,
+} from './markdown';
+import {
+  FilePath,
+  Mentions,
+  Note,
+  NoteConfig,
+  NoteConfigFrontMatterKeys,
+  Notes,
+  getNoteConfigFromFrontMatter,
+  mergeNoteConfigIntoFrontMatter,
+} from './note';
 import { Reference, ReferenceMap } from './reference';
-import Search from './search';
+import { FrontMatterSchemas, SchemaDirectoryPath } from './schema';
+import Search, { SearchNotesOptions, SearchNotesResult } from './search';
+import { ExportSiteOptions, exportSite } from './site';
+import slash from './slash';
+import { Task, TaskFilter, getTasks } from './tasks';
+import {
+  NoteFromTemplate,
+  PeriodicNoteType,
+  createNoteFromTemplate,
+  getOrCreatePeriodicNote,
+  getTemplateNames,
+} from './templates';
+import { getUnlinkedMentions, linkUnlinkedMention } from './unlinked-mentions';
 import {
   Backlink,
   ExtendedMarkdownItOptions,
+  FileChangeType,
   FileSystemApi,
   FileSystemStats,
   IS_NODE,
+  NoteDiagnostic,
   NotebookConfig,
+  ResolvedWikilink,
+  TagInfo,
+  UnlinkedMention,
+  UnlinkedMentionReference,
   getDefaultNotebookConfig,
 } from './types';
 
 export * from './types';
+export type {
+  CombinedExportFormat,
+  CombinedExportOptions,
+} from './combined-export';
+export type {
+  NoteRank,
+  PageRankOptions,
+  SuggestedLink,
+  SuggestedLinksOptions,
+} from './graph-analytics';
+export type {
+  GraphViewData,
+  GraphViewLink,
+  GraphViewNode,
+  GraphViewNodeType,
+  GraphViewOptions,
+} from './graph-view';
+export type {
+  AmbiguousWikilinkIssue,
+  LinkHealthReport,
+  LinkIssue,
+  MissingHeadingLinkIssue,
+} from './link-health';
+export type {
+  SearchNotesOptions,
+  SearchNotesResult,
+  SearchSnippet,
+} from './search';
+export type { ExportSiteOptions } from './site';
+export type { Task, TaskFilter, TaskPriority } from './tasks';
+export type {
+  NoteFromTemplate,
+  NoteTemplateCursor,
+  PeriodicNoteType,
+} from './templates';
 
 const defaultMarkdownItConfig: Partial<ExtendedMarkdownItOptions> = {
   html: true, // Enable HTML tags in source
@@ -66,6 +168,38 @@ interface NotebookConstructorArgs {
    * You can check `wrapNodeFSAsApi` in `config-helper.ts` as a reference.
    */
   fs?: FileSystemApi;
+  /**
+   * The other directories of the notebook by their names, for example, `{ personal: '/home/user/notes' }`.
+   * The paths follow the same rules as `notebookPath`.
+   *
+   * The notes in a root have the file paths like `personal:ideas/a.md`,
+   * and other notes can link to them with wikilinks like `[[personal:ideas/a]]`.
+   * The configs from ".crossnote/*" of a root override the notebook config for its notes.
+   */
+  roots?: { [name: string]: string };
+  /**
+   * The name of the notebook directory, which the notes in other roots use to link to its notes,
+   * for example, `[[main:README]]`.
+   * @default 'main'
+   */
+  rootName?: string;
+}
+
+/**
+ * A directory of the notebook other than the notebook directory
+ */
+interface NotebookRoot {
+  uri: URI;
+  /**
+   * The configs from ".crossnote/*" of the root
+   */
+  config: Partial<NotebookConfig>;
+  /**
+   * The notebook config merged with the configs of the root
+   */
+  mergedConfig: NotebookConfig | null;
+  ignoreFilter: IgnoreFilter;
+  frontMatterSchemas: FrontMatterSchemas;
 }
 
 interface RefreshNotesIfNotLoaded {
@@ -84,13 +218,38 @@ export class Notebook {
   public notebookPath: URI;
   public config: NotebookConfig;
   public fs: FileSystemApi;
+  /**
+   * The name of the notebook directory in the `root:` prefixed paths
+   */
+  public rootName: string = 'main';
+  private roots: { [name: string]: NotebookRoot } = {};
 
   public notes: Notes = {};
   public hasLoadedNotes: boolean = false;
   public referenceMap: ReferenceMap = new ReferenceMap();
   private refreshNotesIfNotLoadedMutex: Mutex = new Mutex();
+  private writeNoteMutex: Mutex = new Mutex();
 
   private search: Search = new Search();
+  private ignoreFilter: IgnoreFilter;
+  private frontMatterSchemas: FrontMatterSchemas;
+  /**
+   * The on-disk cache of the notebook index.
+   * This is only set while loading the notes in `refreshNotesIfNotLoaded`.
+   */
+  private indexCache: NotebookIndexCache | null = null;
+  /**
+   * The headings of each note, which are parsed lazily
+   */
+  private noteHeadings: WeakMap<Note, MarkdownHeading[]> = new WeakMap();
+  /**
+   * Lower case file names and aliases -> notes with that file name or alias.
+   * This is built lazily and reset whenever a note is added, removed or changed.
+   */
+  private wikilinkTargets: {
+    fileNames: { [key: string]: FilePath[] };
+    aliases: { [key: string]: FilePath[] };
+  } | null = null;
 
   public md: MarkdownIt;
   /**
@@ -105,18 +264,22 @@ export class Notebook {
     notebookPath,
     config = {},
     fs,
+    roots = {},
+    rootName = 'main',
   }: NotebookConstructorArgs) {
-    const uri = URI.parse(notebookPath);
+    const parseAbsolutePath = (name: string, value: string) => {
+      const uri = URI.parse(value);
+      // Check if workspaceFolder is absolute path
+      if (!path.isAbsolute(uri.fsPath) || uri.path.startsWith('/./')) {
+        throw new Error(`\`${name}\`: "${value}" must be an absolute path`);
+      }
+      return uri;
+    };
 
-    // Check if workspaceFolder is absolute path
-    if (!path.isAbsolute(uri.fsPath) || uri.path.startsWith('/./')) {
-      throw new Error(
-        `\`notebookPath\`: "${notebookPath}" must be an absolute path`,
-      );
-    }
-    this.notebookPath = uri;
+    this.notebookPath = parseAbsolutePath('notebookPath', notebookPath);
     this.initFs(fs);
     await this.initConfig(config);
+    await this.initRoots(roots, rootName, parseAbsolutePath);
     this.md = this.initMarkdownIt();
     this.updateConfig({});
   }
@@ -139,6 +302,54 @@ export class Notebook {
     };
   }
 
+  private async initRoots(
+    roots: { [name: string]: string },
+    rootName: string,
+    parseAbsolutePath: (name: string, value: string) => URI,
+  ) {
+    this.rootName = rootName;
+    for (const name of [rootName, ...Object.keys(roots)]) {
+      if (!name.match(/^[\w-]{2,}$/)) {
+        throw new Error(
+          `Root name "${name}" must be at least 2 letters, digits, "_" or "-"`,
+        );
+      }
+    }
+    if (rootName in roots) {
+      throw new Error(`Root name "${rootName}" is already used`);
+    }
+
+    this.roots = {};
+    const rootPaths: { [name: string]: string } = {
+      [rootName]: this.notebookPath.fsPath,
+    };
+    for (const name in roots) {
+      const uri = parseAbsolutePath(`roots.${name}`, roots[name]);
+      // The notes in the overlapping roots would be indexed twice
+      for (const otherName in rootPaths) {
+        const relativePath = path.relative(rootPaths[otherName], uri.fsPath);
+        if (
+          !path.isAbsolute(relativePath) &&
+          (!relativePath.startsWith('..') ||
+            relativePath.split(path.sep).every((part) => part === '..'))
+        ) {
+          throw new Error(`Root "${name}" overlaps with "${otherName}"`);
+        }
+      }
+      rootPaths[name] = uri.fsPath;
+      const crossnoteDirectoryPath = path.join(uri.fsPath, './.crossnote');
+      this.roots[name] = {
+        uri,
+        config: (await this.fs.exists(crossnoteDirectoryPath))
+          ? await loadConfigsInDirectory(crossnoteDirectoryPath, this.fs)
+          : {},
+        mergedConfig: null,
+        ignoreFilter: new IgnoreFilter(uri.fsPath, this.fs),
+        frontMatterSchemas: new FrontMatterSchemas(uri.fsPath, this.fs),
+      };
+    }
+  }
+
   public initMarkdownIt(options?: ExtendedMarkdownItOptions) {
     const md = new MarkdownIt(options ?? defaultMarkdownItConfig);
 
@@ -157,6 +368,8 @@ export class Notebook {
     useMarkdownItHTML5Embed(md, this);
     useMarkdownItMath(md, this);
     useMarkdownItWikilink(md, this);
+    useMarkdownItTag(md, this);
+    useMarkdownItBlockId(md);
     useMarkdownAdmonition(md);
     useMarkdownItSourceMap(md);
     useMarkdownItWidget(md, this);
@@ -184,6 +397,12 @@ export class Notebook {
     // Interpolate config
     this.interpolateConfig();
 
+    this.initIgnoreFilter();
+    this.initFrontMatterSchemas();
+    for (const name in this.roots) {
+      this.roots[name].mergedConfig = null;
+    }
+
     // Update markdown-it
     this.md.set({
       typographer: !!this.config.enableTypographer,
@@ -192,6 +411,62 @@ export class Notebook {
     });
   }
 
+  private initIgnoreFilter() {
+    this.ignoreFilter = new IgnoreFilter(
+      this.notebookPath.fsPath,
+      this.fs,
+      this.config.ignorePatterns,
+    );
+    for (const name in this.roots) {
+      const root = this.roots[name];
+      root.ignoreFilter = new IgnoreFilter(
+        root.uri.fsPath,
+        this.fs,
+        this.getRootConfig(name).ignorePatterns,
+      );
+    }
+  }
+
+  private initFrontMatterSchemas() {
+    this.frontMatterSchemas = new FrontMatterSchemas(
+      this.notebookPath.fsPath,
+      this.fs,
+    );
+    for (const name in this.roots) {
+      const root = this.roots[name];
+      root.frontMatterSchemas = new FrontMatterSchemas(
+        root.uri.fsPath,
+        this.fs,
+      );
+    }
+  }
+
+  /**
+   * Get the config of the root, which is the notebook config merged with the configs from ".crossnote/*" of the root.
+   * @param name The name of the root, or `''` for the notebook directory
+   */
+  private getRootConfig(name: string): NotebookConfig {
+    const root = this.roots[name];
+    if (!root) {
+      return this.config;
+    }
+    if (!root.mergedConfig) {
+      root.mergedConfig = { ...this.config, ...root.config };
+    }
+    return root.mergedConfig;
+  }
+
+  /**
+   * Get the config that applies to the note.
+   * The configs from ".crossnote/*" of the root of the note override the notebook config.
+   * @param filePath The path of the note
+   */
+  public getNoteConfig(filePath: string): NotebookConfig {
+    return this.getRootConfig(
+      this.parseRootPath(this.resolveNoteRelativePath(filePath)).root,
+    );
+  }
+
   private interpolateConfig() {
     const replacements = {
       projectDir: this.notebookPath.fsPath,
@@ -258,18 +533,58 @@ export class Notebook {
           config: note.config,
         },
         references,
-        // FIXME: The link is not correct. Needs to resolve the path correctly.
-        referenceHtmls: references.map((reference) => {
-          const tokens = [reference.parentToken ?? reference.token];
-          const html = this.md.renderer.render(tokens, this.md.options, {});
-          return html;
-        }),
+        ...renderBacklinkSnippets(this, note, references),
       });
     }
 
     return backlinks;
   }
 
+  /**
+   * Get the plain text mentions of the title or the aliases of the note in other notes
+   * that are not linked to the note yet.
+   * @param filePath
+   */
+  public async getNoteUnlinkedMentions(
+    filePath: string,
+  ): Promise<UnlinkedMention[]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return await getUnlinkedMentions(
+      this,
+      this.resolveNoteRelativePath(filePath),
+    );
+  }
+
+  /**
+   * Convert the unlinked mention into a wikilink to the note by editing the referring note.
+   * @param filePath The note that is mentioned
+   * @param referrerFilePath The note that contains the mention
+   * @param reference The mention returned by `getNoteUnlinkedMentions`
+   * @returns The updated referring note
+   */
+  public async linkNoteUnlinkedMention(
+    filePath: string,
+    referrerFilePath: string,
+    reference: UnlinkedMentionReference,
+  ): Promise<Note | null> {
+    return await this.writeNoteMutex.runExclusive(async () => {
+      filePath = this.resolveNoteRelativePath(filePath);
+      referrerFilePath = this.resolveNoteRelativePath(referrerFilePath);
+      const absFilePath = this.resolveNoteAbsolutePath(referrerFilePath);
+      const markdown = await this.fs.readFile(absFilePath);
+      const newMarkdown = linkUnlinkedMention(this, markdown, {
+        filePath,
+        referrerFilePath,
+        reference,
+      });
+      await this.fs.writeFile(absFilePath, newMarkdown);
+      return await this.getNote(referrerFilePath, true);
+    });
+  }
+
   public async getReferences(
     noteFilePath: string,
     backlinkedNoteFilePath: string,
@@ -287,34 +602,39 @@ export class Notebook {
     }
     // Get mentions
     const tokens = this.md.parse(note.markdown, {});
+    const { data, content } = matter(note.markdown);
+    const lines = note.markdown.split('\n');
+    // Line offset from `note.markdown` to the note file
+    const lineOffset =
+      (note.bodyLineOffset ?? 0) - (lines.length - content.split('\n').length);
+
+    const resolveLink = (link: string) => {
+      return this.resolveNoteLink(link, note.filePath);
+    };
+
+    const addFileProtocol = (link: string) => {
+      return this.resolveNoteUri(link).toString();
+    };
 
     /**
-     * Change the link to path relative to the notebook directory
-     * @param link
-     * @returns
+     * Find the line of the link in the note file
      */
-    const resolveLink = (link: string) => {
-      if (!link.endsWith('.md')) {
-        link = link + '.md';
+    const getLine = (parentToken: Token | null, needles: string[]) => {
+      if (!parentToken?.map) {
+        return undefined;
       }
-      if (link.startsWith('/')) {
-        return path.relative(
-          this.notebookPath.fsPath,
-          path.join(this.notebookPath.fsPath, '.' + link),
-        );
-      } else {
-        return path.relative(
-          this.notebookPath.fsPath,
-          path.join(
-            path.dirname(path.join(this.notebookPath.fsPath, note.filePath)),
-            link,
-          ),
-        );
+      const [start, end] = parentToken.map;
+      for (let i = start; i < end; i++) {
+        if (needles.every((needle) => lines[i]?.includes(needle))) {
+          return i + lineOffset;
+        }
       }
+      return start + lineOffset;
     };
 
-    const addFileProtocol = (link: string) => {
-      return Utils.joinPath(this.notebookPath, link).toString();
+    const getHash = (link: string) => {
+      const hashIndex = link.indexOf('#');
+      return hashIndex >= 0 ? link.slice(hashIndex) : '';
     };
 
     const traverse = (
@@ -336,12 +656,19 @@ export class Notebook {
             continue;
           }
 
+          const line = getLine(parentToken, [`[[${token.content}]]`]);
+          const hash = getHash(link);
+          const { filePath: resolvedLink, candidates } = this.resolveWikilink(
+            link,
+            note.filePath,
+          );
+
           // Replace the token content
-          link = resolveLink(link);
+          link = resolvedLink;
           if (this.config.useGitHubStylePipedLink) {
-            token.content = `${text} | ${addFileProtocol(link)}`;
+            token.content = `${text} | ${addFileProtocol(link)}${hash}`;
           } else {
-            token.content = `${addFileProtocol(link)} | ${text}`;
+            token.content = `${addFileProtocol(link)}${hash} | ${text}`;
           }
 
           // console.log("find link token: ", token, parentToken);
@@ -349,20 +676,14 @@ export class Notebook {
             elementId: token.attrGet('id') || '',
             text,
             link, // resolveLink(link),
+            hash,
+            line,
+            ...(candidates.length ? { candidates } : {}),
             parentToken,
             token,
           });
         } else if (token.type === 'tag') {
-          const text = token.content.trim();
-          const link = token.content.trim();
-          // console.log("find link token: ", token, parentToken);
-          results.push({
-            elementId: token.attrGet('id') || '',
-            text,
-            link: resolveLink(link),
-            parentToken,
-            token,
-          });
+          tags.add(token.content);
         } else if (
           token.type === 'link_open' &&
           tokens[i + 1] &&
@@ -371,10 +692,11 @@ export class Notebook {
           if (token.attrs?.length && token.attrs[0][0] === 'href') {
             let link = decodeURI(token.attrs[0][1]);
             const text = tokens[i + 1].content.trim();
+            const hash = getHash(link);
             if (
               link.match(/https?:\/\//) ||
               !text.length ||
-              !link.endsWith('.md')
+              !link.slice(0, link.length - hash.length).endsWith('.md')
             ) {
               // TODO: Ignore more protocols
               continue;
@@ -382,12 +704,14 @@ export class Notebook {
 
             // Replace the token href
             link = resolveLink(link);
-            token.attrs[0][1] = addFileProtocol(link);
+            token.attrs[0][1] = addFileProtocol(link) + hash;
 
             results.push({
               elementId: token.attrGet('id') || '',
               text,
               link,
+              hash,
+              line: getLine(parentToken, [text, '](']),
               parentToken,
               token,
             });
@@ -399,7 +723,29 @@ export class Notebook {
       return results;
     };
 
+    const tags = new Set<string>(getFrontMatterTags(data));
     const references = traverse(tokens, null, [], 0);
+    this.setNoteReferences(note, references);
+
+    // Update the tags
+    const oldTags = note.tags ?? [];
+    note.tags = Array.from(tags);
+    if (
+      this.notes[note.filePath] === note &&
+      (oldTags.length !== note.tags.length ||
+        oldTags.some((tag, i) => tag !== note.tags?.[i]))
+    ) {
+      this.search.remove(note.filePath);
+      this.addNoteToSearch(note);
+    }
+  }
+
+  /**
+   * Replace the references in the note with the new references
+   * @param note
+   * @param references
+   */
+  private setNoteReferences(note: Note, references: Reference[]) {
     const mentions: Mentions = new Set<FilePath>();
     const oldMentions = note.mentions;
 
@@ -422,6 +768,277 @@ export class Notebook {
     note.mentions = mentions;
   }
 
+  /**
+   * Change the link in the note to path relative to the notebook directory
+   * @param link The link in the note, for example, `./test.md` or `/test.md#hash`
+   * @param noteFilePath The relative path of the note that contains the link
+   * @returns
+   */
+  public resolveNoteLink(link: string, noteFilePath: string) {
+    // Remove the hash
+    const hashIndex = link.indexOf('#');
+    if (hashIndex >= 0) {
+      link = link.slice(0, hashIndex);
+    }
+    if (!link.endsWith('.md')) {
+      link = link + '.md';
+    }
+    // The link is resolved in the root of the note unless it is `root:` prefixed
+    const linkRoot = this.parseRootPath(link);
+    const noteRoot = this.parseRootPath(noteFilePath);
+    const rootPath = this.notebookPath.fsPath;
+    if (linkRoot.root || linkRoot.path !== link) {
+      return this.joinRootPath(
+        linkRoot.root,
+        path.relative(rootPath, path.join(rootPath, linkRoot.path)),
+      );
+    } else if (link.startsWith('/')) {
+      return this.joinRootPath(
+        noteRoot.root,
+        path.relative(rootPath, path.join(rootPath, '.' + link)),
+      );
+    } else {
+      return this.joinRootPath(
+        noteRoot.root,
+        path.relative(
+          rootPath,
+          path.join(path.dirname(path.join(rootPath, noteRoot.path)), link),
+        ),
+      );
+    }
+  }
+  /**
+   * Resolve the link of a wikilink based on `config.wikiLinkResolution`
+   * @param link The link returned by `processWikilink`, for example, `test.md` or `test.md#hash`
+   * @param noteFilePath The relative path of the note that contains the wikilink
+   * @returns The path of the linked note relative to the notebook directory
+   */
+  public resolveWikilink(link: string, noteFilePath: string): ResolvedWikilink {
+    const resolved = this.resolveWikilinkPath(link, noteFilePath);
+    if (
+      resolved.filePath in this.notes ||
+      link.startsWith('/') ||
+      link.match(/^\.\.?\//) ||
+      this.parseRootPath(link).path !== link
+    ) {
+      return resolved;
+    }
+
+    // Check if the link is the alias of a note
+    const owners = this.getWikilinkTargets().aliases[this.getAliasKey(link)];
+    if (!owners || !owners.length) {
+      return resolved;
+    }
+    const alias = link.replace(/#.*$/, '');
+    if (owners.length === 1) {
+      return { filePath: owners[0], candidates: [], alias };
+    } else {
+      const sorted = this.sortWikilinkCandidates(owners, noteFilePath);
+      return { filePath: sorted[0], candidates: sorted, alias };
+    }
+  }
+
+  /**
+   * Get the id of the heading or the block that the hash of a link points at
+   * @param filePath The relative path of the note
+   * @param hash The hash of the link, for example, `#My Heading`, `#my-heading` or `#^block-id`
+   * @returns The hash of the element id, for example, `#my-heading` or `#^block-id`
+   */
+  public resolveNoteHash(filePath: string, hash: string): string {
+    if (hash.length <= 1 || hash.startsWith('#^')) {
+      return hash;
+    }
+    let heading = hash.slice(1);
+    try {
+      heading = decodeURIComponent(heading);
+    } catch (error) {
+      // Keep the heading as it is
+    }
+
+    const note = this.notes[filePath];
+    if (note) {
+      let headings = this.noteHeadings.get(note);
+      if (!headings) {
+        headings = parseHeadings(matter(note.markdown).content);
+        this.noteHeadings.set(note, headings);
+      }
+      const target =
+        headings.find((h) => h.id === heading) ??
+        headings.find((h) => h.content === heading);
+      if (target) {
+        return '#' + target.id;
+      }
+    }
+    return '#' + new HeadingIdGenerator().generateId(heading);
+  }
+
+  /**
+   * Resolve the link of a wikilink to the path of a note without checking the aliases
+   */
+  private resolveWikilinkPath(
+    link: string,
+    noteFilePath: string,
+  ): ResolvedWikilink {
+    const filePath = this.resolveNoteLink(link, noteFilePath);
+    const resolution = this.getNoteConfig(noteFilePath).wikiLinkResolution;
+    if (
+      link.startsWith('/') ||
+      this.parseRootPath(link).path !== link ||
+      resolution === 'relative'
+    ) {
+      return { filePath, candidates: [] };
+    } else if (resolution === 'absolute') {
+      return {
+        filePath: this.resolveNoteLink('/' + link, noteFilePath),
+        candidates: [],
+      };
+    }
+
+    // Shortest path
+    const candidates = this.getWikilinkCandidates(link);
+    if (!candidates.length || candidates.includes(filePath)) {
+      return { filePath, candidates: [] };
+    } else if (candidates.length === 1) {
+      return { filePath: candidates[0], candidates: [] };
+    } else {
+      const sorted = this.sortWikilinkCandidates(candidates, noteFilePath);
+      return { filePath: sorted[0], candidates: sorted };
+    }
+  }
+
+  /**
+   * Sort the notes that an ambiguous wikilink could refer to,
+   * so that the note in the same root as the note that contains the wikilink comes first,
+   * and then the note closest to the root directory.
+   */
+  private sortWikilinkCandidates(
+    candidates: FilePath[],
+    noteFilePath: FilePath,
+  ) {
+    const noteRoot = this.parseRootPath(noteFilePath).root;
+    const getOrder = (filePath: FilePath) => {
+      const { root, path: rootFilePath } = this.parseRootPath(filePath);
+      return [root === noteRoot ? 0 : 1, rootFilePath.split(path.sep).length];
+    };
+    return [...candidates].sort((a, b) => {
+      const [rootOrderA, depthA] = getOrder(a);
+      const [rootOrderB, depthB] = getOrder(b);
+      return rootOrderA - rootOrderB || depthA - depthB || a.localeCompare(b);
+    });
+  }
+
+  /**
+   * Get the lower case file name of the note, without the root name
+   */
+  private getFileNameKey(filePath: FilePath) {
+    return path.basename(this.parseRootPath(filePath).path).toLowerCase();
+  }
+
+  /**
+   * Get the lower case key of the link or the alias
+   * @param link The link returned by `processWikilink`, for example, `Some Alias.md#hash`
+   */
+  private getAliasKey(link: string) {
+    return slash(link.replace(/#.*$/, '')).toLowerCase();
+  }
+
+  private getWikilinkTargets() {
+    if (!this.wikilinkTargets) {
+      const fileNames: { [key: string]: FilePath[] } = {};
+      const aliases: { [key: string]: FilePath[] } = {};
+      for (const filePath in this.notes) {
+        const fileName = this.getFileNameKey(filePath);
+        fileNames[fileName] = (fileNames[fileName] ?? []).concat(filePath);
+        for (const alias of this.notes[filePath].config.aliases ?? []) {
+          // Aliases are transformed the same way as the links of wikilinks
+          const key = this.getAliasKey(
+            this.processWikilink(String(alias)).link,
+          );
+          aliases[key] = (aliases[key] ?? []).concat(filePath);
+        }
+      }
+      this.wikilinkTargets = { fileNames, aliases };
+    }
+    return this.wikilinkTargets;
+  }
+
+  /**
+   * Get the notes whose path ends with the link, ignoring the case
+   * @param link The link of a wikilink, for example, `test.md` or `dir/test.md`
+   */
+  public getWikilinkCandidates(link: string): FilePath[] {
+    if (this.parseRootPath(link).path !== link) {
+      // The `root:` prefixed link only refers to the note in that root
+      const filePath = this.resolveNoteLink(link, '');
+      return filePath in this.notes ? [filePath] : [];
+    }
+
+    // Normalize the link to the path relative to the root directory
+    const normalizedLink = slash(
+      this.resolveNoteLink('/' + link, ''),
+    ).toLowerCase();
+    if (normalizedLink.startsWith('../')) {
+      return [];
+    }
+
+    const fileName = path.basename(normalizedLink);
+    return (this.getWikilinkTargets().fileNames[fileName] ?? []).filter(
+      (filePath) => {
+        const normalizedFilePath = slash(
+          this.parseRootPath(filePath).path,
+        ).toLowerCase();
+        return (
+          normalizedFilePath === normalizedLink ||
+          normalizedFilePath.endsWith('/' + normalizedLink)
+        );
+      },
+    );
+  }
+
+  /**
+   * Re-resolve the wikilinks that might point at the note
+   * after the note is added or removed, or its aliases are changed.
+   * @param filePath The relative path of the note
+   * @param aliases The aliases that are added or removed
+   */
+  private async refreshWikilinks(filePath: string, aliases: string[] = []) {
+    // The file names that the wikilinks to refresh point at
+    const fileNames = new Set<string>(
+      aliases.map((alias) =>
+        path.basename(this.getAliasKey(this.processWikilink(alias).link)),
+      ),
+    );
+    // With `shortest` resolution, wikilinks with the same file name might point at other notes
+    if (
+      ['', ...this.getRootNames()].some(
+        (root) => this.getRootConfig(root).wikiLinkResolution === 'shortest',
+      )
+    ) {
+      fileNames.add(this.getFileNameKey(filePath));
+    }
+    if (!fileNames.size) {
+      return;
+    }
+
+    const referrers = new Set<FilePath>();
+    for (const link in this.referenceMap.map) {
+      if (
+        !fileNames.has(this.getFileNameKey(link)) &&
+        !(link === filePath && aliases.length)
+      ) {
+        continue;
+      }
+      for (const referrer in this.referenceMap.map[link]) {
+        if (referrer !== link && referrer in this.notes) {
+          referrers.add(referrer);
+        }
+      }
+    }
+    for (const referrer of referrers) {
+      await this.processNoteMentionsAndMentionedBy(referrer);
+    }
+  }
+
   public async getNote(
     filePath: string,
     refreshNoteRelations = false,
@@ -439,11 +1056,15 @@ export class Notebook {
     }
     if (
       stats.isFile() &&
-      this.config.markdownFileExtensions.includes(path.extname(filePath))
+      this.getNoteConfig(filePath).markdownFileExtensions.includes(
+        path.extname(filePath),
+      )
     ) {
       let markdown = (await this.fs.readFile(absFilePath)) as string;
 
       // Read the noteConfig, which is like <!-- note {...} --> at the end of the markdown file
+      let bodyLineOffset = 0;
+      let tags: string[] = [];
       const noteConfig: NoteConfig = {
         createdAt: new Date(stats.ctimeMs),
         modifiedAt: new Date(stats.mtimeMs),
@@ -454,37 +1075,15 @@ export class Notebook {
         const data = matter(markdown);
         // eslint-disable-next-line @typescript-eslint/no-explicit-any
         const frontMatter: any = Object.assign({}, data.data);
+        bodyLineOffset =
+          markdown.split('\n').length - data.content.split('\n').length;
+        tags = getFrontMatterTags(data.data);
 
         // New note config design in beta 3
-        if (data.data['created']) {
-          noteConfig.createdAt = new Date(data.data['created'] as string);
-          delete frontMatter['created'];
-        }
-        if (data.data['modified']) {
-          noteConfig.modifiedAt = new Date(data.data['modified'] as string);
-          delete frontMatter['modified'];
-        }
-        if (data.data['pinned']) {
-          noteConfig.pinned = data.data['pinned'] as boolean;
-          delete frontMatter['pinned'];
-        }
-        if (data.data['favorited']) {
-          noteConfig.favorited = data.data['favorited'] as boolean;
-          delete frontMatter['favorited'];
-        }
-        if (data.data['icon']) {
-          noteConfig.icon = data.data['icon'] as string;
-          delete frontMatter['icon'];
-        }
-        if (data.data['aliases']) {
-          const aliases = (data.data['aliases'] || []) as string[] | string;
-          if (typeof aliases === 'string') {
-            noteConfig.aliases = aliases.split(',').map((x) => x.trim());
-          } else {
-            noteConfig.aliases = aliases;
-          }
-          delete frontMatter['aliases'];
-        }
+        Object.assign(noteConfig, getNoteConfigFromFrontMatter(data.data));
+        NoteConfigFrontMatterKeys.forEach((key) => {
+          delete frontMatter[key];
+        });
 
         // markdown = matter.stringify(data.content, frontMatter); // <= NOTE: I think gray-matter has bug. Although I delete "note" section from front-matter, it still includes it.
         markdown = matterStringify(data.content, frontMatter);
@@ -504,17 +1103,33 @@ export class Notebook {
       // Create note
       const note: Note = {
         notebookPath: this.notebookPath,
-        filePath: path.relative(this.notebookPath.fsPath, absFilePath),
+        filePath: this.resolveNoteRelativePath(absFilePath),
         title: path.basename(absFilePath).replace(/\.md$/, ''),
         markdown,
         config: noteConfig,
+        bodyLineOffset,
+        tags,
         mentions: oldMentions,
       };
 
       if (refreshNoteRelations) {
+        const isNewNote = !oldNote;
+        const oldAliases = oldNote?.config.aliases ?? [];
+        const newAliases = note.config.aliases ?? [];
+        const changedAliases = oldAliases
+          .filter((alias) => !newAliases.includes(alias))
+          .concat(newAliases.filter((alias) => !oldAliases.includes(alias)));
+        this.wikilinkTargets = null;
         this.notes[note.filePath] = note;
-        this.search.add(note.filePath, note.title, note.config.aliases);
+        this.search.remove(note.filePath);
+        this.addNoteToSearch(note);
         await this.processNoteMentionsAndMentionedBy(note.filePath);
+        if (isNewNote || changedAliases.length) {
+          await this.refreshWikilinks(
+            note.filePath,
+            isNewNote ? newAliases : changedAliases,
+          );
+        }
       }
 
       return note;
@@ -529,11 +1144,22 @@ export class Notebook {
   }: RefreshNotesIfNotLoaded): Promise<Notes> {
     await this.refreshNotesIfNotLoadedMutex.runExclusive(async () => {
       if (!this.hasLoadedNotes) {
-        await this.refreshNotes({
-          dir,
-          includeSubdirectories,
-          refreshRelations: true,
-        });
+        const indexCache = new NotebookIndexCache(this);
+        await indexCache.load();
+        this.indexCache = indexCache;
+        try {
+          await this.refreshNotes({
+            dir,
+            includeSubdirectories,
+            refreshRelations: true,
+          });
+        } finally {
+          this.indexCache = null;
+        }
+        // Only the index of the whole notebook is cached
+        if (this.isNotebookDirectory(dir) && includeSubdirectories) {
+          await indexCache.save(this.notes, this.referenceMap);
+        }
         this.hasLoadedNotes = true;
       }
     });
@@ -547,14 +1173,15 @@ export class Notebook {
   }: RefreshNotesArgs): Promise<Notes> {
     if (refreshRelations) {
       this.notes = {};
+      this.wikilinkTargets = null;
       this.referenceMap = new ReferenceMap();
       this.search = new Search();
+      this.initIgnoreFilter();
     }
+    const absDirPath = this.resolveNoteAbsolutePath(dir);
     let files: string[] = [];
     try {
-      files = await this.fs.readdir(
-        path.resolve(this.notebookPath.fsPath, dir),
-      );
+      files = await this.fs.readdir(absDirPath);
     } catch (error) {
       console.error(error);
       files = [];
@@ -564,31 +1191,49 @@ export class Notebook {
     for (let i = 0; i < files.length; i++) {
       const file = files[i];
 
-      // TODO: Check .gitignore
-      // ignore several directories
-      if (file.match(/^(node_modules|\.git)$/)) {
+      const absFilePath = path.resolve(absDirPath, file);
+      const relativeFilePath = this.resolveNoteRelativePath(absFilePath);
+      let stats: FileSystemStats | undefined;
+      try {
+        stats = await this.fs.stat(absFilePath);
+      } catch (error) {
+        console.error(error);
+      }
+      if (
+        await this.ignores(relativeFilePath, !!stats && stats.isDirectory())
+      ) {
         continue;
       }
 
-      const absFilePath = path.resolve(this.notebookPath.fsPath, dir, file);
-      const note = await this.getNote(
-        path.relative(this.notebookPath.fsPath, absFilePath),
-      );
+      const note =
+        (stats && (await this.indexCache?.getNote(relativeFilePath, stats))) ||
+        (await this.getNote(relativeFilePath));
       if (note) {
         this.notes[note.filePath] = note;
-        this.search.add(note.filePath, note.title, note.config.aliases);
+        this.search.remove(note.filePath);
+        this.addNoteToSearch(note);
       }
 
-      let stats;
-      try {
-        stats = await this.fs.stat(absFilePath);
-      } catch (error) {
-        console.error(error);
-      }
       if (stats && stats.isDirectory() && includeSubdirectories) {
         refreshNotesPromises.push(
           this.refreshNotes({
-            dir: path.relative(this.notebookPath.fsPath, absFilePath),
+            dir: relativeFilePath,
+            includeSubdirectories,
+            refreshRelations: false,
+          }),
+        );
+      }
+    }
+    // Refreshing the whole notebook also refreshes the other roots
+    if (
+      refreshRelations &&
+      includeSubdirectories &&
+      this.isNotebookDirectory(dir)
+    ) {
+      for (const name in this.roots) {
+        refreshNotesPromises.push(
+          this.refreshNotes({
+            dir: this.joinRootPath(name, '.'),
             includeSubdirectories,
             refreshRelations: false,
           }),
@@ -596,52 +1241,465 @@ export class Notebook {
       }
     }
     await Promise.all(refreshNotesPromises);
+    this.wikilinkTargets = null;
 
     if (refreshRelations) {
+      const useCachedReferences = !!this.indexCache?.hasSameWikilinkTargets(
+        this.notes,
+      );
       for (const filePath in this.notes) {
-        await this.processNoteMentionsAndMentionedBy(filePath);
+        const cachedReferences = useCachedReferences
+          ? this.indexCache?.getReferences(filePath)
+          : null;
+        if (cachedReferences) {
+          this.setNoteReferences(this.notes[filePath], cachedReferences);
+        } else {
+          await this.processNoteMentionsAndMentionedBy(filePath);
+        }
       }
     }
 
     return this.notes;
   }
 
-  /*
-  // NOTE: This function is hidden for now.  
+  /**
+   * Check whether the directory is the notebook directory itself
+   * @param dir The path of the directory relative to the notebook directory
+   */
+  private isNotebookDirectory(dir: string) {
+    return (
+      path.resolve(this.resolveNoteAbsolutePath(dir)) ===
+      path.resolve(this.notebookPath.fsPath)
+    );
+  }
+
+  /**
+   * Check whether the file should be ignored by the rules of its root
+   * @param filePath The path of the file
+   * @param isDirectory
+   */
+  private async ignores(filePath: string, isDirectory = false) {
+    const { root, path: rootFilePath } = this.parseRootPath(filePath);
+    const ignoreFilter = this.roots[root]?.ignoreFilter ?? this.ignoreFilter;
+    return await ignoreFilter.ignores(rootFilePath, isDirectory);
+  }
+
+  /**
+   * Write the note to the file system and refresh its relations.
+   * The `noteConfig` will be serialized into the front matter of the note.
+   * Other front matter keys in `markdown` are kept as they are.
+   * @param filePath
+   * @param markdown
+   * @param noteConfig Overrides the config that is read from the front matter of `markdown`.
+   * The keys that are in neither of them are reset, except that `createdAt` is kept from the existing note.
+   * @returns
+   */
   public async writeNote(
     filePath: string,
     markdown: string,
-    noteConfig: NoteConfig,
+    noteConfig?: Partial<NoteConfig>,
   ): Promise<Note | null> {
-    // noteConfig.modifiedAt = new Date();
-    const oMarkdown = markdown;
-    try {
-      const data = matter(markdown);
-      // if (data.data['note'] && data.data['note'] instanceof Object) {
-      //   noteConfig = Object.assign({}, noteConfig, data.data['note'] || {});
-      // }
-      const frontMatter = Object.assign(data.data || {}, noteConfig);
-      // delete frontMatter['note'];
-      const aliases = frontMatter['aliases'];
-      if (!aliases || !aliases.length) {
-        delete frontMatter['aliases'];
-      }
-      markdown = data.content;
-      markdown = matterStringify(markdown, frontMatter);
-    } catch (error) {
-      // eslint-disable-next-line @typescript-eslint/no-explicit-any
-      markdown = matterStringify(markdown, noteConfig as any);
+    return await this.writeNoteMutex.runExclusive(async () => {
+      return await this.writeNoteExclusively(filePath, markdown, noteConfig);
+    });
+  }
+
+  private async writeNoteExclusively(
+    filePath: string,
+    markdown: string,
+    noteConfig?: Partial<NoteConfig>,
+  ): Promise<Note | null> {
+    filePath = this.resolveNoteRelativePath(filePath);
+    const oldNote = this.notes[filePath] ?? (await this.getNote(filePath));
+    const now = new Date();
+    const data = matter(markdown);
+    // The keys that the markdown dropped are not merged back from the existing note
+    const config: NoteConfig = {
+      createdAt: oldNote?.config.createdAt ?? now,
+      aliases: [],
+      ...getNoteConfigFromFrontMatter(data.data),
+      ...(noteConfig ?? {}),
+      modifiedAt: now,
+    };
+
+    markdown = matterStringify(
+      data.content,
+      mergeNoteConfigIntoFrontMatter(data.data, config),
+    );
+
+    const absFilePath = this.resolveNoteAbsolutePath(filePath);
+    await this.fs.mkdir(path.dirname(absFilePath));
+    await this.fs.writeFile(absFilePath, markdown);
+
+    return await this.getNote(filePath, true);
+  }
+
+  /**
+   * Create a new note.
+   * Throws an error if the note already exists.
+   * @param filePath
+   * @param markdown
+   * @param noteConfig
+   * @returns
+   */
+  public async createNote(
+    filePath: string,
+    markdown: string = '',
+    noteConfig?: Partial<NoteConfig>,
+  ): Promise<Note | null> {
+    return await this.writeNoteMutex.runExclusive(async () => {
+      if (await this.fs.exists(this.resolveNoteAbsolutePath(filePath))) {
+        throw new Error(`Note "${filePath}" already exists`);
+      }
+      const now = new Date();
+      return await this.writeNoteExclusively(filePath, markdown, {
+        aliases: [],
+        ...(noteConfig ?? {}),
+        createdAt: now,
+      });
+    });
+  }
+
+  private addNoteToSearch(note: Note) {
+    const { data, content } = matter(note.markdown);
+    this.search.add(note.filePath, note.title, note.config.aliases, {
+      content,
+      headings: getHeadings(content),
+      tags: note.tags ?? getFrontMatterTags(data),
+      lineOffset: note.bodyLineOffset ?? 0,
+    });
+  }
+
+  /**
+   * Search the notes by title, aliases, file path, headings, tags and content.
+   * @param query
+   * @param options
+   * @returns The matched notes with the snippets of the matched lines
+   */
+  public async searchNotes(
+    query: string,
+    options?: SearchNotesOptions,
+  ): Promise<SearchNotesResult[]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return this.search.searchNotes(query, options);
+  }
+
+  /**
+   * Get all the tags in the notebook.
+   * The parent tags of nested tags like `area/subarea` are included.
+   * @returns The tags sorted by name, with the number of notes that have the tag
+   */
+  public async getTags(): Promise<TagInfo[]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    const counts: { [key: string]: number } = {};
+    for (const filePath in this.notes) {
+      const tags = new Set<string>();
+      for (const tag of this.notes[filePath].tags ?? []) {
+        const segments = tag.split('/');
+        for (let i = 1; i <= segments.length; i++) {
+          tags.add(segments.slice(0, i).join('/'));
+        }
+      }
+      tags.forEach((tag) => {
+        counts[tag] = (counts[tag] ?? 0) + 1;
+      });
     }
+    return Object.keys(counts)
+      .sort()
+      .map((name) => ({ name, count: counts[name] }));
+  }
 
-    await this.fs.writeFile(this.resolveNoteAbsolutePath(filePath), markdown);
+  /**
+   * Get the notes that have the tag.
+   * @param tag The tag like `area` or `#area/subarea`
+   * @param includeNestedTags Whether to include the notes that have the nested tags like `area/subarea` for `area`
+   * @returns
+   */
+  public async getNotesByTag(
+    tag: string,
+    includeNestedTags = true,
+  ): Promise<Note[]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    tag = normalizeTag(tag);
+    const notes: Note[] = [];
+    for (const filePath in this.notes) {
+      const note = this.notes[filePath];
+      if (
+        (note.tags ?? []).some(
+          (t) => t === tag || (includeNestedTags && t.startsWith(tag + '/')),
+        )
+      ) {
+        notes.push(note);
+      }
+    }
+    return notes;
+  }
 
-    const note = await this.getNote(filePath, true);
-    if (note) {
-      note.markdown = oMarkdown;
+  /**
+   * Get the report of broken links, links to missing headings,
+   * orphan notes and ambiguous wikilinks in the notebook.
+   */
+  public async getLinkHealthReport(): Promise<LinkHealthReport> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return await getLinkHealthReport(this);
+  }
+
+  /**
+   * Find the shortest chain of links between two notes.
+   * @param from The start note
+   * @param to The end note
+   * @param directed Only follow the links from the referring notes to the referred notes
+   * @returns The file paths of the notes on the path, or `null` if the notes are not connected
+   */
+  public async getShortestPath(
+    from: string,
+    to: string,
+    directed = false,
+  ): Promise<FilePath[] | null> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return getShortestPath(
+      this,
+      this.resolveNoteRelativePath(from),
+      this.resolveNoteRelativePath(to),
+      directed,
+    );
+  }
+
+  /**
+   * Get the clusters of notes that are linked with each other.
+   * @returns The file paths of the notes in each cluster, from the largest cluster
+   */
+  public async getConnectedComponents(): Promise<FilePath[][]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return getConnectedComponents(this);
+  }
+
+  /**
+   * Get the nodes and links of the graph view of all notes.
+   */
+  public async getGraphView(
+    options?: GraphViewOptions,
+  ): Promise<GraphViewData> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return constructGraphView(this, options);
+  }
+
+  /**
+   * Get the graph view of the notes within `depth` links from the note.
+   * @param filePath
+   * @param depth The maximum number of links from the note
+   */
+  public async getLocalGraphView(
+    filePath: string,
+    depth?: number,
+    options?: GraphViewOptions,
+  ): Promise<GraphViewData> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return constructLocalGraphView(
+      this,
+      this.resolveNoteRelativePath(filePath),
+      depth,
+      options,
+    );
+  }
+
+  /**
+   * Rank the notes by PageRank centrality to find the hubs of the notebook.
+   */
+  public async getPageRank(options?: PageRankOptions): Promise<NoteRank[]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return getPageRank(this, options);
+  }
+
+  /**
+   * Suggest the links between the notes that share many neighbors but are not linked yet.
+   * @param filePath Only suggest the links for this note if provided
+   */
+  public async getSuggestedLinks(
+    filePath?: string,
+    options?: SuggestedLinksOptions,
+  ): Promise<SuggestedLink[]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return getSuggestedLinks(
+      this,
+      filePath ? this.resolveNoteRelativePath(filePath) : undefined,
+      options,
+    );
+  }
+
+  /**
+   * Check that the front matter of the note is valid YAML and matches the schemas in `.crossnote/schema`.
+   * @param filePath
+   * @param markdown The markdown of the note. The note file is read if not provided.
+   */
+  public async getNoteDiagnostics(
+    filePath: string,
+    markdown?: string,
+  ): Promise<NoteDiagnostic[]> {
+    filePath = this.resolveNoteRelativePath(filePath);
+    if (markdown === undefined) {
+      const absFilePath = this.resolveNoteAbsolutePath(filePath);
+      if (!(await this.fs.exists(absFilePath))) {
+        return [];
+      }
+      markdown = await this.fs.readFile(absFilePath);
+    }
+    const { data, error } = matter(markdown);
+    if (error) {
+      return [
+        {
+          filePath,
+          severity: 'error',
+          source: 'front-matter',
+          message: error.message,
+        },
+      ];
+    }
+    // The notes are validated against the schemas of their roots
+    const { root, path: rootFilePath } = this.parseRootPath(filePath);
+    const schemas = this.roots[root]?.frontMatterSchemas;
+    if (!schemas) {
+      return await this.frontMatterSchemas.validate(filePath, data ?? {});
     }
-    return note;
+    return (await schemas.validate(rootFilePath, data ?? {})).map(
+      (diagnostic) => ({
+        ...diagnostic,
+        filePath,
+        schemaFilePath:
+          diagnostic.schemaFilePath &&
+          this.joinRootPath(root, diagnostic.schemaFilePath),
+      }),
+    );
+  }
+
+  /**
+   * Check the front matter of all notes in the notebook.
+   * @see getNoteDiagnostics
+   */
+  public async getDiagnostics(): Promise<NoteDiagnostic[]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    const diagnostics: NoteDiagnostic[] = [];
+    for (const filePath of Object.keys(this.notes).sort()) {
+      diagnostics.push(...(await this.getNoteDiagnostics(filePath)));
+    }
+    return diagnostics;
+  }
+
+  /**
+   * Get the names of the templates in `.crossnote/templates`
+   * @param root The name of the root whose templates are listed, or `''` for the notebook directory
+   */
+  public async getTemplateNames(root?: string): Promise<string[]> {
+    return await getTemplateNames(this, root);
+  }
+
+  /**
+   * Create a note from the template in `.crossnote/templates` of the root of the note.
+   * Throws an error if the template does not exist, `${cursor}` is in its front matter, or the note already exists.
+   * @param template The name of the template, for example, `meeting` for `.crossnote/templates/meeting.md`
+   * @param filePath The path of the new note
+   * @param variables The variables to replace in the template, for example, `{ project: 'crossnote' }` for `${project}`
+   * @returns The new note and the position of `${cursor}` in the note file
+   */
+  public async createNoteFromTemplate(
+    template: string,
+    filePath: string,
+    variables?: { [key: string]: string },
+  ): Promise<NoteFromTemplate> {
+    return await createNoteFromTemplate(this, template, filePath, variables);
+  }
+
+  /**
+   * Get the daily or weekly note of the date, which is created from the template if it does not exist.
+   * The path of the note is configured by `dailyNoteFilePath` and `weeklyNoteFilePath`.
+   * @param type
+   * @param date
+   */
+  public async getOrCreatePeriodicNote(
+    type: PeriodicNoteType,
+    date?: Date,
+  ): Promise<NoteFromTemplate> {
+    return await getOrCreatePeriodicNote(this, type, date);
+  }
+
+  /**
+   * Get the task list items like `- [ ] text 📅 2026-10-20` from all notes.
+   * The tasks are sorted by the due date by default.
+   * @param filter For example, `{ completed: false, tag: 'work', dueBefore: new Date() }`
+   */
+  public async getTasks(filter?: TaskFilter): Promise<Task[]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return getTasks(this, filter);
+  }
+
+  /**
+   * Export all notes as a static website with a sidebar, backlinks, a search index and a sitemap.
+   * @param outDir The absolute path of the output directory
+   * @param options
+   * @returns The absolute paths of the generated files
+   */
+  public async exportSite(
+    outDir: string,
+    options?: ExportSiteOptions,
+  ): Promise<string[]> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return await exportSite(this, this.search, outDir, options);
+  }
+
+  /**
+   * Export the notes in order as one HTML, PDF, EPUB or DOCX document.
+   * The links between the notes are changed to the anchors in the document.
+   * @param options
+   * @returns The absolute path of the generated file
+   */
+  public async exportCombinedDocument(
+    options: CombinedExportOptions,
+  ): Promise<string> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return await exportCombinedDocument(this, options);
   }
-  */
 
   public async removeNoteRelations(filePath: string) {
     const note = await this.getNote(filePath);
@@ -652,7 +1710,10 @@ export class Notebook {
     for (const filePath in mentions) {
       this.referenceMap.deleteReferences(filePath, note.filePath);
     }
+    this.referenceMap.deleteNoteDeclaration(note.filePath);
     delete this.notes[note.filePath];
+    this.wikilinkTargets = null;
+    await this.refreshWikilinks(note.filePath, note.config.aliases);
   }
 
   public async deleteNote(filePath: string, alreadyDeleted = false) {
@@ -665,18 +1726,202 @@ export class Notebook {
   }
 
   /**
-   * // NOTE: This function is hidden for now.
-  public async duplicateNote(filePath: string) {
+   * Update the note, its mentions and its backlinks when the file is changed,
+   * instead of refreshing the whole notebook.
+   * @param filePath The path of the changed file
+   * @param type The type of the change
+   */
+  public async onFileChanged(filePath: string, type: FileChangeType) {
+    filePath = this.resolveNoteRelativePath(filePath);
+    const { path: rootFilePath } = this.parseRootPath(filePath);
+    if (
+      path.basename(rootFilePath) === '.gitignore' ||
+      path.normalize(rootFilePath) === path.normalize('.crossnote/ignore')
+    ) {
+      // The ignore rules will be reloaded
+      this.initIgnoreFilter();
+      return;
+    }
+    if (
+      path.normalize(path.dirname(rootFilePath)) ===
+      path.normalize(SchemaDirectoryPath)
+    ) {
+      // The schemas will be reloaded
+      this.initFrontMatterSchemas();
+      return;
+    }
+    if (
+      rootFilePath.startsWith('..') ||
+      !this.getNoteConfig(filePath).markdownFileExtensions.includes(
+        path.extname(filePath),
+      ) ||
+      (await this.ignores(filePath))
+    ) {
+      return;
+    }
+    await this.writeNoteMutex.runExclusive(async () => {
+      if (type === 'deleted') {
+        await this.removeNoteRelations(filePath);
+        this.search.remove(filePath);
+        delete this.markdownEngines[filePath];
+      } else {
+        const note = await this.getNote(filePath, true);
+        if (!note) {
+          // The file might be deleted right after it is changed
+          await this.removeNoteRelations(filePath);
+          this.search.remove(filePath);
+        }
+      }
+    });
+  }
+
+  /**
+   * Watch the notebook directory and the other roots through `fs.watch` and call `onFileChanged` automatically.
+   * @returns A function to stop watching, or `null` if `fs.watch` is not supported or fails to watch.
+   */
+  public watchNotes(): (() => void) | null {
+    const watch = this.fs.watch;
+    if (!watch) {
+      return null;
+    }
+    const unwatches: (() => void)[] = [];
+    const unwatchAll = () => unwatches.forEach((unwatch) => unwatch());
+    try {
+      for (const root of ['', ...this.getRootNames()]) {
+        unwatches.push(
+          watch(this.getRootUri(root).fsPath, (filePath, type) => {
+            this.onFileChanged(filePath, type).catch((error) => {
+              console.error(error);
+            });
+          }),
+        );
+      }
+    } catch (error) {
+      console.error(error);
+      unwatchAll();
+      return null;
+    }
+    return unwatchAll;
+  }
+
+  /**
+   * Duplicate the note to `${name}.copy${ext}` next to it.
+   * @param filePath
+   * @returns The duplicated note
+   */
+  public async duplicateNote(filePath: string): Promise<Note | null> {
     const oldNote = await this.getNote(filePath);
-    if (!oldNote) return;
-    const noteConfig = oldNote.config;
-    noteConfig.createdAt = new Date();
-    noteConfig.modifiedAt = new Date();
-    const newFilePath = filePath.replace(/\.md$/, '.copy.md');
-    await this.writeNote(newFilePath, oldNote.markdown, noteConfig);
-    return await this.getNote(newFilePath, true);
+    if (!oldNote) {
+      return null;
+    }
+    const parsed = path.parse(oldNote.filePath);
+    let newFilePath = path.join(parsed.dir, `${parsed.name}.copy${parsed.ext}`);
+    for (
+      let i = 1;
+      await this.fs.exists(this.resolveNoteAbsolutePath(newFilePath));
+      i++
+    ) {
+      newFilePath = path.join(
+        parsed.dir,
+        `${parsed.name}.copy.${i}${parsed.ext}`,
+      );
+    }
+    return await this.createNote(newFilePath, oldNote.markdown, {
+      pinned: oldNote.config.pinned,
+      favorited: oldNote.config.favorited,
+      icon: oldNote.config.icon,
+      aliases: [...(oldNote.config.aliases ?? [])],
+    });
+  }
+
+  /**
+   * Rename or move the note.
+   * Every wikilink and markdown link pointing at the note will be rewritten,
+   * and the links in the note itself will be updated if it is moved to another directory.
+   * @param fromFilePath
+   * @param toFilePath
+   * @returns The renamed note
+   */
+  public async renameNote(
+    fromFilePath: string,
+    toFilePath: string,
+  ): Promise<Note | null> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return await this.writeNoteMutex.runExclusive(async () => {
+      const from = this.resolveNoteRelativePath(fromFilePath);
+      const to = this.resolveNoteRelativePath(toFilePath);
+      if (from === to) {
+        return await this.getNote(from);
+      }
+      const note = await this.getNote(from);
+      if (!note) {
+        throw new Error(`Note "${fromFilePath}" does not exist`);
+      }
+      // The note is checked against the config of the root that it is moved to
+      if (
+        !this.getNoteConfig(to).markdownFileExtensions.includes(
+          path.extname(to),
+        )
+      ) {
+        throw new Error(`"${toFilePath}" is not a markdown file`);
+      }
+      const fromAbsFilePath = this.resolveNoteAbsolutePath(from);
+      const toAbsFilePath = this.resolveNoteAbsolutePath(to);
+      if (await this.fs.exists(toAbsFilePath)) {
+        throw new Error(`Note "${toFilePath}" already exists`);
+      }
+
+      const referredByFilePaths = Object.keys(
+        this.referenceMap.map[from] ?? {},
+      ).filter((filePath) => filePath !== from && filePath !== to);
+      const mapTarget = (target: string) => (target === from ? to : undefined);
+
+      // Move the note
+      const markdown = await this.fs.readFile(fromAbsFilePath);
+      await this.fs.mkdir(path.dirname(toAbsFilePath));
+      if (this.fs.rename) {
+        await this.fs.rename(fromAbsFilePath, toAbsFilePath);
+      } else {
+        await this.fs.writeFile(toAbsFilePath, markdown);
+        await this.fs.unlink(fromAbsFilePath);
+      }
+      const newMarkdown = rewriteNoteLinks(this, markdown, {
+        filePath: from,
+        newFilePath: to,
+        mapTarget,
+      });
+      if (newMarkdown !== markdown) {
+        await this.fs.writeFile(toAbsFilePath, newMarkdown);
+      }
+
+      // Rewrite the links in the notes that refer to the note
+      for (const filePath of referredByFilePaths) {
+        const absFilePath = this.resolveNoteAbsolutePath(filePath);
+        const markdown = await this.fs.readFile(absFilePath);
+        const newMarkdown = rewriteNoteLinks(this, markdown, {
+          filePath,
+          mapTarget,
+        });
+        if (newMarkdown !== markdown) {
+          await this.fs.writeFile(absFilePath, newMarkdown);
+        }
+      }
+
+      // Re-index
+      await this.removeNoteRelations(from);
+      this.referenceMap.deleteReferences(from, from);
+      this.search.remove(from);
+      delete this.markdownEngines[from];
+      const newNote = await this.getNote(to, true);
+      for (const filePath of referredByFilePaths) {
+        await this.getNote(filePath, true);
+      }
+      return newNote;
+    });
   }
-  */
 
   /**
    * Get the absolute path of the note
@@ -687,23 +1932,97 @@ export class Notebook {
     if (path.isAbsolute(filePath)) {
       return filePath;
     } else {
-      return path.resolve(this.notebookPath.fsPath, filePath);
+      const { root, path: rootFilePath } = this.parseRootPath(filePath);
+      return path.resolve(this.getRootUri(root).fsPath, rootFilePath);
     }
   }
 
   /**
-   * Get the relative path of the note to the notebook directory
+   * Get the relative path of the note to the notebook directory,
+   * or the `root:` prefixed path if the note is in another root
    * @param filePath
    * @returns
    */
   public resolveNoteRelativePath(filePath: string) {
     if (path.isAbsolute(filePath)) {
+      for (const name in this.roots) {
+        const relativePath = path.relative(
+          this.roots[name].uri.fsPath,
+          filePath,
+        );
+        if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+          return this.joinRootPath(name, relativePath);
+        }
+      }
       return path.relative(this.notebookPath.fsPath, filePath);
     } else {
       return filePath;
     }
   }
 
+  /**
+   * Get the URI of the note, for example, `file:///path/to/note.md`
+   * @param filePath The path of the note
+   */
+  public resolveNoteUri(filePath: string): URI {
+    const { root, path: rootFilePath } = this.parseRootPath(
+      this.resolveNoteRelativePath(filePath),
+    );
+    return Utils.joinPath(this.getRootUri(root), rootFilePath);
+  }
+
+  /**
+   * Split the `root:` prefixed path like `personal:ideas/a.md` into the name of the root and the path in the root.
+   * The name is `''` for the paths in the notebook directory, including the ones prefixed with `rootName`.
+   * @param filePath The path of a note or the link of a wikilink
+   */
+  public parseRootPath(filePath: string): { root: string; path: string } {
+    const match = filePath.match(/^([\w-]{2,}):(?![\\/]{2})(.*)$/);
+    if (match && !path.isAbsolute(filePath)) {
+      if (match[1] in this.roots) {
+        return { root: match[1], path: match[2] };
+      } else if (match[1] === this.rootName) {
+        return { root: '', path: match[2] };
+      }
+    }
+    return { root: '', path: filePath };
+  }
+
+  /**
+   * Get the path prefixed with the name of the root, unless the root is the notebook directory
+   * @param root The name of the root, or `''` for the notebook directory
+   * @param filePath The path in the root
+   */
+  public joinRootPath(root: string, filePath: string) {
+    return root ? `${root}:${filePath}` : filePath;
+  }
+
+  /**
+   * Get the `root:` prefixed path of the note, which links to the note from the notes in any root
+   * @param filePath The path of the note
+   */
+  public getRootLink(filePath: string) {
+    const { root, path: rootFilePath } = this.parseRootPath(
+      this.resolveNoteRelativePath(filePath),
+    );
+    return `${root || this.rootName}:${slash(rootFilePath)}`;
+  }
+
+  /**
+   * Get the names of the roots other than the notebook directory
+   */
+  public getRootNames(): string[] {
+    return Object.keys(this.roots);
+  }
+
+  /**
+   * Get the URI of the root
+   * @param root The name of the root, or `''` for the notebook directory
+   */
+  public getRootUri(root: string): URI {
+    return this.roots[root]?.uri ?? this.notebookPath;
+  }
+
   // -------------------------------------------------
   // Functions below are for markdown engine
 
@@ -718,6 +2037,27 @@ export class Notebook {
     return this.markdownEngines[filePath];
   }
 
+  /**
+   * Render the markdown of the note to html with its headings, front matter,
+   * assets, diagnostics and slide configs.
+   * No preview panel or editor is needed.
+   * @param markdown The markdown to render. The note file is read if it is empty.
+   * @param options `filePath` is the path of the note, which the links are resolved against
+   */
+  public async renderToHtml(
+    markdown: string,
+    { filePath, ...options }: RenderToHtmlOptions & { filePath: string },
+  ): Promise<RenderToHtmlOutput> {
+    await this.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    return await this.getNoteMarkdownEngine(filePath).renderToHtml(
+      markdown,
+      options,
+    );
+  }
+
   public getNoteMarkdownEngines() {
     return this.markdownEngines;
   }
@@ -758,6 +2098,11 @@ export class Notebook {
       link = link.slice(0, hashIndex);
     }
 
+    // Keep the `root:` prefix as it is
+    const { path: rootLink } = this.parseRootPath(link);
+    const rootPrefix = link.slice(0, link.length - rootLink.length);
+    link = rootLink;
+
     // transform file name if needed
     const parsed = path.parse(link);
     let fileName = parsed.name;
@@ -780,7 +2125,7 @@ export class Notebook {
     if (!fileExtension) {
       fileExtension = this.config.wikiLinkTargetFileExtension;
     }
-    link = path.join(parsed.dir, fileName + fileExtension);
+    link = rootPrefix + path.join(parsed.dir, fileName + fileExtension);
     if (hash) {
       link += hash;
     }
@@ -0,0 +1,177 @@
+import * as path from 'path';
+import { Notebook } from '.';
+import { BlockIdRegExp } from '../custom-markdown-it-features/block-id';
+import HeadingIdGenerator from '../markdown-engine/heading-id-generator';
+import { matter, parseHeadings } from './markdown';
+import { FilePath } from './note';
+import { Reference } from './reference';
+
+export interface LinkIssue {
+  /**
+   * The note that contains the link
+   */
+  filePath: FilePath;
+  /**
+   * 0-based line number of the link in the note file
+   */
+  line?: number;
+  text: string;
+  /**
+   * The resolved path of the link target
+   */
+  link: string;
+}
+
+export interface MissingHeadingLinkIssue extends LinkIssue {
+  hash: string;
+}
+
+export interface AmbiguousWikilinkIssue extends LinkIssue {
+  /**
+   * The notes that the wikilink could refer to
+   */
+  candidates: FilePath[];
+}
+
+export interface LinkHealthReport {
+  /**
+   * Wikilinks and markdown links pointing at notes that do not exist
+   */
+  brokenLinks: LinkIssue[];
+  /**
+   * Links pointing at `#heading` or `#^block-id` anchors that do not exist in the target note
+   */
+  missingHeadings: MissingHeadingLinkIssue[];
+  /**
+   * Notes that are not linked from any other note
+   */
+  orphanNotes: FilePath[];
+  /**
+   * Wikilinks that could resolve to several notes
+   */
+  ambiguousWikilinks: AmbiguousWikilinkIssue[];
+}
+
+function toLinkIssue(filePath: FilePath, reference: Reference): LinkIssue {
+  return {
+    filePath,
+    line: reference.line,
+    text: reference.text,
+    link: reference.link,
+  };
+}
+
+export async function getLinkHealthReport(
+  notebook: Notebook,
+): Promise<LinkHealthReport> {
+  const report: LinkHealthReport = {
+    brokenLinks: [],
+    missingHeadings: [],
+    orphanNotes: [],
+    ambiguousWikilinks: [],
+  };
+
+  // file name -> notes
+  const notesByFileName: { [key: string]: FilePath[] } = {};
+  for (const filePath in notebook.notes) {
+    const fileName = path.basename(filePath);
+    notesByFileName[fileName] = (notesByFileName[fileName] ?? []).concat(
+      filePath,
+    );
+  }
+
+  // file path -> heading ids and `^block` ids
+  const headingIdsCache: { [key: FilePath]: Set<string> } = {};
+  const getHeadingIds = (filePath: FilePath) => {
+    if (!(filePath in headingIdsCache)) {
+      const note = notebook.notes[filePath];
+      const content = note ? matter(note.markdown).content : '';
+      const headings = parseHeadings(content);
+      const blockIds = content
+        .split('\n')
+        .map((line) => line.match(BlockIdRegExp)?.[1])
+        .filter((blockId) => blockId)
+        .map((blockId) => `^${blockId}`);
+      headingIdsCache[filePath] = new Set(
+        headings
+          .flatMap((heading) => [heading.id, heading.content])
+          .concat(blockIds),
+      );
+    }
+    return headingIdsCache[filePath];
+  };
+
+  const existence: { [key: FilePath]: boolean } = {};
+  const exists = async (filePath: FilePath) => {
+    if (!(filePath in existence)) {
+      existence[filePath] =
+        filePath in notebook.notes ||
+        (await notebook.fs.exists(notebook.resolveNoteAbsolutePath(filePath)));
+    }
+    return existence[filePath];
+  };
+
+  const referenceMap = notebook.referenceMap.map;
+  for (const link in referenceMap) {
+    for (const filePath in referenceMap[link]) {
+      for (const reference of referenceMap[link][filePath]) {
+        if (reference.candidates?.length) {
+          report.ambiguousWikilinks.push({
+            ...toLinkIssue(filePath, reference),
+            candidates: reference.candidates,
+          });
+        }
+
+        if (!(await exists(link))) {
+          const fileName = path.basename(link);
+          const candidates = notesByFileName[fileName] ?? [];
+          // Only `shortest` resolution looks up the wikilink by its file name,
+          // otherwise the wikilink is simply broken.
+          if (
+            reference.token.type === 'wikilink' &&
+            notebook.getNoteConfig(filePath).wikiLinkResolution ===
+              'shortest' &&
+            candidates.length > 1
+          ) {
+            report.ambiguousWikilinks.push({
+              ...toLinkIssue(filePath, reference),
+              candidates,
+            });
+          } else {
+            report.brokenLinks.push(toLinkIssue(filePath, reference));
+          }
+          continue;
+        }
+
+        const hash = reference.hash ?? '';
+        if (hash.length > 1) {
+          let heading = hash.slice(1);
+          try {
+            heading = decodeURIComponent(heading);
+          } catch (error) {
+            // Keep the heading as it is
+          }
+          const headingIds = getHeadingIds(link);
+          if (
+            link in notebook.notes &&
+            !headingIds.has(heading) &&
+            !headingIds.has(new HeadingIdGenerator().generateId(heading))
+          ) {
+            report.missingHeadings.push({
+              ...toLinkIssue(filePath, reference),
+              hash,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  for (const filePath in notebook.notes) {
+    if (notebook.referenceMap.getReferredByNotesCount(filePath) === 0) {
+      report.orphanNotes.push(filePath);
+    }
+  }
+
+  return report;
+}
@@ -0,0 +1,285 @@
+import Token from 'markdown-it/lib/token';
+import * as path from 'path';
+import { Notebook } from '.';
+import slash from './slash';
+
+interface RewriteNoteLinksArgs {
+  /**
+   * Relative path of the note that contains the links
+   */
+  filePath: string;
+  /**
+   * Relative path of the note after it is moved.
+   * Defaults to `filePath`.
+   */
+  newFilePath?: string;
+  /**
+   * Map the resolved link target to its new path.
+   * Return `undefined` to keep the target unchanged.
+   */
+  mapTarget: (target: string) => string | undefined;
+}
+
+const ProtocolRegExp = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * Replace the text in the line outside of the inline code spans like `` `[[link]]` ``
+ */
+function replaceOutsideCodeSpans(
+  line: string,
+  replacer: (text: string) => string,
+): string {
+  const codeSpanRegExp = /(?<!`)(`+)(?!`).*?(?<!`)\1(?!`)/g;
+  let result = '';
+  let lastIndex = 0;
+  let match: RegExpExecArray | null;
+  while ((match = codeSpanRegExp.exec(line))) {
+    result += replacer(line.slice(lastIndex, match.index)) + match[0];
+    lastIndex = match.index + match[0].length;
+  }
+  return result + replacer(line.slice(lastIndex));
+}
+
+/**
+ * Match the reference definition like `[label]: ../note.md "title"`, optionally in a blockquote
+ */
+const ReferenceDefinitionRegExp =
+  /^((?: {0,3}>)* {0,3}\[([^\]]+)\]:[ \t]*)(<[^>\n]*>|\S+)(.*)$/;
+
+/**
+ * Rewrite the wikilinks and markdown links in the markdown.
+ * Only the lines that are parsed as inline content or reference definitions are touched,
+ * so links inside code blocks, inline code and front matter are kept as they are.
+ */
+export function rewriteNoteLinks(
+  notebook: Notebook,
+  markdown: string,
+  { filePath, newFilePath = filePath, mapTarget }: RewriteNoteLinksArgs,
+): string {
+  const lines = markdown.split('\n');
+
+  // Blank out the front matter so that the line numbers are kept
+  let frontMatterEndLine = -1;
+  if (lines[0].trimEnd() === '---') {
+    frontMatterEndLine = lines.findIndex(
+      (line, i) => i > 0 && line.trimEnd() === '---',
+    );
+  }
+  const body = lines
+    .map((line, i) => (i <= frontMatterEndLine ? '' : line))
+    .join('\n');
+
+  const inlineLines = new Set<number>();
+  // The lines of the code blocks and html blocks, which can't contain reference definitions
+  const blockLines = new Set<number>();
+  const traverse = (tokens: Token[]) => {
+    for (const token of tokens) {
+      if (token.type === 'inline' && token.map) {
+        for (let i = token.map[0]; i < token.map[1]; i++) {
+          inlineLines.add(i);
+        }
+      } else if (
+        (token.type === 'fence' ||
+          token.type === 'code_block' ||
+          token.type === 'html_block') &&
+        token.map
+      ) {
+        for (let i = token.map[0]; i < token.map[1]; i++) {
+          blockLines.add(i);
+        }
+      } else if (token.children && token.children.length) {
+        traverse(token.children);
+      }
+    }
+  };
+  const env: { references?: { [key: string]: unknown } } = {};
+  traverse(notebook.md.parse(body, env));
+
+  /**
+   * Get the new link pointing at the target
+   */
+  const getNewLink = (target: string, link: string) => {
+    const { root, path: rootTarget } = notebook.parseRootPath(target);
+    const noteRoot = notebook.parseRootPath(newFilePath);
+    if (root !== noteRoot.root) {
+      return notebook.getRootLink(target);
+    } else if (link.startsWith('/')) {
+      return '/' + slash(rootTarget);
+    } else {
+      return slash(path.relative(path.dirname(noteRoot.path), rootTarget));
+    }
+  };
+
+  /**
+   * Get the new wikilink pointing at the target based on `wikiLinkResolution`
+   */
+  const getNewWikilink = (target: string, link: string) => {
+    const resolution = notebook.getNoteConfig(newFilePath).wikiLinkResolution;
+    if (notebook.parseRootPath(link).path !== link) {
+      return notebook.getRootLink(target);
+    } else if (link.startsWith('/') || resolution === 'relative') {
+      return getNewLink(target, link);
+    } else if (resolution === 'absolute') {
+      return getNewLink(target, '/').replace(/^\//, '');
+    }
+
+    // Use the file name only if it is not ambiguous after the notes are moved
+    const fileName = path.basename(notebook.parseRootPath(target).path);
+    if (
+      notebook
+        .getWikilinkCandidates(fileName)
+        .every((candidate) => (mapTarget(candidate) ?? candidate) === target)
+    ) {
+      return fileName;
+    } else {
+      return getNewLink(target, '/');
+    }
+  };
+
+  const rewriteWikilink = (match: string, content: string) => {
+    const { link } = notebook.processWikilink(content);
+    if (
+      link.match(ProtocolRegExp) &&
+      notebook.parseRootPath(link).path === link
+    ) {
+      return match;
+    }
+    const { filePath: target, alias } = notebook.resolveWikilink(
+      link,
+      filePath,
+    );
+    if (alias) {
+      // The alias still refers to the note after it is moved
+      return match;
+    }
+    const newTarget = mapTarget(target) ?? target;
+    if (
+      newTarget === target &&
+      (filePath === newFilePath ||
+        notebook.getNoteConfig(filePath).wikiLinkResolution !== 'relative')
+    ) {
+      // The wikilink does not depend on the location of the note
+      return match;
+    }
+
+    // Find the link part of the wikilink
+    const splits = content.split('|');
+    let linkIndex = 0;
+    if (splits.length > 1) {
+      linkIndex = notebook.config.useGitHubStylePipedLink ? 1 : 0;
+    }
+    const oldLink = splits[linkIndex].trim();
+    const hashIndex = oldLink.lastIndexOf('#');
+    const hash = hashIndex >= 0 ? oldLink.slice(hashIndex) : '';
+    const oldLinkWithoutHash =
+      hashIndex >= 0 ? oldLink.slice(0, hashIndex) : oldLink;
+
+    let newLink = getNewWikilink(newTarget, oldLinkWithoutHash);
+    const extension = path.extname(newLink);
+    if (
+      !path.extname(oldLinkWithoutHash).match(/^\.[^\d]/) &&
+      extension === notebook.config.wikiLinkTargetFileExtension
+    ) {
+      newLink = newLink.slice(0, -extension.length);
+    }
+    newLink += hash;
+    splits[linkIndex] = splits[linkIndex].replace(oldLink, newLink);
+    const newContent = splits.join('|');
+
+    // Make sure the new wikilink resolves to the new target.
+    // With `shortest` resolution, the notes are not re-indexed yet,
+    // so `getNewWikilink` has already checked the new link.
+    const resolved =
+      notebook.getNoteConfig(newFilePath).wikiLinkResolution === 'shortest'
+        ? newTarget
+        : notebook.resolveWikilink(
+            notebook.processWikilink(newContent).link,
+            newFilePath,
+          ).filePath;
+    if (resolved !== newTarget) {
+      console.warn(
+        `Failed to rewrite wikilink "${match}" in "${filePath}" to point at "${newTarget}"`,
+      );
+      return match;
+    }
+    return `[[${newContent}]]`;
+  };
+
+  /**
+   * Get the new destination of the markdown link, or `undefined` to keep it.
+   * @param destination The destination as it is written, like `../a.md` or `<../a b.md>`
+   */
+  const rewriteDestination = (destination: string) => {
+    const isAngleBracketed =
+      destination.startsWith('<') && destination.endsWith('>');
+    const href = isAngleBracketed ? destination.slice(1, -1) : destination;
+    let decodedHref: string;
+    try {
+      decodedHref = decodeURI(href);
+    } catch (error) {
+      return undefined;
+    }
+    const hashIndex = decodedHref.indexOf('#');
+    const hash = hashIndex >= 0 ? decodedHref.slice(hashIndex) : '';
+    const link = hashIndex >= 0 ? decodedHref.slice(0, hashIndex) : decodedHref;
+    if (link.match(ProtocolRegExp) || !link.endsWith('.md')) {
+      return undefined;
+    }
+    const target = notebook.resolveNoteLink(link, filePath);
+    const newTarget = mapTarget(target) ?? target;
+    if (newTarget === target && filePath === newFilePath) {
+      return undefined;
+    }
+
+    let newHref = getNewLink(newTarget, link) + hash;
+    if (decodedHref !== href || (!isAngleBracketed && newHref.match(/\s/))) {
+      newHref = encodeURI(newHref);
+    }
+    return isAngleBracketed ? `<${newHref}>` : newHref;
+  };
+
+  const rewriteMarkdownLink = (
+    match: string,
+    prefix: string,
+    destination: string,
+    title: string = '',
+  ) => {
+    const newDestination = rewriteDestination(destination);
+    return newDestination === undefined
+      ? match
+      : `${prefix}(${newDestination}${title})`;
+  };
+
+  const rewriteReferenceDefinition = (line: string) => {
+    const match = line.match(ReferenceDefinitionRegExp);
+    if (
+      !match ||
+      !env.references?.[notebook.md.utils.normalizeReference(match[2])]
+    ) {
+      return line;
+    }
+    const [, prefix, , destination, rest] = match;
+    const newDestination = rewriteDestination(destination);
+    return newDestination === undefined
+      ? line
+      : `${prefix}${newDestination}${rest}`;
+  };
+
+  return lines
+    .map((line, i) => {
+      if (!inlineLines.has(i)) {
+        return i > frontMatterEndLine && !blockLines.has(i)
+          ? rewriteReferenceDefinition(line)
+          : line;
+      }
+      return replaceOutsideCodeSpans(line, (text) =>
+        text
+          .replace(/\[\[(.+?)\]\]/g, rewriteWikilink)
+          .replace(
+            /(!?\[[^\]]*\])\((<[^>\n]*>|[^)\s]+)(\s+"[^"]*")?\)/g,
+            rewriteMarkdownLink,
+          ),
+      );
+    })
+    .join('\n');
+}
@@ -3,6 +3,8 @@
 
 import { JsonObject } from 'type-fest';
 import * as YAML from 'yaml';
+import { parseBlockAttributes } from '../lib/block-attributes';
+import HeadingIdGenerator from '../markdown-engine/heading-id-generator';
 
 export const TagStopRegExp = /[@#,.!$%^&*()[\]-_+=~`<>?\\，。]/g;
 export function getTags(markdown: string): string[] {
@@ -31,14 +33,119 @@ export function sanitizeNoteTitle(noteTitle: string): string {
   return sanitizeTag(noteTitle);
 }
 
+export interface MarkdownHeading {
+  /**
+   * The heading text without the `{...}` attributes
+   */
+  content: string;
+  level: number;
+  /**
+   * The id of the heading, which is the same as the one in the rendered HTML.
+   */
+  id: string;
+  /**
+   * 0-based line number in the markdown
+   */
+  line: number;
+}
+
+/**
+ * Get the ATX headings in the markdown.
+ * Headings inside fenced code blocks are ignored.
+ */
+export function parseHeadings(markdown: string): MarkdownHeading[] {
+  const headings: MarkdownHeading[] = [];
+  const headingIdGenerator = new HeadingIdGenerator();
+  let fence = '';
+  const lines = markdown.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1].startsWith(fence)) {
+        fence = '';
+      }
+      continue;
+    }
+    if (fence) {
+      continue;
+    }
+    const headingMatch = line.match(/^\s{0,3}(#{1,6})\s+(.+?)(\s+#+)?\s*$/);
+    if (headingMatch) {
+      let content = headingMatch[2];
+      let id = '';
+      const attributesMatch = content.match(/{[^{]+\}\s*$/);
+      if (attributesMatch) {
+        try {
+          id = parseBlockAttributes(attributesMatch[0])['id'] ?? '';
+          content = content.replace(attributesMatch[0], '').trim();
+        } catch (error) {
+          // Not block attributes
+        }
+      }
+      headings.push({
+        content,
+        level: headingMatch[1].length,
+        id: id || headingIdGenerator.generateId(content),
+        line: i,
+      });
+    }
+  }
+  return headings;
+}
+
+/**
+ * Get the text of the ATX headings in the markdown.
+ */
+export function getHeadings(markdown: string): string[] {
+  return parseHeadings(markdown).map((heading) => heading.content);
+}
+
+/**
+ * Normalize the tag name, for example, `#area/subarea/` => `area/subarea`.
+ */
+export function normalizeTag(tag: string): string {
+  return tag
+    .trim()
+    .replace(/^#/, '')
+    .split('/')
+    .map((t) => t.trim())
+    .filter((t) => t.length > 0)
+    .join('/');
+}
+
+/**
+ * Get the tags from the `tags` field of the front matter.
+ * The field could be either an array or a comma separated string.
+ */
+export function getFrontMatterTags(frontMatter: JsonObject | null): string[] {
+  let tags = frontMatter?.['tags'] ?? [];
+  if (typeof tags === 'string') {
+    tags = tags.split(',');
+  }
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  return tags
+    .map((tag) => normalizeTag(String(tag)))
+    .filter((tag) => tag.length > 0);
+}
+
 export interface MatterOutput {
   data: JsonObject;
   content: string;
+  /**
+   * The error of parsing the front matter as YAML, in which case `data` is empty
+   */
+  error?: Error;
 }
 
 export function matter(markdown: string): MatterOutput {
   let endFrontMatterOffset = 0;
   let frontMatter = {};
+  let error: Error | undefined = undefined;
   if (
     markdown.startsWith('---') &&
     /* tslint:disable-next-line:no-conditional-assignment */
@@ -47,8 +154,9 @@ export function matter(markdown: string): MatterOutput {
     const frontMatterString = markdown.slice(3, endFrontMatterOffset);
     try {
       frontMatter = YAML.parse(frontMatterString);
-    } catch {
+    } catch (e) {
       frontMatter = {};
+      error = e;
     }
     markdown = markdown
       .slice(endFrontMatterOffset + 4)
@@ -57,6 +165,7 @@ export function matter(markdown: string): MatterOutput {
   return {
     data: frontMatter,
     content: markdown,
+    ...(error ? { error } : {}),
   };
 }
 
@@ -1,3 +1,4 @@
+import { JsonObject } from 'type-fest';
 import { URI } from 'vscode-uri';
 
 export type FilePath = string;
@@ -39,6 +40,14 @@ export interface Note {
    * Note config.
    */
   config: NoteConfig;
+  /**
+   * The 0-based line number in the note file where the markdown body (without front matter) starts.
+   */
+  bodyLineOffset?: number;
+  /**
+   * The tags from the front matter and the `#tag` syntax in the note.
+   */
+  tags?: string[];
   /**
    * @param key: mentioned note file path
    */
@@ -56,3 +65,82 @@ export function getNoteIcon(note: Note) {
     return ':memo:';
   }
 }
+
+/**
+ * Front matter keys that are reserved for `NoteConfig`.
+ */
+export const NoteConfigFrontMatterKeys = [
+  'created',
+  'modified',
+  'pinned',
+  'favorited',
+  'icon',
+  'aliases',
+];
+
+/**
+ * Get the note config from the front matter.
+ * Every key that is set in the front matter is included, even if its value is `false` or empty.
+ */
+export function getNoteConfigFromFrontMatter(
+  frontMatter: JsonObject,
+): Partial<NoteConfig> {
+  const noteConfig: Partial<NoteConfig> = {};
+  // An empty date is not a valid date
+  if (frontMatter['created']) {
+    noteConfig.createdAt = new Date(frontMatter['created'] as string);
+  }
+  if (frontMatter['modified']) {
+    noteConfig.modifiedAt = new Date(frontMatter['modified'] as string);
+  }
+  if ('pinned' in frontMatter) {
+    noteConfig.pinned = !!frontMatter['pinned'];
+  }
+  if ('favorited' in frontMatter) {
+    noteConfig.favorited = !!frontMatter['favorited'];
+  }
+  if ('icon' in frontMatter) {
+    noteConfig.icon = (frontMatter['icon'] as string) ?? '';
+  }
+  if ('aliases' in frontMatter) {
+    const aliases = (frontMatter['aliases'] as string[] | string) ?? [];
+    noteConfig.aliases =
+      typeof aliases === 'string'
+        ? aliases
+            .split(',')
+            .map((x) => x.trim())
+            .filter((x) => x)
+        : aliases;
+  }
+  return noteConfig;
+}
+
+/**
+ * Merge the note config into the front matter.
+ * Keys that are not part of `NoteConfig` are kept as they are.
+ */
+export function mergeNoteConfigIntoFrontMatter(
+  frontMatter: JsonObject,
+  noteConfig: NoteConfig,
+): JsonObject {
+  const result: JsonObject = Object.assign({}, frontMatter);
+  for (const key of NoteConfigFrontMatterKeys) {
+    delete result[key];
+  }
+
+  result['created'] = noteConfig.createdAt.toISOString();
+  result['modified'] = noteConfig.modifiedAt.toISOString();
+  if (noteConfig.pinned) {
+    result['pinned'] = true;
+  }
+  if (noteConfig.favorited) {
+    result['favorited'] = true;
+  }
+  if (noteConfig.icon) {
+    result['icon'] = noteConfig.icon;
+  }
+  if (noteConfig.aliases && noteConfig.aliases.length) {
+    result['aliases'] = noteConfig.aliases;
+  }
+  return result;
+}
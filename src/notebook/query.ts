@@ -0,0 +1,267 @@
+import * as path from 'path';
+import { JsonObject } from 'type-fest';
+import { Notebook } from '.';
+import { matter, normalizeTag } from './markdown';
+import { FilePath } from './note';
+import slash from './slash';
+
+/**
+ * The note passed to the `where` function of the query
+ */
+export interface QueryNote {
+  filePath: FilePath;
+  title: string;
+  /**
+   * The folder of the note relative to the notebook directory, `.` for the notebook directory
+   */
+  folder: string;
+  tags: string[];
+  createdAt: Date;
+  modifiedAt: Date;
+  /**
+   * The front matter of the note
+   */
+  data: JsonObject;
+}
+
+export interface NoteQuery {
+  /**
+   * Only include the notes in the folders, including their subfolders.
+   * The folders are relative to the notebook directory.
+   */
+  folder?: string | string[];
+  /**
+   * Only include the notes that have all the tags. The nested tags like `area/subarea` match `area`.
+   */
+  tag?: string | string[];
+  /**
+   * Filter the notes by the front matter fields, or by a function that returns `true` for the included notes.
+   * An array value matches if the field equals any of the values, or contains any of them if the field is an array.
+   * The function is called with a copy of the note, and is only allowed in the query blocks if `enableScriptExecution` is `true`.
+   */
+  where?: { [key: string]: unknown } | ((note: QueryNote) => boolean);
+  /**
+   * Only include the notes that link to this note.
+   * The path is resolved relative to the note that contains the query, and `true` means the note itself.
+   */
+  linksTo?: string | true;
+  /**
+   * Only include the notes that are linked from this note.
+   * The path is resolved relative to the note that contains the query, and `true` means the note itself.
+   */
+  linkedFrom?: string | true;
+  /**
+   * The field to sort the notes by, for example, `title` or `modifiedAt` or a front matter field.
+   * Prefix the field with `-` to sort in descending order.
+   *
+   * @default 'title'
+   */
+  sort?: string;
+  /**
+   * The field to group the notes by
+   */
+  groupBy?: string;
+  limit?: number;
+  /**
+   * @default 'list'
+   */
+  view?: 'list' | 'table';
+  /**
+   * The fields shown as the columns of the table
+   */
+  fields?: string[];
+}
+
+export interface NoteQueryGroup {
+  /**
+   * The value of the `groupBy` field, or `undefined` if the query has no `groupBy`
+   */
+  key?: unknown;
+  notes: QueryNote[];
+}
+
+/**
+ * Get the value of the field of the note.
+ * The built-in fields like `title` take precedence over the front matter fields.
+ */
+export function getQueryNoteField(note: QueryNote, field: string): unknown {
+  if (
+    ['filePath', 'title', 'folder', 'tags', 'createdAt', 'modifiedAt'].includes(
+      field,
+    )
+  ) {
+    return note[field as keyof QueryNote];
+  }
+  return note.data[field];
+}
+
+function toArray<T>(value: T | T[] | undefined): T[] {
+  if (value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function matchesValue(fieldValue: unknown, expected: unknown): boolean {
+  if (Array.isArray(expected)) {
+    return expected.some((value) => matchesValue(fieldValue, value));
+  }
+  if (Array.isArray(fieldValue)) {
+    return fieldValue.some((value) => matchesValue(value, expected));
+  }
+  if (fieldValue instanceof Date) {
+    return (
+      fieldValue.getTime() === new Date(expected as string | number).getTime()
+    );
+  }
+  return fieldValue === expected;
+}
+
+function compareValues(a: unknown, b: unknown): number {
+  if (a === b) {
+    return 0;
+  }
+  // Put the notes without the field at the end
+  if (a === undefined || a === null) {
+    return 1;
+  }
+  if (b === undefined || b === null) {
+    return -1;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      new Date(a as string | number | Date).getTime() -
+      new Date(b as string | number | Date).getTime()
+    );
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Query the notes in the notebook.
+ * @param notebook
+ * @param query
+ * @param filePath The path of the note that contains the query, relative to the notebook directory
+ * @returns The groups of the matched notes
+ */
+export function queryNotes(
+  notebook: Notebook,
+  query: NoteQuery,
+  filePath: FilePath,
+): NoteQueryGroup[] {
+  const resolveLink = (link: string | true) =>
+    link === true ? filePath : notebook.resolveNoteLink(link, filePath);
+  const folders = toArray(query.folder).map((folder) =>
+    slash(path.normalize(folder)).replace(/^\/+|\/+$/g, ''),
+  );
+  const tags = toArray(query.tag).map((tag) => normalizeTag(tag));
+  const linksTo =
+    query.linksTo !== undefined ? resolveLink(query.linksTo) : undefined;
+  const linkedFrom =
+    query.linkedFrom !== undefined
+      ? notebook.notes[resolveLink(query.linkedFrom)]
+      : undefined;
+
+  let notes: QueryNote[] = [];
+  for (const noteFilePath in notebook.notes) {
+    const note = notebook.notes[noteFilePath];
+    const folder = slash(path.dirname(noteFilePath));
+    if (
+      folders.length &&
+      !folders.some(
+        (f) =>
+          f === '.' || f === '' || folder === f || folder.startsWith(f + '/'),
+      )
+    ) {
+      continue;
+    }
+    const noteTags = note.tags ?? [];
+    if (
+      !tags.every((tag) =>
+        noteTags.some((t) => t === tag || t.startsWith(tag + '/')),
+      )
+    ) {
+      continue;
+    }
+    if (linksTo !== undefined && !(linksTo in note.mentions)) {
+      continue;
+    }
+    if (
+      query.linkedFrom !== undefined &&
+      !(linkedFrom && noteFilePath in linkedFrom.mentions)
+    ) {
+      continue;
+    }
+
+    let data: JsonObject = {};
+    try {
+      data = (matter(note.markdown).data as JsonObject) ?? {};
+    } catch (error) {
+      // Ignore the invalid front matter
+    }
+    const queryNote: QueryNote = {
+      filePath: noteFilePath,
+      title: note.title,
+      folder,
+      tags: noteTags,
+      createdAt: note.config.createdAt,
+      modifiedAt: note.config.modifiedAt,
+      data,
+    };
+
+    const where = query.where;
+    if (typeof where === 'function') {
+      if (!where(structuredClone(queryNote))) {
+        continue;
+      }
+    } else if (
+      where &&
+      !Object.keys(where).every((field) =>
+        matchesValue(getQueryNoteField(queryNote, field), where[field]),
+      )
+    ) {
+      continue;
+    }
+    notes.push(queryNote);
+  }
+
+  const sort = query.sort ?? 'title';
+  const descending = sort.startsWith('-');
+  const sortField = sort.replace(/^-/, '');
+  notes.sort((a, b) => {
+    const valueA = getQueryNoteField(a, sortField);
+    const valueB = getQueryNoteField(b, sortField);
+    const result = compareValues(valueA, valueB);
+    // The notes without the field stay at the end in descending order
+    const hasValues = valueA != null && valueB != null;
+    return (
+      (descending && hasValues ? -result : result) ||
+      compareValues(a.title, b.title)
+    );
+  });
+  if (typeof query.limit === 'number') {
+    notes = notes.slice(0, query.limit);
+  }
+
+  if (!query.groupBy) {
+    return [{ notes }];
+  }
+  const groups: NoteQueryGroup[] = [];
+  for (const note of notes) {
+    const key = getQueryNoteField(note, query.groupBy);
+    let group = groups.find((group) => matchesKey(group.key, key));
+    if (!group) {
+      group = { key, notes: [] };
+      groups.push(group);
+    }
+    group.notes.push(note);
+  }
+  return groups.sort((a, b) => compareValues(a.key, b.key));
+}
+
+function matchesKey(a: unknown, b: unknown) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
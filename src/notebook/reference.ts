@@ -8,7 +8,22 @@ export interface Reference {
   parentToken: Token | null;
   token: Token;
   text: string;
+  /**
+   * The path of the referenced note relative to the notebook directory
+   */
   link: string;
+  /**
+   * The hash of the link, for example, `#heading`
+   */
+  hash?: string;
+  /**
+   * 0-based line number of the link in the note file
+   */
+  line?: number;
+  /**
+   * The notes that the wikilink could refer to if the wikilink is ambiguous
+   */
+  candidates?: string[];
 }
 
 export class ReferenceMap {
@@ -65,6 +80,19 @@ export class ReferenceMap {
     }
   }
 
+  /**
+   * Remove the declaration of the existence of the note.
+   * The references from other notes to this note are kept.
+   */
+  public deleteNoteDeclaration(noteFilePath: string) {
+    if (noteFilePath in this.map) {
+      delete this.map[noteFilePath][noteFilePath];
+      if (Object.keys(this.map[noteFilePath]).length === 0) {
+        delete this.map[noteFilePath];
+      }
+    }
+  }
+
   public hasRelation(filePath1: string, filePath2: string) {
     return (
       (filePath1 in this.map && filePath2 in this.map[filePath1]) ||
@@ -0,0 +1,155 @@
+import Ajv, { ValidateFunction } from 'ajv';
+import ignore, { Ignore } from 'ignore';
+import * as path from 'path';
+import slash from './slash';
+import { FileSystemApi, NoteDiagnostic } from './types';
+
+/**
+ * The directory of the front matter schemas relative to the notebook directory
+ */
+export const SchemaDirectoryPath = '.crossnote/schema';
+
+/**
+ * Ajv 6 only implements JSON Schema draft-07
+ */
+const SupportedSchemaVersion =
+  /^https?:\/\/json-schema\.org\/draft-07\/schema#?$/;
+
+interface FrontMatterSchema {
+  /**
+   * The path of the schema file relative to the notebook directory
+   */
+  schemaFilePath: string;
+  /**
+   * The notes that the schema applies to, or `null` for all notes
+   */
+  files: Ignore | null;
+  /**
+   * `null` if the schema is not supported, see `error`
+   */
+  validate: ValidateFunction | null;
+  error?: string;
+}
+
+/**
+ * Validate the front matter of the notes against the JSON Schemas in `${notebookPath}/.crossnote/schema/*.json`.
+ *
+ * The optional `files` field of a schema lists the gitignore-style patterns of the notes that it applies to,
+ * for example, `["projects/**"]`. The schema applies to all notes if `files` is not set.
+ *
+ * Only JSON Schema draft-07 is supported. A schema whose `$schema` is another draft is reported
+ * as a diagnostic on the notes that it applies to instead of being validated.
+ */
+export class FrontMatterSchemas {
+  private schemas: Promise<FrontMatterSchema[]> | null = null;
+
+  constructor(
+    private notebookPath: string,
+    private fs: FileSystemApi,
+  ) {}
+
+  private getSchemas() {
+    if (!this.schemas) {
+      this.schemas = (async () => {
+        const directoryPath = path.join(this.notebookPath, SchemaDirectoryPath);
+        const schemas: FrontMatterSchema[] = [];
+        try {
+          if (!(await this.fs.exists(directoryPath))) {
+            return schemas;
+          }
+          const fileNames = (await this.fs.readdir(directoryPath))
+            .filter((fileName) => fileName.endsWith('.json'))
+            .sort();
+          for (const fileName of fileNames) {
+            const schemaFilePath = slash(
+              path.join(SchemaDirectoryPath, fileName),
+            );
+            try {
+              const { files, ...schema } = JSON.parse(
+                await this.fs.readFile(path.join(directoryPath, fileName)),
+              );
+              if (
+                schema.$schema &&
+                !SupportedSchemaVersion.test(schema.$schema)
+              ) {
+                schemas.push({
+                  schemaFilePath,
+                  files: files ? ignore().add(files) : null,
+                  validate: null,
+                  error: `Unsupported $schema "${schema.$schema}", only JSON Schema draft-07 is supported`,
+                });
+                continue;
+              }
+              schemas.push({
+                schemaFilePath,
+                files: files ? ignore().add(files) : null,
+                validate: new Ajv({ allErrors: true }).compile(schema),
+              });
+            } catch (error) {
+              console.error(`Failed to load schema ${schemaFilePath}`, error);
+            }
+          }
+        } catch (error) {
+          console.error(error);
+        }
+        return schemas;
+      })();
+    }
+    return this.schemas;
+  }
+
+  /**
+   * Validate the front matter of the note.
+   * @param filePath The path of the note relative to the notebook directory
+   * @param data The front matter of the note
+   */
+  public async validate(
+    filePath: string,
+    data: object,
+  ): Promise<NoteDiagnostic[]> {
+    const relativePath = slash(path.normalize(filePath));
+    if (relativePath.startsWith('../') || path.isAbsolute(relativePath)) {
+      // The file is not in the notebook
+      return [];
+    }
+    // Dates are validated as strings like JSON
+    const json = JSON.parse(JSON.stringify(data ?? {}));
+    const diagnostics: NoteDiagnostic[] = [];
+    for (const {
+      schemaFilePath,
+      files,
+      validate,
+      error,
+    } of await this.getSchemas()) {
+      if (files && !files.ignores(relativePath)) {
+        continue;
+      }
+      if (!validate) {
+        diagnostics.push({
+          filePath,
+          severity: 'error',
+          source: 'schema',
+          message: error ?? 'Invalid schema',
+          schemaFilePath,
+        });
+        continue;
+      }
+      if (validate(json)) {
+        continue;
+      }
+      for (const error of validate.errors ?? []) {
+        diagnostics.push({
+          filePath,
+          severity: 'error',
+          source: 'schema',
+          message: `${error.dataPath ? error.dataPath.slice(1) + ' ' : ''}${
+            error.message
+          }`,
+          dataPath: error.dataPath,
+          schemaFilePath,
+        });
+      }
+    }
+    return diagnostics;
+  }
+}
@@ -1,10 +1,16 @@
-import MiniSearch, { SearchOptions, SearchResult } from 'minisearch';
+import MiniSearch, {
+  AsPlainObject,
+  Options,
+  SearchOptions,
+  SearchResult,
+} from 'minisearch';
+
+const SeparatorRegExp = /[.\s!@#$%^&*()\-=_+~`[\]{}\\<>?/|（）【】:：，。]+/g;
+// eslint-disable-next-line no-control-regex
+const WordRegExp = /([^\x00-\x7F]|\w+)/g;
 
 export function slugify(str: string, separater = '-'): string {
-  return str.replace(
-    /[.\s!@#$%^&*()\-=_+~`[\]{}\\<>?/|（）【】:：，。]+/g,
-    separater,
-  );
+  return str.replace(SeparatorRegExp, separater);
 }
 
 export interface SearchDoc {
@@ -12,6 +18,100 @@ export interface SearchDoc {
   title: string;
   filePath: string;
   aliases: string[];
+  /**
+   * The markdown body without front matter.
+   */
+  content: string;
+  headings: string[];
+  tags: string[];
+  /**
+   * The 0-based line number in the file where `content` starts.
+   */
+  lineOffset: number;
+}
+
+export type SearchDocContent = Partial<
+  Pick<SearchDoc, 'content' | 'headings' | 'tags' | 'lineOffset'>
+>;
+
+export interface SearchSnippet {
+  /**
+   * 0-based line number in the file.
+   */
+  line: number;
+  text: string;
+}
+
+export interface SearchNotesOptions extends SearchOptions {
+  /**
+   * The maximum number of snippets to return for each note.
+   *
+   * @default 3
+   */
+  maxSnippets?: number;
+}
+
+export interface SearchNotesResult {
+  filePath: string;
+  title: string;
+  score: number;
+  /**
+   * The matched terms.
+   */
+  terms: string[];
+  snippets: SearchSnippet[];
+}
+
+const tokenize = (string: string) => {
+  return slugify(string, ' ').match(WordRegExp) ?? [];
+};
+
+const searchFields = [
+  'title',
+  'aliases',
+  'filePath',
+  'headings',
+  'tags',
+  'content',
+];
+const storeFields = ['title', 'aliases', 'filePath'];
+
+const miniSearchOptions: Options<SearchDoc> = {
+  fields: searchFields,
+  storeFields,
+  extractField: (document, fieldName) => {
+    if (
+      fieldName === 'aliases' ||
+      fieldName === 'headings' ||
+      fieldName === 'tags'
+    ) {
+      return document[fieldName].join('|');
+    } else {
+      return document[fieldName];
+    }
+  },
+  tokenize,
+};
+
+export interface SearchJSON {
+  index: AsPlainObject;
+  docs: { [key: string]: SearchDoc };
+}
+
+/**
+ * Get the JavaScript expression of the MiniSearch options,
+ * which loads the `index` of `Search.toJSON()` in the browser by `MiniSearch.loadJS(index, options)`.
+ */
+export function getMiniSearchOptionsScript(): string {
+  return `{
+  fields: ${JSON.stringify(searchFields)},
+  storeFields: ${JSON.stringify(storeFields)},
+  tokenize: function (string) {
+    return string
+      .replace(new RegExp(${JSON.stringify(SeparatorRegExp.source)}, 'g'), ' ')
+      .match(new RegExp(${JSON.stringify(WordRegExp.source)}, 'g')) || [];
+  }
+}`;
 }
 
 export default class Search {
@@ -21,32 +121,51 @@ export default class Search {
    * filePath -> SearchDoc
    */
   private _cache: { [key: string]: SearchDoc };
-  constructor() {
-    this.miniSearch = new MiniSearch<SearchDoc>({
-      fields: ['title', 'aliases', 'filePath'],
-      storeFields: ['title', 'aliases', 'filePath'],
-      extractField: (document, fieldName) => {
-        if (fieldName === 'aliases') {
-          return document['aliases'].join('|');
-        } else {
-          return document[fieldName];
-        }
-      },
-      tokenize: (string) => {
-        // eslint-disable-next-line no-control-regex
-        return slugify(string, ' ').match(/([^\x00-\x7F]|\w+)/g) ?? [];
-      },
-    });
-    this._cache = {};
+  constructor(json?: SearchJSON) {
+    if (json) {
+      this.miniSearch = MiniSearch.loadJS(json.index, miniSearchOptions);
+      this._cache = json.docs;
+    } else {
+      this.miniSearch = new MiniSearch<SearchDoc>(miniSearchOptions);
+      this._cache = {};
+    }
+  }
+
+  toJSON(): SearchJSON {
+    return {
+      index: this.miniSearch.toJSON(),
+      docs: this._cache,
+    };
+  }
+
+  /**
+   * Get the file paths of all the indexed notes.
+   */
+  getFilePaths(): string[] {
+    return Object.keys(this._cache);
   }
 
-  add(filePath: string, title: string, aliases: string[] = []) {
+  add(
+    filePath: string,
+    title: string,
+    aliases: string[] = [],
+    {
+      content = '',
+      headings = [],
+      tags = [],
+      lineOffset = 0,
+    }: SearchDocContent = {},
+  ) {
     if (!(filePath in this._cache)) {
       const searchDoc = {
         id: filePath + '#' + title,
         filePath,
         title,
         aliases,
+        content,
+        headings,
+        tags,
+        lineOffset,
       };
       this.miniSearch.add(searchDoc);
       this._cache[filePath] = searchDoc;
@@ -69,13 +188,54 @@ export default class Search {
     return this.miniSearch.search(queryString, options);
   }
 
+  /**
+   * Search the notes and return the snippets of the matched lines.
+   */
+  searchNotes(
+    queryString: string,
+    { maxSnippets = 3, ...options }: SearchNotesOptions = {},
+  ): SearchNotesResult[] {
+    const results = this.miniSearch.search(queryString, {
+      prefix: true,
+      fuzzy: 0.2,
+      boost: { title: 3, aliases: 3, headings: 2, tags: 2 },
+      ...options,
+    });
+    return results.map((result) => {
+      const searchDoc = this._cache[result.filePath];
+      const snippets: SearchSnippet[] = [];
+      const lines = searchDoc?.content.split('\n') ?? [];
+      for (let i = 0; i < lines.length && snippets.length < maxSnippets; i++) {
+        const words = tokenize(lines[i].toLowerCase());
+        if (words.some((word) => result.terms.includes(word))) {
+          snippets.push({
+            line: searchDoc.lineOffset + i,
+            text: lines[i].trim(),
+          });
+        }
+      }
+      return {
+        filePath: result.filePath,
+        title: result.title,
+        score: result.score,
+        terms: result.terms,
+        snippets,
+      };
+    });
+  }
+
   addAlias(filePath: string, alias: string) {
     const searchDoc = this._cache[filePath];
     if (!searchDoc) {
       return;
     }
     this.remove(filePath);
-    this.add(filePath, searchDoc.title, searchDoc.aliases.concat(alias));
+    this.add(
+      filePath,
+      searchDoc.title,
+      searchDoc.aliases.concat(alias),
+      searchDoc,
+    );
   }
 
   deleteAlias(filePath: string, alias: string) {
@@ -88,6 +248,7 @@ export default class Search {
       filePath,
       searchDoc.title,
       searchDoc.aliases.filter((a) => a !== alias),
+      searchDoc,
     );
   }
 }
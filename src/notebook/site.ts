@@ -0,0 +1,429 @@
+import * as cheerio from 'cheerio';
+import { escape } from 'html-escaper';
+import * as path from 'path';
+import { Notebook } from '.';
+import { FilePath } from './note';
+import Search, { getMiniSearchOptionsScript } from './search';
+import slash from './slash';
+
+export interface ExportSiteOptions {
+  /**
+   * The URL where the site is published, for example, `https://docs.example.com/`.
+   * It is required by the absolute URLs in `sitemap.xml`, which has the relative URLs if it is not set.
+   */
+  baseUrl?: string;
+  /**
+   * The title of the site in the sidebar.
+   * @default The name of the notebook directory
+   */
+  title?: string;
+  runAllCodeChunks?: boolean;
+}
+
+/**
+ * The file of the search index in the output directory.
+ * It is `{ index, urls }`, where `index` is loaded by `MiniSearch.loadJS`
+ * and `urls` maps the file paths of the notes to the pages.
+ */
+export const SiteSearchIndexFileName = 'search-index.json';
+
+interface SitePage {
+  filePath: FilePath;
+  /**
+   * The path of the page relative to the output directory, for example, `docs/a.html`
+   */
+  sitePath: string;
+  title: string;
+}
+
+interface SiteTreeNode {
+  name: string;
+  page?: SitePage;
+  children: { [key: string]: SiteTreeNode };
+}
+
+const SiteStyle = `
+.crossnote-site-sidebar { position: fixed; top: 0; left: 0; bottom: 0; width: 280px; box-sizing: border-box; padding: 16px; overflow-y: auto; font-size: 14px; border-right: 1px solid rgba(128, 128, 128, 0.3); }
+.crossnote-site-sidebar ul { list-style: none; margin: 0; padding-left: 12px; }
+.crossnote-site-sidebar > ul { padding-left: 0; }
+.crossnote-site-sidebar li.active > a { font-weight: bold; }
+.crossnote-site-sidebar summary { cursor: pointer; }
+.crossnote-site-title { display: block; margin-bottom: 12px; font-size: 16px; font-weight: bold; }
+.crossnote-site-search { width: 100%; box-sizing: border-box; margin-bottom: 12px; padding: 4px 8px; }
+body[for="html-export"].crossnote-site { padding-left: 280px; }
+@media screen and (max-width: 768px) {
+  .crossnote-site-sidebar { position: static; width: auto; border-right: none; }
+  body[for="html-export"].crossnote-site { padding-left: 0; }
+}
+`;
+
+/**
+ * Get the path of the page of the note relative to the output directory.
+ * The notes in the other roots of the notebook are put in the directories named after the roots.
+ */
+function getSitePath(notebook: Notebook, filePath: FilePath, extname = '') {
+  const { root, path: rootPath } = notebook.parseRootPath(filePath);
+  const sitePath = slash(path.join(root, rootPath));
+  return extname
+    ? sitePath.slice(0, sitePath.length - path.extname(sitePath).length) +
+        extname
+    : sitePath;
+}
+
+function getRelativeUrl(fromSitePath: string, toSitePath: string) {
+  return encodeURI(
+    slash(path.relative(path.dirname(fromSitePath), toSitePath)) ||
+      path.basename(toSitePath),
+  );
+}
+
+/**
+ * Rewrite the links to the notes to the links to their pages,
+ * and collect the local images to copy to the output directory.
+ * @param html
+ * @param sourceFilePath The note that the links in `html` are relative to
+ * @param sitePath The page that `html` is rendered in
+ * @param pages The pages of the notes
+ * @param assets The collected images, page path -> absolute path
+ */
+function rewriteLinks(
+  notebook: Notebook,
+  html: string,
+  sourceFilePath: FilePath,
+  sitePath: string,
+  pages: { [key: FilePath]: SitePage },
+  assets: { [key: string]: string },
+): string {
+  const $ = cheerio.load(html);
+  const sourceDirectoryPath = path.dirname(
+    notebook.resolveNoteAbsolutePath(sourceFilePath),
+  );
+  const resolve = (link: string) => {
+    // Skip the urls like `https://` and `data:`, but not the Windows paths like `C:\`
+    if (!link || link.match(/^[a-z][\w+.-]+:/i)) {
+      return null;
+    }
+    try {
+      link = decodeURI(link);
+    } catch (error) {
+      return null;
+    }
+    return notebook.resolveNoteRelativePath(
+      link.startsWith('/')
+        ? path.join(
+            notebook.getRootUri(notebook.parseRootPath(sourceFilePath).root)
+              .fsPath,
+            link,
+          )
+        : path.resolve(sourceDirectoryPath, link),
+    );
+  };
+
+  $('a[href]').each((i, element) => {
+    const $element = $(element);
+    const [, link, hash] = ($element.attr('href') ?? '').match(
+      /^([^?#]*)(.*)$/,
+    ) as RegExpMatchArray;
+    const filePath = resolve(link);
+    if (filePath && pages[filePath]) {
+      $element.attr(
+        'href',
+        getRelativeUrl(sitePath, pages[filePath].sitePath) + hash,
+      );
+    }
+  });
+  $('img[src]').each((i, element) => {
+    const $element = $(element);
+    const filePath = resolve($element.attr('src') ?? '');
+    if (!filePath || slash(filePath).startsWith('../')) {
+      return;
+    }
+    const assetPath = getSitePath(notebook, filePath);
+    assets[assetPath] = notebook.resolveNoteAbsolutePath(filePath);
+    $element.attr('src', getRelativeUrl(sitePath, assetPath));
+  });
+  return $('body').html() ?? '';
+}
+
+function renderSidebar(
+  tree: SiteTreeNode,
+  page: SitePage,
+  tocHTML: string,
+  title: string,
+): string {
+  const renderNode = (node: SiteTreeNode): string => {
+    const names = Object.keys(node.children).sort((a, b) => {
+      // Put the folders after the pages
+      const folderA = !node.children[a].page;
+      const folderB = !node.children[b].page;
+      return folderA === folderB ? a.localeCompare(b) : folderA ? 1 : -1;
+    });
+    return `<ul>${names
+      .map((name) => {
+        const child = node.children[name];
+        if (child.page) {
+          const isActive = child.page.filePath === page.filePath;
+          return `<li${isActive ? ' class="active"' : ''}><a href="${escape(
+            getRelativeUrl(page.sitePath, child.page.sitePath),
+          )}">${escape(child.page.title)}</a>${isActive ? tocHTML : ''}</li>`;
+        }
+        const isOpen = page.sitePath.startsWith(child.name + '/');
+        return `<li><details${isOpen ? ' open' : ''}><summary>${escape(
+          name,
+        )}</summary>${renderNode(child)}</details></li>`;
+      })
+      .join('')}</ul>`;
+  };
+  const rootUrl = slash(path.relative(path.dirname(page.sitePath), '.'));
+  return `<nav class="crossnote-site-sidebar">
+<a class="crossnote-site-title" href="${escape(
+    rootUrl ? rootUrl + '/' : './',
+  )}">${escape(title)}</a>
+<input type="search" class="crossnote-site-search" placeholder="Search">
+<ul class="crossnote-site-search-results"></ul>
+${renderNode(tree)}
+</nav>`;
+}
+
+function renderSearchScript(notebook: Notebook, page: SitePage): string {
+  const rootUrl = slash(path.relative(path.dirname(page.sitePath), '.'));
+  return `<script src="https://${
+    notebook.config.jsdelivrCdnHost
+  }/npm/minisearch@6.1.0/dist/umd/index.js"></script>
+<script>
+(function () {
+  var rootUrl = ${JSON.stringify(rootUrl ? rootUrl + '/' : '')};
+  var input = document.querySelector('.crossnote-site-search');
+  var results = document.querySelector('.crossnote-site-search-results');
+  var searchIndex = null;
+  function loadSearchIndex() {
+    if (!searchIndex) {
+      searchIndex = fetch(rootUrl + ${JSON.stringify(SiteSearchIndexFileName)})
+        .then(function (response) { return response.json(); })
+        .then(function (json) {
+          return {
+            miniSearch: MiniSearch.loadJS(json.index, ${getMiniSearchOptionsScript()}),
+            urls: json.urls,
+          };
+        });
+    }
+    return searchIndex;
+  }
+  input.addEventListener('input', function () {
+    var query = input.value.trim();
+    loadSearchIndex().then(function (index) {
+      results.innerHTML = '';
+      if (!query) {
+        return;
+      }
+      index.miniSearch
+        .search(query, { prefix: true, fuzzy: 0.2, boost: { title: 3, aliases: 3, headings: 2, tags: 2 } })
+        .slice(0, 20)
+        .forEach(function (result) {
+          var a = document.createElement('a');
+          a.href = rootUrl + index.urls[result.filePath];
+          a.textContent = result.title;
+          var li = document.createElement('li');
+          li.appendChild(a);
+          results.appendChild(li);
+        });
+    });
+  });
+})();
+</script>`;
+}
+
+function renderSitemap(
+  pages: SitePage[],
+  lastModified: { [key: FilePath]: Date | undefined },
+  baseUrl = '',
+) {
+  if (baseUrl && !baseUrl.endsWith('/')) {
+    baseUrl += '/';
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pages
+  .map((page) => {
+    const date = lastModified[page.filePath];
+    return `  <url>
+    <loc>${escape(baseUrl + encodeURI(page.sitePath))}</loc>${
+      date ? `\n    <lastmod>${date.toISOString()}</lastmod>` : ''
+    }
+  </url>`;
+  })
+  .join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Export all notes in the notebook as a static website.
+ *
+ * Every note is rendered by `generateHTMLTemplateForExport` to a page like `docs/a.html`,
+ * where the links to the notes are rewritten to the links to their pages.
+ * The pages have a sidebar of the folder tree with the table of contents of the current note,
+ * and a section of the backlinks.
+ * The local images are copied to the output directory.
+ * `search-index.json` of the notebook search and `sitemap.xml` are also generated.
+ * @param notebook The notebook whose notes are loaded
+ * @param search The search index of the notebook
+ * @param outDir The absolute path of the output directory
+ * @param options
+ * @returns The absolute paths of the generated files
+ */
+export async function exportSite(
+  notebook: Notebook,
+  search: Search,
+  outDir: string,
+  { baseUrl, title, runAllCodeChunks = false }: ExportSiteOptions = {},
+): Promise<string[]> {
+  const filePaths = Object.keys(notebook.notes).sort();
+  const pages: { [key: FilePath]: SitePage } = {};
+  const rendered: {
+    [key: FilePath]: { html: string; tocHTML: string; yamlConfig: object };
+  } = {};
+  for (const filePath of filePaths) {
+    const engine = notebook.getNoteMarkdownEngine(filePath);
+    const output = await engine.parseMD(notebook.notes[filePath].markdown, {
+      useRelativeFilePath: true,
+      hideFrontMatter: true,
+      isForPreview: false,
+      runAllCodeChunks,
+    });
+    rendered[filePath] = output;
+    pages[filePath] = {
+      filePath,
+      sitePath: getSitePath(notebook, filePath, '.html'),
+      title: String(
+        output.yamlConfig['title'] || notebook.notes[filePath].title,
+      ),
+    };
+  }
+
+  const tree: SiteTreeNode = { name: '', children: {} };
+  for (const filePath of filePaths) {
+    const names = pages[filePath].sitePath.split('/');
+    let node = tree;
+    names.forEach((name, index) => {
+      if (!node.children[name]) {
+        node.children[name] = {
+          name: names.slice(0, index + 1).join('/'),
+          children: {},
+        };
+      }
+      node = node.children[name];
+    });
+    node.page = pages[filePath];
+  }
+
+  const siteTitle = title ?? path.basename(notebook.notebookPath.fsPath);
+  const assets: { [key: string]: string } = {};
+  const outputFiles: string[] = [];
+  const writeFile = async (sitePath: string, content: string) => {
+    const dest = path.join(outDir, sitePath);
+    await notebook.fs.mkdir(path.dirname(dest));
+    await notebook.fs.writeFile(dest, content);
+    outputFiles.push(dest);
+  };
+
+  for (const filePath of filePaths) {
+    const page = pages[filePath];
+    const { html, tocHTML, yamlConfig } = rendered[filePath];
+    let bodyHTML = rewriteLinks(
+      notebook,
+      html,
+      filePath,
+      page.sitePath,
+      pages,
+      assets,
+    );
+
+    const backlinks = (await notebook.getNoteBacklinks(filePath)).filter(
+      (backlink) => backlink.note.filePath && pages[backlink.note.filePath],
+    );
+    if (backlinks.length) {
+      bodyHTML += `<div class="crossnote-site-backlinks"><h2>Backlinks</h2><ul>${backlinks
+        .map((backlink) => {
+          const referrer = pages[backlink.note.filePath as FilePath];
+          return `<li><a href="${escape(
+            getRelativeUrl(page.sitePath, referrer.sitePath),
+          )}">${escape(referrer.title)}</a>${rewriteLinks(
+            notebook,
+            backlink.referenceHtmls.join(''),
+            referrer.filePath,
+            page.sitePath,
+            pages,
+            assets,
+          )}</li>`;
+        })
+        .join('')}</ul></div>`;
+    }
+
+    const engine = notebook.getNoteMarkdownEngine(filePath);
+    const $ = cheerio.load(
+      await engine.generateHTMLTemplateForExport(
+        bodyHTML,
+        {
+          ...yamlConfig,
+          // The table of contents is in the sidebar of the site
+          html: { ...(yamlConfig['html'] ?? {}), toc: false },
+        },
+        {
+          isForPrint: false,
+          isForPrince: false,
+          offline: false,
+          embedLocalImages: false,
+        },
+      ),
+    );
+    $('head').append(`<style>${SiteStyle}</style>`);
+    $('body')
+      .addClass('crossnote-site')
+      .prepend(
+        renderSidebar(
+          tree,
+          page,
+          rewriteLinks(notebook, tocHTML, filePath, page.sitePath, pages, {}),
+          siteTitle,
+        ),
+      )
+      .append(renderSearchScript(notebook, page));
+    await writeFile(page.sitePath, $.html());
+  }
+
+  for (const assetPath in assets) {
+    if (await notebook.fs.exists(assets[assetPath])) {
+      const dest = path.join(outDir, assetPath);
+      await notebook.fs.mkdir(path.dirname(dest));
+      await notebook.fs.writeFile(
+        dest,
+        await notebook.fs.readFile(assets[assetPath], 'binary'),
+        'binary',
+      );
+      outputFiles.push(dest);
+    }
+  }
+
+  const urls: { [key: FilePath]: string } = {};
+  filePaths.forEach((filePath) => (urls[filePath] = pages[filePath].sitePath));
+  await writeFile(
+    SiteSearchIndexFileName,
+    JSON.stringify({ index: search.toJSON().index, urls }),
+  );
+
+  const lastModified: { [key: FilePath]: Date | undefined } = {};
+  filePaths.forEach(
+    (filePath) =>
+      (lastModified[filePath] = notebook.notes[filePath].config.modifiedAt),
+  );
+  await writeFile(
+    'sitemap.xml',
+    renderSitemap(
+      filePaths.map((filePath) => pages[filePath]),
+      lastModified,
+      baseUrl,
+    ),
+  );
+  return outputFiles;
+}
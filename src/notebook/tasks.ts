@@ -0,0 +1,258 @@
+import * as path from 'path';
+import { Notebook } from '.';
+import { matter, normalizeTag } from './markdown';
+import { FilePath, Note } from './note';
+
+export type TaskPriority = 'highest' | 'high' | 'medium' | 'low' | 'lowest';
+
+export interface Task {
+  filePath: FilePath;
+  /**
+   * 0-based line number of the task in the note file
+   */
+  line: number;
+  /**
+   * The text of the task without the checkbox
+   */
+  text: string;
+  /**
+   * The text of the task without the due date and the priority
+   */
+  description: string;
+  completed: boolean;
+  /**
+   * The due date like `2026-10-20` from `📅 2026-10-20` or `due:2026-10-20`
+   */
+  due?: string;
+  /**
+   * The priority from `🔺`, `⏫`, `🔼`, `🔽`, `⏬` or `priority:high`
+   */
+  priority?: TaskPriority;
+  /**
+   * The inline tags like `#work` in the task
+   */
+  tags: string[];
+}
+
+export interface TaskFilter {
+  /**
+   * Only include the completed tasks if `true`, or the open tasks if `false`.
+   * All tasks are included if not set.
+   */
+  completed?: boolean;
+  /**
+   * Only include the tasks in the folders, including their subfolders.
+   * The folders are relative to the notebook directory, or prefixed with the name of the root like `personal:ideas`.
+   */
+  folder?: string | string[];
+  /**
+   * Only include the tasks that have all the tags. The nested tags like `area/subarea` match `area`.
+   */
+  tag?: string | string[];
+  /**
+   * Only include the tasks with any of the priorities
+   */
+  priority?: TaskPriority | TaskPriority[];
+  /**
+   * Only include the tasks due on or before the date, for example, `2026-10-20`
+   */
+  dueBefore?: string | Date;
+  /**
+   * Only include the tasks due on or after the date, for example, `2026-10-20`
+   */
+  dueAfter?: string | Date;
+  /**
+   * Only include the tasks that have a due date if `true`, or the ones without a due date if `false`
+   */
+  hasDue?: boolean;
+  /**
+   * How the tasks are sorted. The tasks are sorted by the file and the line after this.
+   * @default 'due'
+   */
+  sort?: 'due' | 'priority' | 'filePath';
+  limit?: number;
+}
+
+const TaskRegExp = /^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*)$/;
+const DueRegExp = /(?:📅|\bdue:)\s*(\d{4}-\d{2}-\d{2})/u;
+const PriorityEmojis: { [key: string]: TaskPriority } = {
+  '🔺': 'highest',
+  '⏫': 'high',
+  '🔼': 'medium',
+  '🔽': 'low',
+  '⏬': 'lowest',
+};
+const PriorityRegExp =
+  /🔺|⏫|🔼|🔽|⏬|\bpriority:(highest|high|medium|low|lowest)\b/u;
+const TagRegExp = /(?:^|\s)#([\p{L}\p{N}_\-/]+)/gu;
+const PriorityOrder: TaskPriority[] = [
+  'highest',
+  'high',
+  'medium',
+  'low',
+  'lowest',
+];
+
+/**
+ * The tasks of each note, which are parsed lazily
+ */
+const noteTasks: WeakMap<Note, Task[]> = new WeakMap();
+
+/**
+ * Parse the task list items like `- [ ] text` in the note.
+ * The items in the code blocks are skipped.
+ */
+export function parseNoteTasks(note: Note): Task[] {
+  const cachedTasks = noteTasks.get(note);
+  if (cachedTasks) {
+    return cachedTasks;
+  }
+
+  const { content } = matter(note.markdown);
+  const lines = content.split('\n');
+  // Line offset from the content to the note file
+  const lineOffset = note.bodyLineOffset ?? 0;
+  const tasks: Task[] = [];
+  let fence: string | null = null;
+  for (let i = 0; i < lines.length; i++) {
+    const fenceMatch = lines[i].match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1].startsWith(fence)) {
+        fence = null;
+      }
+      continue;
+    }
+    const match = !fence && lines[i].match(TaskRegExp);
+    if (!match) {
+      continue;
+    }
+
+    const text = match[2].trim();
+    const due = text.match(DueRegExp)?.[1];
+    const priorityMatch = text.match(PriorityRegExp);
+    const tags = new Set<string>();
+    for (const tagMatch of text.matchAll(TagRegExp)) {
+      const tag = normalizeTag(tagMatch[1]);
+      // A tag must contain at least one non-numeric character
+      if (tag.match(/[^\d/]/)) {
+        tags.add(tag);
+      }
+    }
+    tasks.push({
+      filePath: note.filePath,
+      line: i + lineOffset,
+      text,
+      description: text
+        .replace(DueRegExp, '')
+        .replace(PriorityRegExp, '')
+        .replace(/\s+/g, ' ')
+        .trim(),
+      completed: match[1] !== ' ',
+      ...(due ? { due } : {}),
+      ...(priorityMatch
+        ? {
+            priority:
+              (priorityMatch[1] as TaskPriority) ??
+              PriorityEmojis[priorityMatch[0]],
+          }
+        : {}),
+      tags: Array.from(tags),
+    });
+  }
+  noteTasks.set(note, tasks);
+  return tasks;
+}
+
+function toArray<T>(value: T | T[] | undefined): T[] {
+  if (value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function toDateString(date: string | Date) {
+  if (typeof date === 'string') {
+    return date;
+  }
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate(),
+  )}`;
+}
+
+/**
+ * Get the tasks from all notes in the notebook.
+ * @param notebook
+ * @param filter
+ */
+export function getTasks(notebook: Notebook, filter: TaskFilter = {}): Task[] {
+  const folders = toArray(filter.folder).map((folder) =>
+    notebook.resolveNoteAbsolutePath(folder.replace(/^[\\/]+/, '')),
+  );
+  const tags = toArray(filter.tag).map((tag) => normalizeTag(tag));
+  const priorities = toArray(filter.priority);
+  const dueBefore = filter.dueBefore && toDateString(filter.dueBefore);
+  const dueAfter = filter.dueAfter && toDateString(filter.dueAfter);
+
+  let tasks: Task[] = [];
+  for (const filePath in notebook.notes) {
+    const absFilePath = notebook.resolveNoteAbsolutePath(filePath);
+    if (
+      folders.length &&
+      !folders.some((folder) => {
+        const relativePath = path.relative(folder, absFilePath);
+        return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+      })
+    ) {
+      continue;
+    }
+    for (const task of parseNoteTasks(notebook.notes[filePath])) {
+      if (
+        (filter.completed !== undefined &&
+          task.completed !== filter.completed) ||
+        (filter.hasDue !== undefined && !!task.due !== filter.hasDue) ||
+        (priorities.length &&
+          !(task.priority && priorities.includes(task.priority))) ||
+        (dueBefore && !(task.due && task.due <= dueBefore)) ||
+        (dueAfter && !(task.due && task.due >= dueAfter)) ||
+        !tags.every((tag) =>
+          task.tags.some((t) => t === tag || t.startsWith(tag + '/')),
+        )
+      ) {
+        continue;
+      }
+      tasks.push(task);
+    }
+  }
+
+  const sort = filter.sort ?? 'due';
+  const getPriorityOrder = (task: Task) =>
+    task.priority
+      ? PriorityOrder.indexOf(task.priority)
+      : // The tasks without a priority are between `medium` and `low`
+        PriorityOrder.indexOf('medium') + 0.5;
+  tasks.sort((a, b) => {
+    let result = 0;
+    if (sort === 'due') {
+      // Put the tasks without a due date at the end
+      result =
+        a.due === b.due
+          ? 0
+          : !a.due
+          ? 1
+          : !b.due
+          ? -1
+          : a.due.localeCompare(b.due);
+    }
+    if (sort === 'due' || sort === 'priority') {
+      result = result || getPriorityOrder(a) - getPriorityOrder(b);
+    }
+    return result || a.filePath.localeCompare(b.filePath) || a.line - b.line;
+  });
+  if (typeof filter.limit === 'number') {
+    tasks = tasks.slice(0, filter.limit);
+  }
+  return tasks;
+}
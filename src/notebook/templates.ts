@@ -0,0 +1,307 @@
+import * as path from 'path';
+import { Notebook } from '.';
+import { replaceVariablesInString } from '../utility';
+import { matter } from './markdown';
+import { FilePath, Note } from './note';
+import slash from './slash';
+
+/**
+ * The directory of the note templates relative to the notebook directory
+ */
+export const TemplateDirectoryPath = '.crossnote/templates';
+
+export type PeriodicNoteType = 'daily' | 'weekly';
+
+export interface NoteTemplateCursor {
+  /**
+   * 0-based line number in the note file
+   */
+  line: number;
+  /**
+   * 0-based column in the line
+   */
+  character: number;
+}
+
+export interface NoteFromTemplate {
+  note: Note | null;
+  /**
+   * Where `${cursor}` was in the template, or `null` if the template has no `${cursor}`
+   */
+  cursor: NoteTemplateCursor | null;
+}
+
+const CursorVariable = '${cursor}';
+
+/**
+ * The template of the periodic notes if `.crossnote/templates/daily.md` or `weekly.md` does not exist
+ */
+const DefaultPeriodicNoteTemplate = `# \${title}
+
+← [[/\${previous}]] · [[/\${next}]] →
+
+${CursorVariable}
+`;
+
+/**
+ * Get the ISO 8601 week of the date, where the weeks start on Monday
+ * and the first week of the year contains the first Thursday.
+ */
+function getISOWeek(date: Date) {
+  const thursday = new Date(
+    Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()),
+  );
+  thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  return {
+    year: thursday.getUTCFullYear(),
+    week: Math.ceil(((thursday.getTime() - yearStart) / 86400000 + 1) / 7),
+  };
+}
+
+/**
+ * Format the date with the pattern like `YYYY-MM-DD`.
+ *
+ * The supported tokens are `YYYY`, `MM`, `DD`, `HH`, `mm`, `ss`,
+ * `GGGG` for the ISO week year and `WW` for the ISO week.
+ * The text in `[]` is kept as it is, for example, `GGGG-[W]WW`.
+ */
+export function formatDate(date: Date, pattern: string): string {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  const { year, week } = getISOWeek(date);
+  const tokens: { [key: string]: string } = {
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    GGGG: String(year),
+    WW: pad(week),
+  };
+  return pattern.replace(
+    /\[([^\]]*)\]|YYYY|GGGG|MM|DD|WW|HH|mm|ss/g,
+    (match, literal?: string) => literal ?? tokens[match],
+  );
+}
+
+/**
+ * Render the variables in the template.
+ *
+ * Besides the `variables`, `${date}` and `${time}` are replaced with the date,
+ * `${date:FORMAT}` with the date formatted by `formatDate`,
+ * and `${env:NAME}` with the environment variable.
+ * `${cursor}` is removed and its position is returned.
+ * @returns The rendered markdown and the position of `${cursor}` in it
+ */
+export function renderTemplate(
+  template: string,
+  variables: { [key: string]: string } = {},
+  date: Date = new Date(),
+): { markdown: string; cursor: NoteTemplateCursor | null } {
+  const replacements: { [key: string]: string } = {
+    date: formatDate(date, 'YYYY-MM-DD'),
+    time: formatDate(date, 'HH:mm'),
+  };
+  template.replace(/\${date:([^}]+)}/g, (match, pattern: string) => {
+    replacements[`date:${pattern}`] = formatDate(date, pattern);
+    return match;
+  });
+  let markdown = replaceVariablesInString(template, {
+    ...replacements,
+    ...variables,
+  });
+
+  let cursor: NoteTemplateCursor | null = null;
+  const cursorIndex = markdown.indexOf(CursorVariable);
+  if (cursorIndex >= 0) {
+    const lines = markdown.slice(0, cursorIndex).split('\n');
+    cursor = {
+      line: lines.length - 1,
+      character: lines[lines.length - 1].length,
+    };
+    markdown = markdown.split(CursorVariable).join('');
+  }
+  return { markdown, cursor };
+}
+
+/**
+ * Get the path of `.crossnote/templates` in the root
+ * @param root The name of the root, or `''` for the notebook directory
+ */
+function getTemplateDirectoryPath(notebook: Notebook, root: string) {
+  return path.join(notebook.getRootUri(root).fsPath, TemplateDirectoryPath);
+}
+
+/**
+ * Get the names of the templates in `.crossnote/templates`
+ * @param root The name of the root whose templates are listed, or `''` for the notebook directory
+ */
+export async function getTemplateNames(
+  notebook: Notebook,
+  root: string = '',
+): Promise<string[]> {
+  const directoryPath = getTemplateDirectoryPath(notebook, root);
+  if (!(await notebook.fs.exists(directoryPath))) {
+    return [];
+  }
+  return (await notebook.fs.readdir(directoryPath))
+    .filter((fileName) => fileName.endsWith('.md'))
+    .map((fileName) => fileName.slice(0, -'.md'.length))
+    .sort();
+}
+
+/**
+ * Read the template from `.crossnote/templates` in the root of the new note
+ * @param template The name of the template, for example, `meeting` for `.crossnote/templates/meeting.md`
+ * @param filePath The path of the new note
+ * @returns The content of the template, or `null` if it does not exist
+ */
+async function readTemplate(
+  notebook: Notebook,
+  template: string,
+  filePath: FilePath,
+): Promise<string | null> {
+  const templateFilePath = path.join(
+    getTemplateDirectoryPath(
+      notebook,
+      notebook.parseRootPath(notebook.resolveNoteRelativePath(filePath)).root,
+    ),
+    template.endsWith('.md') ? template : template + '.md',
+  );
+  if (!(await notebook.fs.exists(templateFilePath))) {
+    return null;
+  }
+  return await notebook.fs.readFile(templateFilePath);
+}
+
+async function createNoteFromTemplateContent(
+  notebook: Notebook,
+  template: string,
+  filePath: FilePath,
+  variables: { [key: string]: string },
+  date: Date,
+): Promise<NoteFromTemplate> {
+  filePath = notebook.resolveNoteRelativePath(filePath);
+  const { markdown, cursor } = renderTemplate(
+    template,
+    {
+      title: path.basename(filePath, path.extname(filePath)),
+      filePath: slash(filePath),
+      ...variables,
+    },
+    date,
+  );
+  // The front matter of the note is changed when it is written, but the body is kept as it is,
+  // so the line of the cursor is counted from the start of the body.
+  const bodyLineOffset =
+    markdown.split('\n').length - matter(markdown).content.split('\n').length;
+  if (cursor && cursor.line < bodyLineOffset) {
+    throw new Error(`${CursorVariable} cannot be in the front matter`);
+  }
+  const note = await notebook.createNote(filePath, markdown);
+  if (!note || !cursor) {
+    return { note, cursor: null };
+  }
+  return {
+    note,
+    cursor: {
+      line: cursor.line - bodyLineOffset + (note.bodyLineOffset ?? 0),
+      character: cursor.character,
+    },
+  };
+}
+
+/**
+ * Create a note from the template in `.crossnote/templates` of the root of the note.
+ *
+ * The front matter of the template is the default front matter of the note.
+ * `${title}` and `${filePath}` are replaced with the file name and the path of the note,
+ * and the other variables are rendered by `renderTemplate`.
+ * @param notebook
+ * @param template The name of the template, for example, `meeting` for `.crossnote/templates/meeting.md`
+ * @param filePath The path of the new note
+ * @param variables The variables to replace in the template, which take precedence over the built-in ones
+ * @param date The date used by `${date}` and `${time}`
+ */
+export async function createNoteFromTemplate(
+  notebook: Notebook,
+  template: string,
+  filePath: FilePath,
+  variables: { [key: string]: string } = {},
+  date: Date = new Date(),
+): Promise<NoteFromTemplate> {
+  const content = await readTemplate(notebook, template, filePath);
+  if (content === null) {
+    throw new Error(`Template "${template}" does not exist`);
+  }
+  return await createNoteFromTemplateContent(
+    notebook,
+    content,
+    filePath,
+    variables,
+    date,
+  );
+}
+
+/**
+ * Get the path of the daily or weekly note of the date
+ * from `dailyNoteFilePath` or `weeklyNoteFilePath` of the notebook config.
+ */
+export function getPeriodicNoteFilePath(
+  notebook: Notebook,
+  type: PeriodicNoteType,
+  date: Date,
+): FilePath {
+  const pattern =
+    type === 'daily'
+      ? notebook.config.dailyNoteFilePath
+      : notebook.config.weeklyNoteFilePath;
+  return path.normalize(formatDate(date, pattern));
+}
+
+/**
+ * Get the daily or weekly note of the date, which is created if it does not exist.
+ *
+ * The new note is created from `.crossnote/templates/daily.md` or `weekly.md`,
+ * where `${previous}` and `${next}` are the paths of the notes of the previous and next periods
+ * without the file extension, for example, `[[/${previous}]]`.
+ * A default template that links to them is used if the template does not exist.
+ * @param notebook
+ * @param type
+ * @param date
+ */
+export async function getOrCreatePeriodicNote(
+  notebook: Notebook,
+  type: PeriodicNoteType,
+  date: Date = new Date(),
+): Promise<NoteFromTemplate> {
+  const filePath = getPeriodicNoteFilePath(notebook, type, date);
+  const note = await notebook.getNote(filePath);
+  if (note) {
+    return { note, cursor: null };
+  }
+
+  const getLink = (days: number) => {
+    const periodDate = new Date(date);
+    periodDate.setDate(periodDate.getDate() + days);
+    const periodFilePath = slash(
+      getPeriodicNoteFilePath(notebook, type, periodDate),
+    );
+    return periodFilePath.slice(
+      0,
+      periodFilePath.length - path.extname(periodFilePath).length,
+    );
+  };
+  const days = type === 'daily' ? 1 : 7;
+  const template =
+    (await readTemplate(notebook, type, filePath)) ??
+    DefaultPeriodicNoteTemplate;
+  return await createNoteFromTemplateContent(
+    notebook,
+    template,
+    filePath,
+    { previous: getLink(-days), next: getLink(days) },
+    date,
+  );
+}
@@ -18,6 +18,8 @@ export type FileSystemStats = {
   isSymbolicLink: () => boolean;
 };
 
+export type FileChangeType = 'created' | 'changed' | 'deleted';
+
 export type FileSystemApi = {
   readFile: (path: string, encoding?: BufferEncoding) => Promise<string>;
   writeFile: (
@@ -30,6 +32,20 @@ export type FileSystemApi = {
   stat: (path: string) => Promise<FileSystemStats>;
   readdir: (path: string) => Promise<string[]>;
   unlink: (path: string) => Promise<void>;
+  /**
+   * Rename or move the file.
+   * If not provided, the file will be copied and then unlinked.
+   */
+  rename?: (oldPath: string, newPath: string) => Promise<void>;
+  /**
+   * Watch the changes of the files in the directory recursively.
+   * The callback is called with the absolute path of the changed file.
+   * Returns a function to stop watching.
+   */
+  watch?: (
+    path: string,
+    callback: (path: string, type: FileChangeType) => void,
+  ) => () => void;
 };
 
 export type ExtendedMarkdownItOptions = {
@@ -110,6 +126,15 @@ export type MermaidTheme = 'default' | 'forest' | 'dark' | 'neutral' | 'null';
 
 export type FrontMatterRenderingOption = 'none' | 'table' | 'code';
 
+/**
+ * How the link of a wikilink like `[[Foo]]` is resolved.
+ * - `relative`: relative to the directory of the note, for example, `./Foo.md`.
+ * - `shortest`: the note whose file name is `Foo.md` anywhere in the notebook.
+ *   A link with directories like `[[bar/Foo]]` matches the notes whose path ends with `bar/Foo.md`.
+ * - `absolute`: relative to the notebook directory, for example, `/Foo.md`.
+ */
+export type WikiLinkResolution = 'relative' | 'shortest' | 'absolute';
+
 export type WikiLinkTargetFileNameChangeCase =
   | 'none'
   | 'camelCase'
@@ -133,6 +158,41 @@ export interface NotebookConfig {
    * @default [".md", ".markdown", ".mdown", ".mkdn", ".mkd", ".rmd", ".qmd"]
    */
   markdownFileExtensions: string[];
+  /**
+   * The files and directories to be ignored in the notebook, in gitignore syntax.
+   *
+   * `node_modules`, `.git` and `.crossnote` are always ignored.
+   * The `.gitignore` files in the notebook and `${notebookPath}/.crossnote/ignore` are also respected.
+   *
+   * @default []
+   */
+  ignorePatterns: string[];
+  /**
+   * Whether to cache the notebook index at `${notebookPath}/.crossnote/cache`.
+   * The cache is only written if the `.crossnote` directory exists,
+   * and the cache directory has a `.gitignore` so that it is not committed.
+   *
+   * @default false
+   */
+  enableIndexCache: boolean;
+  /**
+   * The path of the daily notes relative to the notebook directory, formatted with the date.
+   * `YYYY`, `MM`, `DD`, `GGGG` (ISO week year) and `WW` (ISO week) are replaced,
+   * and the text in `[]` is kept as it is.
+   *
+   * The new daily notes are created from `${notebookPath}/.crossnote/templates/daily.md` if it exists.
+   *
+   * @default 'daily/YYYY-MM-DD.md'
+   */
+  dailyNoteFilePath: string;
+  /**
+   * The path of the weekly notes relative to the notebook directory, formatted like `dailyNoteFilePath`.
+   *
+   * The new weekly notes are created from `${notebookPath}/.crossnote/templates/weekly.md` if it exists.
+   *
+   * @default 'weekly/GGGG-[W]WW.md'
+   */
+  weeklyNoteFilePath: string;
   /**
    * Global custom CSS styles.
    *
@@ -220,6 +280,14 @@ export interface NotebookConfig {
    */
   enableWikiLinkSyntax: boolean;
 
+  /**
+   * Whether to enable tag syntax like `#tag` and `#area/subarea`.
+   * It is disabled by default, so that `#word` in the existing notes is still rendered as plain text.
+   *
+   * @default false
+   */
+  enableTagSyntax: boolean;
+
   /**
    * The file extension for the link in wikilink if the link does not have an extension.
    *
@@ -234,6 +302,13 @@ export interface NotebookConfig {
    * You can read https://www.npmjs.com/package/case-anything for more details.
    */
   wikiLinkTargetFileNameChangeCase: WikiLinkTargetFileNameChangeCase;
+  /**
+   * How the link of a wikilink is resolved.
+   * Links that start with `/` are always resolved relative to the notebook directory.
+   *
+   * @default 'relative'
+   */
+  wikiLinkResolution: WikiLinkResolution;
   /**
    * Whether to enable linkify.
    *
@@ -534,6 +609,10 @@ export function getDefaultNotebookConfig(): NotebookConfig {
       '.rmd',
       '.qmd',
     ],
+    ignorePatterns: [],
+    enableIndexCache: false,
+    dailyNoteFilePath: 'daily/YYYY-MM-DD.md',
+    weeklyNoteFilePath: 'weekly/GGGG-[W]WW.md',
     globalCss: '',
     includeInHeader: '',
     mermaidConfig: getDefaultMermaidConfig(),
@@ -545,8 +624,10 @@ export function getDefaultNotebookConfig(): NotebookConfig {
     breakOnSingleNewLine: true,
     enableTypographer: false,
     enableWikiLinkSyntax: true,
+    enableTagSyntax: false,
     wikiLinkTargetFileExtension: '.md',
     wikiLinkTargetFileNameChangeCase: 'none',
+    wikiLinkResolution: 'relative',
     enableLinkify: true,
     enableEmojiSyntax: true,
     enableExtendedTableSyntax: false,
@@ -590,12 +671,105 @@ export function getDefaultNotebookConfig(): NotebookConfig {
   };
 }
 
+export interface BacklinkContext {
+  /**
+   * 0-based line number of the reference in the referring note file
+   */
+  line?: number;
+  /**
+   * The headings that enclose the reference, from the outermost one
+   */
+  headingPath: string[];
+  /**
+   * The rendered list item or paragraph that surrounds the reference
+   */
+  html?: string;
+}
+
 export interface Backlink {
   note: Partial<Note>;
   references: Partial<Reference>[];
+  /**
+   * The rendered line of each reference, whose links are resolved relative to the referring note
+   */
+  referenceHtmls: string[];
+  contexts: BacklinkContext[];
+}
+
+export interface UnlinkedMentionReference {
+  /**
+   * The text that matches the title or an alias of the note
+   */
+  text: string;
+  /**
+   * 0-based line number of the text in the note file
+   */
+  line: number;
+  /**
+   * 0-based column of the text in the line
+   */
+  column: number;
+}
+
+/**
+ * The plain text mentions of a note in another note, which are not links yet.
+ */
+export interface UnlinkedMention {
+  note: Partial<Note>;
+  references: UnlinkedMentionReference[];
   referenceHtmls: string[];
 }
 
+export interface NoteDiagnostic {
+  /**
+   * The path of the note relative to the notebook directory
+   */
+  filePath: string;
+  severity: 'error' | 'warning';
+  /**
+   * `front-matter` if the front matter is not valid YAML,
+   * `schema` if the front matter does not match the schema in `.crossnote/schema`
+   * or the schema is not JSON Schema draft-07
+   */
+  source: 'front-matter' | 'schema';
+  message: string;
+  /**
+   * The path of the invalid value in the front matter, for example, `.tags[0]`
+   */
+  dataPath?: string;
+  /**
+   * The path of the schema file relative to the notebook directory
+   */
+  schemaFilePath?: string;
+}
+
+export interface ResolvedWikilink {
+  /**
+   * The path of the linked note relative to the notebook directory
+   */
+  filePath: string;
+  /**
+   * The notes that the wikilink could refer to if the wikilink is ambiguous.
+   * Empty if the wikilink is not ambiguous.
+   */
+  candidates: string[];
+  /**
+   * The alias that the wikilink matches if it is resolved by the alias of the note
+   */
+  alias?: string;
+}
+
+export interface TagInfo {
+  /**
+   * The tag name without `#`, for example, `area/subarea`
+   */
+  name: string;
+  /**
+   * The number of notes that have the tag
+   */
+  count: number;
+}
+
 export interface WebviewConfig extends Partial<NotebookConfig> {
   scrollSync?: boolean;
   zoomLevel?: number;
@@ -0,0 +1,234 @@
+import * as path from 'path';
+import { Notebook } from '.';
+import { matter } from './markdown';
+import { FilePath, Note } from './note';
+import slash from './slash';
+import { UnlinkedMention, UnlinkedMentionReference } from './types';
+
+function escapeRegExp(str: string) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get the regular expression that matches the title or the aliases of the note
+ * as whole words, ignoring the case.
+ */
+function getNoteNamesRegExp(note: Note): RegExp | null {
+  const names = Array.from(
+    new Set(
+      [note.title, ...(note.config.aliases ?? [])]
+        .map((name) => String(name).trim())
+        .filter((name) => name.length > 1),
+    ),
+  )
+    // Match the longer names first
+    .sort((a, b) => b.length - a.length);
+  if (!names.length) {
+    return null;
+  }
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}_])(?:${names
+      .map(escapeRegExp)
+      .join('|')})(?![\\p{L}\\p{N}_])`,
+    'giu',
+  );
+}
+
+/**
+ * Find the plain text occurrences of the title or the aliases of the note in the other notes.
+ * Text inside links, wikilinks, code and front matter is ignored.
+ */
+export async function getUnlinkedMentions(
+  notebook: Notebook,
+  filePath: FilePath,
+): Promise<UnlinkedMention[]> {
+  const note = await notebook.getNote(filePath);
+  if (!note) {
+    return [];
+  }
+  const regExp = getNoteNamesRegExp(note);
+  if (!regExp) {
+    return [];
+  }
+
+  const unlinkedMentions: UnlinkedMention[] = [];
+  for (const referrerFilePath in notebook.notes) {
+    if (referrerFilePath === note.filePath) {
+      continue;
+    }
+    const referrer = notebook.notes[referrerFilePath];
+    const { content } = matter(referrer.markdown);
+    const lines = content.split('\n');
+    const lineOffset = referrer.bodyLineOffset ?? 0;
+    const references: UnlinkedMentionReference[] = [];
+    const referenceHtmls: string[] = [];
+
+    const tokens = notebook.md.parse(content, {});
+    for (const token of tokens) {
+      if (token.type !== 'inline' || !token.map || !token.children) {
+        continue;
+      }
+
+      // Find the position of the text in the source lines in order
+      const end = token.map[1];
+      let line = token.map[0];
+      let column = 0;
+      const locate = (text: string) => {
+        for (; line < end; line++, column = 0) {
+          const index = lines[line].indexOf(text, column);
+          if (index >= 0) {
+            column = index + text.length;
+            return { line, column: index };
+          }
+        }
+        return null;
+      };
+
+      const found: UnlinkedMentionReference[] = [];
+      let linkDepth = 0;
+      for (const child of token.children) {
+        if (child.type === 'link_open') {
+          linkDepth++;
+        } else if (child.type === 'link_close') {
+          linkDepth--;
+        }
+        if (!child.content) {
+          continue;
+        }
+        // The content of wikilinks, code and links is skipped
+        const matches =
+          child.type === 'text' && linkDepth === 0
+            ? Array.from(child.content.matchAll(regExp))
+            : [];
+        const position = locate(child.content);
+        for (const match of matches) {
+          // The text might be different from the source, for example, with escaped characters
+          const matchPosition = position
+            ? {
+                line: position.line,
+                column: position.column + (match.index ?? 0),
+              }
+            : locate(match[0]);
+          if (matchPosition) {
+            found.push({
+              text: match[0],
+              line: matchPosition.line + lineOffset,
+              column: matchPosition.column,
+            });
+          }
+        }
+      }
+
+      if (found.length) {
+        const html = notebook.md.renderer.render(
+          [token],
+          notebook.md.options,
+          {},
+        );
+        for (const reference of found) {
+          references.push(reference);
+          referenceHtmls.push(html);
+        }
+      }
+    }
+
+    if (references.length) {
+      unlinkedMentions.push({
+        note: {
+          notebookPath: referrer.notebookPath,
+          filePath: referrer.filePath,
+          title: referrer.title,
+          config: referrer.config,
+        },
+        references,
+        referenceHtmls,
+      });
+    }
+  }
+  return unlinkedMentions;
+}
+
+/**
+ * Get the wikilink pointing at the note with the text as the displayed text.
+ */
+function getWikilink(
+  notebook: Notebook,
+  text: string,
+  filePath: FilePath,
+  referrerFilePath: FilePath,
+) {
+  const resolves = (content: string) =>
+    notebook.resolveWikilink(
+      notebook.processWikilink(content).link,
+      referrerFilePath,
+    ).filePath === filePath;
+  if (!text.includes('|') && resolves(text)) {
+    return `[[${text}]]`;
+  }
+
+  const withoutExtension = (link: string) =>
+    link.endsWith(notebook.config.wikiLinkTargetFileExtension)
+      ? link.slice(0, -notebook.config.wikiLinkTargetFileExtension.length)
+      : link;
+  const pipedLink = (link: string) =>
+    notebook.config.useGitHubStylePipedLink
+      ? `${text}|${link}`
+      : `${link}|${text}`;
+
+  const { root, path: rootFilePath } = notebook.parseRootPath(filePath);
+  const referrerRoot = notebook.parseRootPath(referrerFilePath);
+  const links = [path.basename(rootFilePath)];
+  if (root === referrerRoot.root) {
+    links.push(
+      slash(path.relative(path.dirname(referrerRoot.path), rootFilePath)),
+    );
+  }
+  for (const link of links.map(withoutExtension)) {
+    if (resolves(pipedLink(link))) {
+      return `[[${pipedLink(link)}]]`;
+    }
+  }
+  // Link to the notes in other roots with the `root:` prefix
+  const link =
+    root === referrerRoot.root
+      ? '/' + slash(rootFilePath)
+      : notebook.getRootLink(filePath);
+  return `[[${pipedLink(withoutExtension(link))}]]`;
+}
+
+/**
+ * Replace the unlinked mention in the markdown with a wikilink to the note.
+ * @returns The new markdown
+ */
+export function linkUnlinkedMention(
+  notebook: Notebook,
+  markdown: string,
+  {
+    filePath,
+    referrerFilePath,
+    reference,
+  }: {
+    filePath: FilePath;
+    referrerFilePath: FilePath;
+    reference: UnlinkedMentionReference;
+  },
+): string {
+  const lines = markdown.split('\n');
+  const line = lines[reference.line];
+  if (
+    line === undefined ||
+    line.slice(reference.column, reference.column + reference.text.length) !==
+      reference.text
+  ) {
+    throw new Error(
+      `The mention "${reference.text}" is not found at line ${
+        reference.line + 1
+      } of "${referrerFilePath}"`,
+    );
+  }
+  lines[reference.line] =
+    line.slice(0, reference.column) +
+    getWikilink(notebook, reference.text, filePath, referrerFilePath) +
+    line.slice(reference.column + reference.text.length);
+  return lines.join('\n');
+}
@@ -7,6 +7,7 @@ import {
   MarkdownEngineRenderOption,
 } from '../markdown-engine';
 import { HeadingData, toc } from '../markdown-engine/toc';
+import { FileSystemApi } from '../notebook';
 import { extractCommandFromBlockInfo } from '../utility';
 
 export default async function enhance(
@@ -141,6 +142,7 @@ export async function renderCodeBlock(
 
 export interface RunCodeChunkOptions {
   enableScriptExecution: boolean;
+  fs: FileSystemApi;
   fileDirectoryPath: string;
   filePath: string;
   imageFolderPath: string;
@@ -171,6 +173,7 @@ export async function runCodeChunk(
     latexEngine,
     modifySource,
     parseMD,
+    fs,
   } = runOptions;
   const codeChunkData = codeChunksData[id];
   if (!codeChunkData || codeChunkData.running) {
@@ -194,6 +197,7 @@ export async function runCodeChunk(
   const cmd = extractCommandFromBlockInfo(codeChunkData.normalizedInfo);
 
   codeChunkData.running = true;
+  codeChunkData.error = undefined;
   let result: string;
   let outputFormat = 'text';
   let blockModifiesSource =
@@ -224,7 +228,11 @@ export async function runCodeChunk(
         fileDirectoryPath,
         cmd,
         codeChunkData.normalizedInfo.attributes,
+        fs,
         latexEngine,
+        (error) => {
+          codeChunkData.error = error;
+        },
       );
     }
     codeChunkData.plainResult = result;
@@ -273,6 +281,7 @@ export async function runCodeChunk(
       )}</code></pre>`;
     }
   } catch (error) {
+    codeChunkData.error = error.toString();
     result = `<pre class="language-text"><code>${escape(
       error.toString(),
     )}</code></pre>`;
@@ -0,0 +1,170 @@
+import { escape } from 'html-escaper';
+import * as path from 'path';
+import { BlockInfo } from '../lib/block-info';
+import { Notebook } from '../notebook';
+import {
+  NoteQuery,
+  NoteQueryGroup,
+  QueryNote,
+  getQueryNoteField,
+  queryNotes,
+} from '../notebook/query';
+import slash from '../notebook/slash';
+import { interpretJS } from '../utility';
+
+const supportedLanguages = ['crossnote-query'];
+
+function formatValue(value: unknown): string {
+  if (value === undefined || value === null) {
+    return '';
+  } else if (Array.isArray(value)) {
+    return value.map(formatValue).join(', ');
+  } else if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  } else if (typeof value === 'object') {
+    return JSON.stringify(value);
+  } else {
+    return String(value);
+  }
+}
+
+function renderQueryResult(
+  groups: NoteQueryGroup[],
+  query: NoteQuery,
+  notebook: Notebook,
+  filePath: string,
+): string {
+  const { root, path: rootFilePath } = notebook.parseRootPath(filePath);
+  const renderLink = (note: QueryNote) => {
+    const target = notebook.parseRootPath(note.filePath);
+    // The notes in other roots are linked by their paths on the file system
+    const href = slash(
+      target.root === root
+        ? path.relative(path.dirname(rootFilePath), target.path)
+        : path.relative(
+            path.dirname(notebook.resolveNoteAbsolutePath(filePath)),
+            notebook.resolveNoteAbsolutePath(note.filePath),
+          ),
+    );
+    return `<a href="${escape(encodeURI(href))}">${escape(note.title)}</a>`;
+  };
+  const fields = query.fields ?? [];
+
+  let html = '';
+  for (const group of groups) {
+    if (query.groupBy) {
+      html += `<p><strong>${escape(
+        formatValue(group.key) || '(none)',
+      )}</strong> <span>(${group.notes.length})</span></p>`;
+    }
+    if (query.view === 'table') {
+      html += `<table><thead><tr><th>Note</th>${fields
+        .map((field) => `<th>${escape(field)}</th>`)
+        .join('')}</tr></thead><tbody>`;
+      for (const note of group.notes) {
+        html += `<tr><td>${renderLink(note)}</td>${fields
+          .map(
+            (field) =>
+              `<td>${escape(formatValue(getQueryNoteField(note, field)))}</td>`,
+          )
+          .join('')}</tr>`;
+      }
+      html += '</tbody></table>';
+    } else {
+      html += `<ul>${group.notes
+        .map((note) => `<li>${renderLink(note)}</li>`)
+        .join('')}</ul>`;
+    }
+  }
+  if (!groups.some((group) => group.notes.length)) {
+    html = '<p>No notes found</p>';
+  }
+  return `<div class="crossnote-query">${html}</div>`;
+}
+
+/**
+ * Enhances the document with the notebook query blocks.
+ * The code block is a JavaScript object of `NoteQuery`, for example:
+ *
+ * ```crossnote-query
+ * { folder: 'projects', where: { status: 'active' }, sort: '-modifiedAt', view: 'table', fields: ['status'] }
+ * ```
+ *
+ * The `where` function is only allowed if `enableScriptExecution` is `true`,
+ * as the query code runs in the process with full privileges.
+ *
+ * Attributes supported:
+ * - hide [=true] if set to false, both code and output are shown
+ * - output_first [=false] if true, the result shows before the code block (requires hide=false)
+ *
+ * @param $ cheerio element containing the entire document
+ * @param notebook
+ * @param filePath The path of the note being rendered, relative to the notebook directory
+ */
+export default async function enhance(
+  $: CheerioStatic,
+  notebook: Notebook,
+  filePath: string,
+): Promise<void> {
+  const containers: Cheerio[] = [];
+  $('[data-role="codeBlock"]').each((i, container) => {
+    const $container = $(container);
+    if ($container.data('executor')) {
+      return;
+    }
+
+    const normalizedInfo: BlockInfo = $container.data('normalizedInfo');
+    if (
+      normalizedInfo.attributes['literate'] === false ||
+      normalizedInfo.attributes['cmd'] === false ||
+      supportedLanguages.indexOf(normalizedInfo.language) === -1
+    ) {
+      return;
+    }
+    $container.data('executor', 'fenced-queries');
+    containers.push($container);
+  });
+  if (!containers.length) {
+    return;
+  }
+
+  await notebook.refreshNotesIfNotLoaded({
+    dir: './',
+    includeSubdirectories: true,
+  });
+  for (const $container of containers) {
+    const normalizedInfo: BlockInfo = $container.data('normalizedInfo');
+    let $output: string;
+    try {
+      const query: NoteQuery = interpretJS($container.text());
+      if (!query || typeof query !== 'object') {
+        throw new Error('The query should be an object');
+      }
+      if (
+        typeof query.where === 'function' &&
+        !notebook.config.enableScriptExecution
+      ) {
+        throw new Error(
+          'The `where` function requires `enableScriptExecution`. Use the front matter fields instead, for example, `where: { status: "active" }`',
+        );
+      }
+      $output = renderQueryResult(
+        queryNotes(notebook, query, filePath),
+        query,
+        notebook,
+        filePath,
+      );
+    } catch (error) {
+      $output = `<pre class="language-text"><code>${escape(
+        error.toString(),
+      )}</code></pre>`;
+    }
+
+    normalizedInfo.attributes['output_first'] === true
+      ? $container.before($output)
+      : $container.after($output);
+    if (normalizedInfo.attributes['hide'] !== false) {
+      $container.data('hiddenByEnhancer', true);
+    }
+  }
+}
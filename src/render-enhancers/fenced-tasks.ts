@@ -0,0 +1,121 @@
+import { escape } from 'html-escaper';
+import * as path from 'path';
+import * as YAML from 'yaml';
+import { BlockInfo } from '../lib/block-info';
+import { Notebook } from '../notebook';
+import slash from '../notebook/slash';
+import { Task, TaskFilter, getTasks } from '../notebook/tasks';
+
+const supportedLanguages = ['tasks'];
+
+function renderTasks(
+  tasks: Task[],
+  notebook: Notebook,
+  filePath: string,
+): string {
+  if (!tasks.length) {
+    return '<div class="crossnote-tasks"><p>No tasks found</p></div>';
+  }
+  const noteDirectoryPath = path.dirname(
+    notebook.resolveNoteAbsolutePath(filePath),
+  );
+  const items = tasks.map((task) => {
+    const href = slash(
+      path.relative(
+        noteDirectoryPath,
+        notebook.resolveNoteAbsolutePath(task.filePath),
+      ),
+    );
+    const title = path.basename(task.filePath).replace(/\.md$/, '');
+    // The checkbox doesn't have the `task-list-item-checkbox` class,
+    // so clicking it in the preview won't toggle the task in the current note.
+    return `<li class="task-list-item" data-priority="${escape(
+      task.priority ?? '',
+    )}"><input type="checkbox" disabled${
+      task.completed ? ' checked' : ''
+    }> ${escape(task.description)}${
+      task.due ? ` <span class="crossnote-task-due">📅 ${task.due}</span>` : ''
+    } <a href="${escape(encodeURI(href))}" data-line="${task.line}">${escape(
+      title,
+    )}</a></li>`;
+  });
+  return `<div class="crossnote-tasks"><ul class="contains-task-list">${items.join(
+    '',
+  )}</ul></div>`;
+}
+
+/**
+ * Enhances the document with the task query blocks.
+ * The code block is a YAML or JSON object of `TaskFilter`, and the open tasks are listed by default, for example:
+ *
+ * ```tasks
+ * { tag: 'work', dueBefore: '2026-12-31' }
+ * ```
+ *
+ * Attributes supported:
+ * - hide [=true] if set to false, both code and output are shown
+ * - output_first [=false] if true, the result shows before the code block (requires hide=false)
+ *
+ * @param $ cheerio element containing the entire document
+ * @param notebook
+ * @param filePath The path of the note being rendered, relative to the notebook directory
+ */
+export default async function enhance(
+  $: CheerioStatic,
+  notebook: Notebook,
+  filePath: string,
+): Promise<void> {
+  const containers: Cheerio[] = [];
+  $('[data-role="codeBlock"]').each((i, container) => {
+    const $container = $(container);
+    if ($container.data('executor')) {
+      return;
+    }
+
+    const normalizedInfo: BlockInfo = $container.data('normalizedInfo');
+    if (
+      normalizedInfo.attributes['literate'] === false ||
+      normalizedInfo.attributes['cmd'] === false ||
+      supportedLanguages.indexOf(normalizedInfo.language) === -1
+    ) {
+      return;
+    }
+    $container.data('executor', 'fenced-tasks');
+    containers.push($container);
+  });
+  if (!containers.length) {
+    return;
+  }
+
+  await notebook.refreshNotesIfNotLoaded({
+    dir: './',
+    includeSubdirectories: true,
+  });
+  for (const $container of containers) {
+    const normalizedInfo: BlockInfo = $container.data('normalizedInfo');
+    let $output: string;
+    try {
+      const code = $container.text().trim();
+      const filter: TaskFilter = code ? YAML.parse(code) : {};
+      if (!filter || typeof filter !== 'object') {
+        throw new Error('The task filter should be an object');
+      }
+      $output = renderTasks(
+        getTasks(notebook, { completed: false, ...filter }),
+        notebook,
+        filePath,
+      );
+    } catch (error) {
+      $output = `<pre class="language-text"><code>${escape(
+        error.toString(),
+      )}</code></pre>`;
+    }
+
+    normalizedInfo.attributes['output_first'] === true
+      ? $container.before($output)
+      : $container.after($output);
+    if (normalizedInfo.attributes['hide'] !== false) {
+      $container.data('hiddenByEnhancer', true);
+    }
+  }
+}
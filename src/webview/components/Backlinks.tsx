@@ -141,7 +141,7 @@ export default function Backlinks() {
         <div className="loading">Loading...</div>
       ) : (
         <div>
-          {backlinks.map(({ note, referenceHtmls, references }) => {
+          {backlinks.map(({ note, referenceHtmls, references, contexts }) => {
             if (!note.notebookPath || !note.filePath) {
               return;
             }
@@ -161,9 +161,14 @@ export default function Backlinks() {
                 <ul className="list-disc">
                   {referenceHtmls.map((html, index) => {
                     const reference = references[index];
-                    const line = (reference.parentToken?.map ??
-                      reference.token?.map ??
-                      [])[0];
+                    const context = contexts?.[index];
+                    // Jump to the line of the reference in the referring note
+                    const line =
+                      context?.line ??
+                      reference.line ??
+                      (reference.parentToken?.map ??
+                        reference.token?.map ??
+                        [])[0];
                     if (!note.notebookPath || !note.filePath) {
                       return;
                     }
@@ -187,7 +192,18 @@ export default function Backlinks() {
                           >
                             <Icon path={mdiOpenInNew} size={0.8}></Icon>
                           </a>
-                          <div dangerouslySetInnerHTML={{ __html: html }}></div>
+                          <div>
+                            {context?.headingPath.length ? (
+                              <div className="text-sm opacity-60">
+                                {context.headingPath.join(' › ')}
+                              </div>
+                            ) : null}
+                            <div
+                              dangerouslySetInnerHTML={{
+                                __html: context?.html ?? html,
+                              }}
+                            ></div>
+                          </div>
                         </div>
                       </li>
                     );
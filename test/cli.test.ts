@@ -0,0 +1,166 @@
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { parseCLIArgs, runCLI } from '../src/cli';
+
+describe('crossnote command', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    write('index.md', '# Index');
+    write('docs/a.md', '# A\n\n[[../index]]');
+    write('docs/nested/b.md', '# B');
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('parses the arguments', () => {
+    expect(
+      parseCLIArgs(
+        [
+          '-n',
+          'notes',
+          '--format',
+          'pdf',
+          '-o',
+          'out',
+          '--theme',
+          'github-dark',
+          '--run-all-code-chunks',
+          'docs/**/*.md',
+        ],
+        '/project',
+      ),
+    ).toEqual({
+      notebookPath: path.resolve('/project/notes'),
+      inputs: ['docs/**/*.md'],
+      format: 'pdf',
+      outDir: path.resolve('/project/out'),
+      theme: 'github-dark.css',
+      runAllCodeChunks: true,
+      offline: false,
+    });
+    expect(parseCLIArgs(['--help'])).toBeNull();
+    expect(() => parseCLIArgs(['-f', 'docx', 'a.md'])).toThrow(
+      'Unknown format "docx"',
+    );
+    expect(() => parseCLIArgs([])).toThrow('No file to export');
+    expect(() => parseCLIArgs(['-f', 'pandoc', '-o', 'out', 'a.md'])).toThrow(
+      '--out-dir cannot be used with the pandoc format',
+    );
+  });
+
+  test('exports the notes matched by the pattern to the output directory', async () => {
+    const outDir = path.join(notebookPath, 'out');
+    const code = await runCLI(
+      ['-n', notebookPath, '-f', 'markdown', '-o', outDir, 'docs/**/*.md'],
+      notebookPath,
+    );
+    expect(code).toBe(0);
+    expect(readFileSync(path.join(outDir, 'docs/a_.md'), 'utf-8')).toContain(
+      '# A',
+    );
+    expect(existsSync(path.join(outDir, 'docs/nested/b_.md'))).toBe(true);
+    expect(existsSync(path.join(outDir, 'index_.md'))).toBe(false);
+    expect(existsSync(path.join(notebookPath, 'docs/a_.md'))).toBe(false);
+  });
+
+  test('keeps the existing files next to the notes when exporting to the output directory', async () => {
+    write('docs/a_.md', 'Mine');
+    const outDir = path.join(notebookPath, 'out');
+    const code = await runCLI(
+      ['-n', notebookPath, '-f', 'markdown', '-o', outDir, 'docs'],
+      notebookPath,
+    );
+    expect(code).toBe(1);
+    expect(readFileSync(path.join(notebookPath, 'docs/a_.md'), 'utf-8')).toBe(
+      'Mine',
+    );
+    expect(existsSync(path.join(outDir, 'docs/a_.md'))).toBe(false);
+    expect(existsSync(path.join(outDir, 'docs/nested/b_.md'))).toBe(true);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('already exists'),
+    );
+  });
+
+  test('rewrites the relative links of the html moved to the output directory', async () => {
+    write('docs/c.md', '# C\n\n![logo](../images/logo.png)\n\n[A](a.md)');
+    const outDir = path.join(notebookPath, 'out/site');
+    const code = await runCLI(
+      ['-n', notebookPath, '-o', outDir, 'docs/c.md'],
+      notebookPath,
+    );
+    expect(code).toBe(0);
+    const html = readFileSync(path.join(outDir, 'docs/c.html'), 'utf-8');
+    expect(html).toContain('src="../../../images/logo.png"');
+    expect(html).toContain('href="../../../docs/a.md"');
+    expect(existsSync(path.join(notebookPath, 'docs/c.html'))).toBe(false);
+  });
+
+  test('exits with code 1 on render errors', async () => {
+    write('broken.md', '# Broken\n\n@import "nope.md"');
+    write(
+      'failing.md',
+      '```js {cmd=node output=html}\nconsole.log("<b>partial</b>");\nprocess.exit(3)\n```',
+    );
+    const code = await runCLI(
+      ['-n', notebookPath, '--run-all-code-chunks', 'broken.md', 'failing.md'],
+      notebookPath,
+    );
+    expect(code).toBe(1);
+    expect(existsSync(path.join(notebookPath, 'broken.html'))).toBe(true);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('Failed to import "nope.md"'),
+    );
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /failing\.md: Code chunk .* failed: node exited with code 3/,
+      ),
+    );
+    // The output of the failed code chunk is rendered as usual
+    expect(
+      readFileSync(path.join(notebookPath, 'failing.html'), 'utf-8'),
+    ).toContain('<b>partial</b>');
+  });
+
+  test('exports the html next to the note', async () => {
+    const code = await runCLI(
+      ['--offline', '--theme', 'github-dark', 'index.md'],
+      notebookPath,
+    );
+    expect(code).toBe(0);
+    const html = readFileSync(path.join(notebookPath, 'index.html'), 'utf-8');
+    expect(html).toContain('<h1');
+    expect(html).toContain('Index');
+  });
+
+  test('exits with non-zero code on errors', async () => {
+    expect(await runCLI(['-n', notebookPath, 'missing.md'], notebookPath)).toBe(
+      1,
+    );
+    expect(await runCLI(['-f', 'docx', 'index.md'], notebookPath)).toBe(2);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('"missing.md" does not exist'),
+    );
+  });
+});
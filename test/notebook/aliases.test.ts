@@ -0,0 +1,96 @@
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+import { constructGraphView } from '../../src/notebook/graph-view';
+
+describe('alias-aware wikilinks', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+  const read = (filePath: string) =>
+    readFileSync(path.join(notebookPath, filePath), 'utf-8');
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('resolves wikilinks to the note that declares the alias', async () => {
+    write(
+      'notes/machine-learning.md',
+      '---\naliases: [Machine Learning, ML]\n---\n# Machine Learning',
+    );
+    write('index.md', '[[ML]] and [[machine learning#Intro]]');
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+
+    const target = path.join('notes', 'machine-learning.md');
+    expect(notebook.resolveWikilink('ML.md', 'index.md')).toEqual({
+      filePath: target,
+      candidates: [],
+      alias: 'ML.md',
+    });
+    expect(Object.keys(notebook.notes['index.md'].mentions)).toEqual([target]);
+    expect(
+      (await notebook.getNoteBacklinks(target)).map(
+        (backlink) => backlink.references.length,
+      ),
+    ).toEqual([2]);
+    expect(constructGraphView(notebook).links).toContainEqual({
+      source: 'index.md',
+      target,
+      type: 'note',
+      weight: 2,
+    });
+
+    const engine = notebook.getNoteMarkdownEngine('index.md');
+    const { html } = await engine.parseMD('[[ML]]', {
+      isForPreview: false,
+      useRelativeFilePath: true,
+      hideFrontMatter: false,
+    });
+    expect(html).toContain('href="notes/machine-learning.md">ML</a>');
+
+    // The alias links are kept when the note is renamed
+    await notebook.renameNote(target, 'ml.md');
+    expect(read('index.md')).toBe('[[ML]] and [[machine learning#Intro]]');
+    expect(Object.keys(notebook.notes['index.md'].mentions)).toEqual(['ml.md']);
+  });
+
+  test('re-resolves the wikilinks when the aliases change', async () => {
+    write('a.md', '# A');
+    write('index.md', '[[Alpha]]');
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+    expect(Object.keys(notebook.notes['index.md'].mentions)).toEqual([
+      'Alpha.md',
+    ]);
+
+    write('a.md', '---\naliases: Alpha\n---\n# A');
+    await notebook.onFileChanged('a.md', 'changed');
+    expect(Object.keys(notebook.notes['index.md'].mentions)).toEqual(['a.md']);
+
+    write('a.md', '# A');
+    await notebook.onFileChanged('a.md', 'changed');
+    expect(Object.keys(notebook.notes['index.md'].mentions)).toEqual([
+      'Alpha.md',
+    ]);
+  });
+});
@@ -0,0 +1,73 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { URI, Utils } from 'vscode-uri';
+import { Notebook } from '../../src';
+
+describe('backlink snippets', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('resolves the links relative to the referring note', async () => {
+    write('target.md', '# Target');
+    write('docs/other.md', '# Other');
+    write(
+      'docs/referrer.md',
+      [
+        '---',
+        'title: Referrer',
+        '---',
+        '# Project',
+        '',
+        '## Links',
+        '',
+        '- See [[../target]] and [other](other.md)',
+        '  - nested item',
+        '- another item',
+        '',
+        'A paragraph with [[../target#Target]].',
+      ].join('\n'),
+    );
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+    const [backlink] = await notebook.getNoteBacklinks('target.md');
+    const uri = (filePath: string) =>
+      Utils.joinPath(URI.file(notebookPath), filePath).toString();
+
+    expect(backlink.note.filePath).toBe(path.join('docs', 'referrer.md'));
+    expect(backlink.contexts.map(({ line }) => line)).toEqual([7, 11]);
+    expect(backlink.contexts.map(({ headingPath }) => headingPath)).toEqual([
+      ['Project', 'Links'],
+      ['Project', 'Links'],
+    ]);
+
+    expect(backlink.referenceHtmls[0]).toContain(`href="${uri('target.md')}"`);
+    expect(backlink.referenceHtmls[0]).toContain(
+      `href="${uri('docs/other.md')}"`,
+    );
+    expect(backlink.referenceHtmls[0]).not.toContain('nested item');
+    expect(backlink.contexts[0].html).toMatch(/^<ul/);
+    expect(backlink.contexts[0].html).toContain('nested item');
+    expect(backlink.contexts[0].html).not.toContain('another item');
+
+    expect(backlink.referenceHtmls[1]).toContain(
+      `href="${uri('target.md')}#target"`,
+    );
+    expect(backlink.contexts[1].html).toMatch(/^<p/);
+  });
+});
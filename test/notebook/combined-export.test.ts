@@ -0,0 +1,132 @@
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  readdirSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+import {
+  combineNotes,
+  getCombinedNoteFilePaths,
+} from '../../src/notebook/combined-export';
+
+describe('combined export', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  const init = async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+    return notebook;
+  };
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    write(
+      'book/intro.md',
+      '---\norder: 2\n---\n# Intro\n\n## Setup\n\nSee [[usage#setup]].',
+    );
+    write(
+      'book/usage.md',
+      '---\norder: 1\n---\n# Usage\n\n## Setup\n\nBack to [the intro](intro.md) and [setup](#setup).\n\n![logo](../images/logo.png)\n\n```\n[[intro]]\n```',
+    );
+    write('book/notes.md', 'No heading, see [[../index]].');
+    write('index.md', '# Index');
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('orders the notes in the folder', async () => {
+    const notebook = await init();
+    expect(getCombinedNoteFilePaths(notebook, { folder: 'book' })).toEqual(
+      ['book/usage.md', 'book/intro.md', 'book/notes.md'].map(path.normalize),
+    );
+
+    write(
+      'book/SUMMARY.md',
+      '# Summary\n\n- [[intro]]\n- [Notes](notes.md)\n- [Intro again](intro.md)',
+    );
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+    expect(getCombinedNoteFilePaths(notebook, { folder: 'book' })).toEqual(
+      ['book/intro.md', 'book/notes.md'].map(path.normalize),
+    );
+
+    expect(() =>
+      getCombinedNoteFilePaths(notebook, { notes: ['missing.md'] }),
+    ).toThrow('Note "missing.md" does not exist');
+  });
+
+  test('combines the notes with unique heading ids and in-document links', async () => {
+    const notebook = await init();
+    const markdown = combineNotes(
+      notebook,
+      getCombinedNoteFilePaths(notebook, { folder: 'book' }),
+      notebookPath,
+    );
+    expect(markdown).toBe(
+      [
+        '# Usage {#usage}',
+        '',
+        '## Setup {#setup}',
+        '',
+        'Back to [the intro](#intro) and [setup](#setup).',
+        '',
+        '![logo](images/logo.png)',
+        '',
+        '```',
+        '[[intro]]',
+        '```',
+        '',
+        '<!-- pagebreak -->',
+        '',
+        '# Intro {#intro}',
+        '',
+        '## Setup {#setup-1}',
+        '',
+        'See [usage#setup](#setup).',
+        '',
+        '<!-- pagebreak -->',
+        '',
+        '# notes {#notes}',
+        '',
+        'No heading, see [[main:index.md|../index]].',
+      ].join('\n'),
+    );
+  });
+
+  test('exports the combined html', async () => {
+    const notebook = await init();
+    const dest = path.join(notebookPath, 'out/book.html');
+    expect(
+      await notebook.exportCombinedDocument({
+        notes: ['book/intro.md', 'book/usage.md'],
+        format: 'html',
+        dest,
+        title: 'Book',
+      }),
+    ).toBe(dest);
+
+    const html = readFileSync(dest, 'utf-8');
+    expect(html).toContain('<title>Book</title>');
+    expect(html).toContain('<h2 id="setup-1">');
+    expect(html).toContain('See <a href="#setup-1">usage#setup</a>');
+    expect(html).toContain('<a href="#intro">the intro</a>');
+    expect(html).toContain('src="../images/logo.png"');
+    expect(html).toContain('class="pagebreak"');
+    expect(readdirSync(path.dirname(dest))).toEqual(['book.html']);
+    expect(existsSync(path.join(notebookPath, 'book.html'))).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+import { mkdirSync, mkdtempSync, rmSync, unlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('Notebook.onFileChanged', () => {
+  // The module itself, as the properties of `import * as fs` cannot be spied on
+  const fs: typeof import('fs') = jest.requireActual('fs');
+  let notebookPath: string;
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('updates only the affected note', async () => {
+    writeFileSync(path.join(notebookPath, 'a.md'), '[[b]]');
+    writeFileSync(path.join(notebookPath, 'b.md'), '# B');
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+
+    writeFileSync(path.join(notebookPath, 'c.md'), '[[b]] [[a]]');
+    await notebook.onFileChanged('c.md', 'created');
+    expect(notebook.notes['c.md']).toBeDefined();
+    expect(notebook.referenceMap.getReferredByNotesCount('b.md')).toBe(2);
+
+    writeFileSync(path.join(notebookPath, 'a.md'), 'No links');
+    await notebook.onFileChanged(path.join(notebookPath, 'a.md'), 'changed');
+    expect(notebook.referenceMap.getReferredByNotesCount('b.md')).toBe(1);
+
+    unlinkSync(path.join(notebookPath, 'c.md'));
+    await notebook.onFileChanged('c.md', 'deleted');
+    expect(notebook.notes['c.md']).toBeUndefined();
+    expect(notebook.referenceMap.getReferredByNotesCount('b.md')).toBe(0);
+    expect(notebook.referenceMap.noteHasReferences('c.md')).toBe(false);
+    expect(await notebook.searchNotes('c')).toEqual([]);
+  });
+
+  const waitFor = async (condition: () => boolean) => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    expect(condition()).toBe(true);
+  };
+
+  test('watches the notes in the subdirectories', async () => {
+    mkdirSync(path.join(notebookPath, 'docs'));
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+    const unwatch = notebook.watchNotes();
+    expect(unwatch).not.toBeNull();
+
+    writeFileSync(path.join(notebookPath, 'docs/a.md'), '# A');
+    await waitFor(() => !!notebook.notes[path.normalize('docs/a.md')]);
+    unwatch?.();
+  });
+
+  test('watches each directory if recursive watching is not supported', async () => {
+    const watch = fs.watch;
+    jest.spyOn(fs, 'watch').mockImplementation(((...args) => {
+      if (typeof args[1] === 'object' && args[1]?.['recursive']) {
+        throw Object.assign(new Error('The feature is unavailable'), {
+          code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM',
+        });
+      }
+      return watch.apply(fs, args);
+    }) as typeof fs.watch);
+    mkdirSync(path.join(notebookPath, 'docs'));
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+    const unwatch = notebook.watchNotes();
+    expect(unwatch).not.toBeNull();
+
+    writeFileSync(path.join(notebookPath, 'docs/a.md'), '# A');
+    await waitFor(() => !!notebook.notes[path.normalize('docs/a.md')]);
+
+    // The directories created after watching are watched too
+    mkdirSync(path.join(notebookPath, 'docs/nested'));
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    writeFileSync(path.join(notebookPath, 'docs/nested/b.md'), '# B');
+    await waitFor(() => !!notebook.notes[path.normalize('docs/nested/b.md')]);
+    unwatch?.();
+  });
+
+  test('returns null if it fails to watch', async () => {
+    jest.spyOn(fs, 'watch').mockImplementation(() => {
+      throw new Error('Too many open files');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    expect(notebook.watchNotes()).toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
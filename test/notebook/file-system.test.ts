@@ -0,0 +1,192 @@
+import * as pako from 'pako';
+import {
+  Notebook,
+  createInMemoryFileSystem,
+  createOverlayFileSystem,
+  createZipFileSystem,
+} from '../../src';
+
+/**
+ * Build a zip archive with the first file stored and the others deflated.
+ */
+function createZip(files: { [key: string]: string }) {
+  const encoder = new TextEncoder();
+  const localParts: Uint8Array[] = [];
+  const centralParts: Uint8Array[] = [];
+  let offset = 0;
+  Object.keys(files).forEach((fileName, index) => {
+    const name = encoder.encode(fileName);
+    const content = encoder.encode(files[fileName]);
+    const method = index === 0 ? 0 : 8;
+    const data = method === 0 ? content : pako.deflateRaw(content);
+
+    const local = new Uint8Array(30 + name.length + data.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    localView.setUint16(8, method, true);
+    localView.setUint32(18, data.length, true);
+    localView.setUint32(22, content.length, true);
+    localView.setUint16(26, name.length, true);
+    local.set(name, 30);
+    local.set(data, 30 + name.length);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(10, method, true);
+    // 2024-01-02 03:04:06
+    centralView.setUint16(12, (3 << 11) | (4 << 5) | 3, true);
+    centralView.setUint16(14, ((2024 - 1980) << 9) | (1 << 5) | 2, true);
+    centralView.setUint32(20, data.length, true);
+    centralView.setUint32(24, content.length, true);
+    centralView.setUint16(28, name.length, true);
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    localParts.push(local);
+    centralParts.push(central);
+    offset += local.length;
+  });
+
+  const centralSize = centralParts.reduce((size, p) => size + p.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, centralParts.length, true);
+  endView.setUint16(10, centralParts.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  for (const part of [...localParts, ...centralParts, end]) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
+
+describe('file system adapters', () => {
+  test('in-memory file system', async () => {
+    const fs = createInMemoryFileSystem({ '/notes/a.md': '# A' });
+    expect(await fs.exists('/notes')).toBe(true);
+    expect(await fs.readFile('/notes/a.md')).toBe('# A');
+
+    const changes: string[] = [];
+    const unwatch = fs.watch('/notes', (filePath, type) =>
+      changes.push(`${type} ${filePath}`),
+    );
+    await fs.writeFile('/notes/sub/b.md', '# B');
+    await fs.rename('/notes/a.md', '/notes/c.md');
+    await fs.writeFile('/other.md', '# Other');
+    unwatch();
+    await fs.unlink('/notes/c.md');
+
+    expect(await fs.readdir('/notes')).toEqual(['sub']);
+    expect((await fs.stat('/notes/sub')).isDirectory()).toBe(true);
+    expect((await fs.stat('/notes/sub/b.md')).size).toBe(3);
+    // The size is in bytes
+    await fs.writeFile('/notes/sub/d.md', '# 笔记');
+    expect((await fs.stat('/notes/sub/d.md')).size).toBe(8);
+    expect(changes).toEqual([
+      'created /notes/sub/b.md',
+      'deleted /notes/a.md',
+      'created /notes/c.md',
+    ]);
+    await expect(fs.readFile('/notes/a.md')).rejects.toThrow('ENOENT');
+  });
+
+  test('notebook on the in-memory file system', async () => {
+    const fs = createInMemoryFileSystem({
+      '/notebook/a.md': '# A\n\n[[b]]',
+      '/notebook/b.md': '# B',
+    });
+    const notebook = await Notebook.init({
+      notebookPath: '/notebook',
+      fs,
+      config: {},
+    });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+    expect(Object.keys(notebook.notes).sort()).toEqual(['a.md', 'b.md']);
+    expect(Object.keys(notebook.referenceMap.map['b.md'])).toContain('a.md');
+
+    await notebook.writeNote('c.md', '# C');
+    expect(fs.toJSON()['/notebook/c.md']).toMatch(/# C$/);
+  });
+
+  test('zip file system is read-only', async () => {
+    const fs = createZipFileSystem(
+      createZip({
+        'a.md': '# A',
+        'notes/b.md': '# B\n\nDeflated '.repeat(10),
+      }),
+      '/archive',
+    );
+    expect(await fs.readdir('/archive')).toEqual(['a.md', 'notes']);
+    expect(await fs.readFile('/archive/a.md')).toBe('# A');
+    expect(await fs.readFile('/archive/notes/b.md')).toBe(
+      '# B\n\nDeflated '.repeat(10),
+    );
+    const stats = await fs.stat('/archive/a.md');
+    expect(stats.isFile()).toBe(true);
+    expect(new Date(stats.mtimeMs).getFullYear()).toBe(2024);
+    await expect(fs.writeFile('/archive/c.md', '# C')).rejects.toThrow(
+      'read-only',
+    );
+  });
+
+  test('overlay file system keeps the unsaved buffers', async () => {
+    const base = createInMemoryFileSystem({ '/notes/a.md': '# A' });
+    const fs = createOverlayFileSystem(base);
+
+    await fs.setBuffer('/notes/a.md', '# A (unsaved)');
+    await fs.setBuffer('/notes/new.md', '# New');
+    expect(await fs.readFile('/notes/a.md')).toBe('# A (unsaved)');
+    expect(await fs.readdir('/notes')).toEqual(['a.md', 'new.md']);
+    expect(fs.getBufferPaths()).toEqual(['/notes/a.md', '/notes/new.md']);
+    expect(await base.readFile('/notes/a.md')).toBe('# A');
+
+    await fs.writeFile('/notes/a.md', '# A (saved)');
+    expect(await base.readFile('/notes/a.md')).toBe('# A (saved)');
+    expect(fs.getBufferPaths()).toEqual(['/notes/new.md']);
+
+    await fs.deleteBuffer('/notes/new.md');
+    expect(await fs.exists('/notes/new.md')).toBe(false);
+  });
+
+  test('overlay file system watches the base and the buffers', async () => {
+    const base = createInMemoryFileSystem({ '/notes/a.md': '# A' });
+    const fs = createOverlayFileSystem(base);
+
+    const changes: string[] = [];
+    const unwatch = fs.watch('/notes', (filePath, type) =>
+      changes.push(`${type} ${filePath}`),
+    );
+    await base.writeFile('/notes/b.md', '# B');
+    await base.writeFile('/other.md', '# Other');
+    await fs.setBuffer('/notes/c.md', '# C');
+    await fs.setBuffer('/other/d.md', '# D');
+    unwatch();
+    await base.writeFile('/notes/e.md', '# E');
+    expect(changes).toEqual(['created /notes/b.md', 'changed /notes/c.md']);
+
+    base.watch = () => {
+      throw new Error('Too many open files');
+    };
+    expect(() => fs.watch('/notes', () => undefined)).toThrow(
+      'Too many open files',
+    );
+  });
+
+  test('read-only overlay file system never modifies the base', async () => {
+    const base = createInMemoryFileSystem({ '/notes/a.md': '# A' });
+    const fs = createOverlayFileSystem(base, true);
+
+    await fs.writeFile('/notes/b.md', '# B');
+    await fs.rename('/notes/a.md', '/notes/c.md');
+    expect(await fs.readdir('/notes')).toEqual(['b.md', 'c.md']);
+    expect(await fs.readFile('/notes/c.md')).toBe('# A');
+    await expect(fs.readFile('/notes/a.md')).rejects.toThrow('ENOENT');
+    expect(base.toJSON()).toEqual({ '/notes/a.md': '# A' });
+  });
+});
@@ -0,0 +1,85 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('graph analytics', () => {
+  let notebookPath: string;
+  let notebook: Notebook;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  beforeAll(async () => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    // hub <- a, b, c; a -> x, b -> x; c -> d; island is not linked
+    write('hub.md', '# Hub');
+    write('a.md', '[[hub]] [[x]]');
+    write('b.md', '[[hub]] [[x]]');
+    write('c.md', '[[hub]] [[d]] [[missing]]');
+    write('d.md', '# D');
+    write('x.md', '# X');
+    write('island.md', '# Island');
+    notebook = await Notebook.init({ notebookPath, config: {} });
+  });
+
+  afterAll(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('finds the shortest path', async () => {
+    expect(await notebook.getShortestPath('a.md', 'd.md')).toEqual([
+      'a.md',
+      'hub.md',
+      'c.md',
+      'd.md',
+    ]);
+    expect(await notebook.getShortestPath('a.md', 'd.md', true)).toBeNull();
+    expect(await notebook.getShortestPath('c.md', 'd.md', true)).toEqual([
+      'c.md',
+      'd.md',
+    ]);
+    expect(await notebook.getShortestPath('a.md', 'island.md')).toBeNull();
+  });
+
+  test('finds the connected components', async () => {
+    expect(await notebook.getConnectedComponents()).toEqual([
+      ['a.md', 'b.md', 'c.md', 'd.md', 'hub.md', 'x.md'],
+      ['island.md'],
+    ]);
+  });
+
+  test('ranks the hub first', async () => {
+    const ranks = await notebook.getPageRank();
+    expect(ranks[0].filePath).toBe('hub.md');
+    expect(ranks.map(({ filePath }) => filePath)).not.toContain('missing.md');
+    expect(ranks.reduce((sum, { score }) => sum + score, 0)).toBeCloseTo(1);
+  });
+
+  test('suggests the links between the notes with shared neighbors', async () => {
+    expect(await notebook.getSuggestedLinks()).toEqual([
+      {
+        source: 'a.md',
+        target: 'b.md',
+        sharedNeighbors: ['hub.md', 'x.md'],
+        score: 1,
+      },
+      {
+        source: 'hub.md',
+        target: 'x.md',
+        sharedNeighbors: ['a.md', 'b.md'],
+        score: 2 / 3,
+      },
+    ]);
+    expect(
+      (await notebook.getSuggestedLinks('b.md')).map(({ target }) => target),
+    ).toEqual(['a.md']);
+    expect(
+      await notebook.getSuggestedLinks('c.md', { minSharedNeighbors: 1 }),
+    ).toHaveLength(2);
+  });
+});
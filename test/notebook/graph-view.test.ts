@@ -0,0 +1,130 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+import {
+  constructGraphView,
+  constructLocalGraphView,
+} from '../../src/notebook/graph-view';
+
+describe('graph view', () => {
+  let notebookPath: string;
+  let notebook: Notebook;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  beforeEach(async () => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    write('a.md', '[[b]] [[b]] [[missing]] #topic');
+    write('b.md', '[[c]]');
+    write('c.md', '[[d]]');
+    write('d.md', '# D');
+    write('folder/e.md', '---\ntags: [topic]\n---\n# E');
+    notebook = await Notebook.init({
+      notebookPath,
+      config: { enableTagSyntax: true },
+    });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('weights the links and annotates the nodes', () => {
+    const { nodes, links } = constructGraphView(notebook);
+    const node = (id: string) => nodes.find((node) => node.id === id);
+
+    expect(links).toContainEqual({
+      source: 'a.md',
+      target: 'b.md',
+      type: 'note',
+      weight: 2,
+    });
+    expect(links.some((link) => link.source === link.target)).toBe(false);
+    expect(node('a.md')).toMatchObject({
+      inDegree: 0,
+      outDegree: 2,
+      orphan: true,
+      missing: false,
+      folder: '.',
+    });
+    expect(node('b.md')).toMatchObject({ inDegree: 1, outDegree: 1 });
+    expect(node('missing.md')).toMatchObject({ missing: true, orphan: false });
+    expect(node(path.join('folder', 'e.md'))).toMatchObject({
+      orphan: true,
+      folder: 'folder',
+    });
+    expect(nodes.every((node) => node.type === 'note')).toBe(true);
+  });
+
+  test('includes the tags and the folders', () => {
+    const { nodes, links } = constructGraphView(notebook, {
+      includeTags: true,
+      includeFolders: true,
+    });
+
+    expect(nodes.find((node) => node.id === '#topic')).toMatchObject({
+      type: 'tag',
+      inDegree: 2,
+    });
+    expect(links).toContainEqual({
+      source: path.join('folder', 'e.md'),
+      target: '#topic',
+      type: 'tag',
+      weight: 1,
+    });
+    expect(links).toContainEqual({
+      source: path.join('folder', 'e.md'),
+      target: 'folder/',
+      type: 'folder',
+      weight: 1,
+    });
+    expect(links).toContainEqual({
+      source: 'folder/',
+      target: './',
+      type: 'folder',
+      weight: 1,
+    });
+    expect(links.some((link) => link.source === 'missing.md')).toBe(false);
+  });
+
+  test('constructs the neighborhood of the note', () => {
+    const ids = (depth: number) =>
+      constructLocalGraphView(notebook, 'b.md', depth)
+        .nodes.map((node) => node.id)
+        .sort();
+
+    expect(ids(1)).toEqual(['a.md', 'b.md', 'c.md']);
+    expect(ids(2)).toEqual(['a.md', 'b.md', 'c.md', 'd.md', 'missing.md']);
+    expect(
+      constructLocalGraphView(notebook, 'd.md', 1, { includeTags: true })
+        .nodes.map((node) => node.id)
+        .sort(),
+    ).toEqual(['c.md', 'd.md']);
+    expect(
+      constructLocalGraphView(notebook, 'b.md', 1, { includeTags: true }).links,
+    ).toContainEqual({
+      source: 'a.md',
+      target: '#topic',
+      type: 'tag',
+      weight: 1,
+    });
+  });
+
+  test('is available from the notebook', async () => {
+    expect(
+      (await notebook.getLocalGraphView('b.md')).nodes
+        .map((node) => node.id)
+        .sort(),
+    ).toEqual(['a.md', 'b.md', 'c.md']);
+    expect((await notebook.getGraphView()).nodes.length).toBe(
+      constructGraphView(notebook).nodes.length,
+    );
+  });
+});
@@ -0,0 +1,51 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('ignore notes', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('respects ignorePatterns, .gitignore and .crossnote/ignore', async () => {
+    write('a.md', '# A');
+    write('build/a.md', '# Build');
+    write('vendor/docs/a.md', '# Vendor');
+    write('drafts/private.md', '# Private');
+    write('drafts/public.md', '# Public');
+    write('drafts/.gitignore', 'private.md');
+    write('.gitignore', 'build/');
+    write('node_modules/pkg/README.md', '# Package');
+
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { ignorePatterns: ['*.draft.md'] },
+    });
+    write('b.draft.md', '# Draft');
+    write('.crossnote/ignore', 'vendor');
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+
+    expect(Object.keys(notebook.notes).sort()).toEqual([
+      'a.md',
+      path.join('drafts', 'public.md'),
+    ]);
+
+    write('build/b.md', '# Build');
+    await notebook.onFileChanged('build/b.md', 'created');
+    expect(notebook.notes[path.join('build', 'b.md')]).toBeUndefined();
+  });
+});
@@ -0,0 +1,88 @@
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  utimesSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('notebook index cache', () => {
+  let notebookPath: string;
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('only re-parses the changed notes', async () => {
+    writeFileSync(path.join(notebookPath, 'a.md'), '[[b]]');
+    writeFileSync(path.join(notebookPath, 'b.md'), 'Hello [[c]]');
+    writeFileSync(path.join(notebookPath, 'c.md'), '# Cherry');
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { enableIndexCache: true },
+    });
+    mkdirSync(path.join(notebookPath, '.crossnote'));
+
+    await notebook.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+
+    // Only the link information of the references is cached
+    const cacheDirectoryPath = path.join(notebookPath, '.crossnote/cache');
+    const cache = readFileSync(
+      path.join(cacheDirectoryPath, 'notebook.json'),
+      'utf-8',
+    );
+    expect(cache).not.toContain('file://');
+    expect(cache).not.toContain('Hello');
+    expect(JSON.parse(cache).notes['a.md'].references).toEqual([
+      { text: 'b', link: 'b.md', hash: '', line: 0, wikilink: true },
+    ]);
+    expect(
+      readFileSync(path.join(cacheDirectoryPath, '.gitignore'), 'utf-8'),
+    ).toBe('*\n');
+
+    // Load the notes again from the cache
+    writeFileSync(path.join(notebookPath, 'b.md'), 'Hello world');
+    const future = new Date(Date.now() + 10000);
+    utimesSync(path.join(notebookPath, 'b.md'), future, future);
+    rmSync(path.join(notebookPath, 'c.md'));
+    notebook.hasLoadedNotes = false;
+    const spy = jest.spyOn(notebook, 'processNoteMentionsAndMentionedBy');
+    await notebook.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+
+    expect(spy.mock.calls.map((args) => args[0])).toEqual(['b.md']);
+    expect(Object.keys(notebook.notes).sort()).toEqual(['a.md', 'b.md']);
+    expect(notebook.referenceMap.getReferredByNotesCount('b.md')).toBe(1);
+    expect(notebook.referenceMap.getReferredByNotesCount('c.md')).toBe(0);
+    const references = await notebook.getReferences('b.md', 'a.md');
+    expect(references[0].token.attrGet('id')).toBeNull();
+    expect((await notebook.searchNotes('world'))[0].filePath).toBe('b.md');
+    expect(await notebook.searchNotes('cherry')).toEqual([]);
+    expect(notebook.notes['a.md'].markdown).toBe('[[b]]');
+  });
+
+  test('is disabled by default', async () => {
+    writeFileSync(path.join(notebookPath, 'a.md'), '[[b]]');
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    mkdirSync(path.join(notebookPath, '.crossnote'));
+    await notebook.refreshNotesIfNotLoaded({
+      dir: './',
+      includeSubdirectories: true,
+    });
+    expect(existsSync(path.join(notebookPath, '.crossnote/cache'))).toBe(false);
+  });
+});
@@ -0,0 +1,92 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('Notebook.getLinkHealthReport', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('reports broken links, missing headings and orphans with relative resolution', async () => {
+    write(
+      'index.md',
+      [
+        '---',
+        'created: 2020-01-01',
+        '---',
+        '# Index',
+        '',
+        '[[missing]]',
+        'See [[b#Real Heading]] and [b](b.md#fake).',
+        '',
+        '[[dup]]',
+      ].join('\n'),
+    );
+    write('b.md', '# Real Heading\n\n[[index]]');
+    write('orphan.md', '# Orphan');
+    write('x/dup.md', '');
+    write('y/dup.md', '');
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    const report = await notebook.getLinkHealthReport();
+
+    // `[[dup]]` is broken with the default `relative` resolution
+    expect(report.brokenLinks).toEqual([
+      { filePath: 'index.md', line: 5, text: 'missing', link: 'missing.md' },
+      { filePath: 'index.md', line: 8, text: 'dup', link: 'dup.md' },
+    ]);
+    expect(report.missingHeadings).toEqual([
+      {
+        filePath: 'index.md',
+        line: 6,
+        text: 'b',
+        link: 'b.md',
+        hash: '#fake',
+      },
+    ]);
+    expect(report.ambiguousWikilinks).toEqual([]);
+    expect(report.orphanNotes.sort()).toEqual([
+      'orphan.md',
+      path.join('x', 'dup.md'),
+      path.join('y', 'dup.md'),
+    ]);
+  });
+
+  test('reports ambiguous wikilinks with shortest resolution', async () => {
+    write('index.md', '[[dup]] [[missing]]');
+    write('x/dup.md', '');
+    write('y/dup.md', '');
+
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { wikiLinkResolution: 'shortest' },
+    });
+    const report = await notebook.getLinkHealthReport();
+    expect(report.brokenLinks).toEqual([
+      { filePath: 'index.md', line: 0, text: 'missing', link: 'missing.md' },
+    ]);
+    expect(report.ambiguousWikilinks).toEqual([
+      {
+        filePath: 'index.md',
+        line: 0,
+        text: 'dup',
+        link: path.join('x', 'dup.md'),
+        candidates: [path.join('x', 'dup.md'), path.join('y', 'dup.md')],
+      },
+    ]);
+  });
+});
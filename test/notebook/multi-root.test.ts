@@ -0,0 +1,240 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+import slash from '../../src/notebook/slash';
+
+// `less.render` is lost by the module interop of ts-jest
+jest.mock('less', () => ({
+  render: (
+    input: string,
+    _options: object,
+    callback: (error: Error | null, output: { css: string }) => void,
+  ) => callback(null, { css: input }),
+}));
+
+describe('multi-root notebooks', () => {
+  let notebookPath: string;
+  let personalPath: string;
+
+  const write = (rootPath: string, filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(rootPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(rootPath, filePath), content);
+  };
+
+  const initNotebook = async () => {
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: {},
+      roots: { personal: personalPath },
+    });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+    return notebook;
+  };
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    personalPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    write(notebookPath, 'index.md', '# Index\n\n[[personal:ideas/idea]]');
+    write(notebookPath, 'guide.md', '# Shared guide');
+    write(notebookPath, 'private/draft.md', '# Draft');
+    write(
+      personalPath,
+      'ideas/idea.md',
+      '# Idea\n\n[[main:guide]] [[/todo]] [[guide]]',
+    );
+    write(personalPath, 'guide.md', '# Personal guide');
+    write(personalPath, 'todo.md', '# Todo');
+    write(personalPath, 'private/secret.md', '# Secret');
+    write(
+      personalPath,
+      '.crossnote/config.js',
+      `({ ignorePatterns: ['private/**'], wikiLinkResolution: 'shortest' })`,
+    );
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+    rmSync(personalPath, { recursive: true, force: true });
+  });
+
+  test('indexes the notes of all roots with root prefixed paths', async () => {
+    const notebook = await initNotebook();
+    expect(Object.keys(notebook.notes).sort()).toEqual([
+      'guide.md',
+      'index.md',
+      'personal:guide.md',
+      'personal:ideas/idea.md',
+      'personal:todo.md',
+      'private/draft.md',
+    ]);
+    expect(notebook.getNoteConfig('personal:todo.md').ignorePatterns).toEqual([
+      'private/**',
+    ]);
+    expect(notebook.getNoteConfig('index.md').wikiLinkResolution).toBe(
+      'relative',
+    );
+    expect(notebook.resolveNoteAbsolutePath('personal:todo.md')).toBe(
+      path.join(personalPath, 'todo.md'),
+    );
+    expect(
+      notebook.resolveNoteRelativePath(path.join(personalPath, 'todo.md')),
+    ).toBe('personal:todo.md');
+
+    const results = await notebook.searchNotes('guide');
+    expect(results.map((result) => result.filePath).sort()).toEqual([
+      'guide.md',
+      'personal:guide.md',
+      'personal:ideas/idea.md',
+    ]);
+  });
+
+  test('resolves the links across the roots', async () => {
+    const notebook = await initNotebook();
+    const referrers = (filePath: string) =>
+      Object.keys(notebook.referenceMap.map[filePath] ?? {})
+        .filter((referrer) => referrer !== filePath)
+        .sort();
+
+    expect(referrers('personal:ideas/idea.md')).toEqual(['index.md']);
+    expect(referrers('guide.md')).toEqual(['personal:ideas/idea.md']);
+    expect(referrers('personal:todo.md')).toEqual(['personal:ideas/idea.md']);
+    // The note in the same root is preferred by `shortest` resolution of the root
+    expect(referrers('personal:guide.md')).toEqual(['personal:ideas/idea.md']);
+
+    const backlinks = await notebook.getNoteBacklinks('personal:ideas/idea.md');
+    expect(backlinks.map((backlink) => backlink.note.filePath)).toEqual([
+      'index.md',
+    ]);
+  });
+
+  test('renders the links to the notes in other roots', async () => {
+    const notebook = await initNotebook();
+    const engine = notebook.getNoteMarkdownEngine('index.md');
+    const { html } = await engine.parseMD('[[personal:ideas/idea]]', {
+      isForPreview: false,
+      useRelativeFilePath: true,
+      hideFrontMatter: false,
+    });
+    const href = slash(
+      path.relative(notebookPath, path.join(personalPath, 'ideas/idea.md')),
+    );
+    expect(html).toContain(`href="${href}"`);
+  });
+
+  test('renders the query results with the links to the notes in other roots', async () => {
+    const notebook = await initNotebook();
+    const engine = notebook.getNoteMarkdownEngine('personal:todo.md');
+    const { html } = await engine.parseMD(
+      [
+        '```crossnote-query',
+        "{ folder: 'personal:ideas' }",
+        '```',
+        '',
+        '```crossnote-query',
+        "{ folder: 'private' }",
+        '```',
+      ].join('\n'),
+      {
+        isForPreview: false,
+        useRelativeFilePath: true,
+        hideFrontMatter: false,
+      },
+    );
+    expect(html).toContain('<a href="ideas/idea.md">idea</a>');
+    const href = slash(
+      path.relative(personalPath, path.join(notebookPath, 'private/draft.md')),
+    );
+    expect(html).toContain(`<a href="${encodeURI(href)}">draft</a>`);
+  });
+
+  test('updates the index when a file in another root changes', async () => {
+    const notebook = await initNotebook();
+    write(personalPath, 'new.md', '# New\n\n[[main:index]]');
+    await notebook.onFileChanged(path.join(personalPath, 'new.md'), 'created');
+    expect(notebook.notes['personal:new.md']).toBeDefined();
+    expect(Object.keys(notebook.referenceMap.map['index.md'])).toContain(
+      'personal:new.md',
+    );
+
+    write(personalPath, 'private/other.md', '# Other');
+    await notebook.onFileChanged(
+      path.join(personalPath, 'private/other.md'),
+      'created',
+    );
+    expect(notebook.notes['personal:private/other.md']).toBeUndefined();
+  });
+
+  test('re-resolves the cached wikilinks of the roots with shortest resolution', async () => {
+    mkdirSync(path.join(notebookPath, '.crossnote'));
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { enableIndexCache: true },
+      roots: { personal: personalPath },
+    });
+    const load = async () => {
+      notebook.hasLoadedNotes = false;
+      await notebook.refreshNotesIfNotLoaded({
+        dir: './',
+        includeSubdirectories: true,
+      });
+    };
+    await load();
+    expect(
+      await notebook.getReferences('guide.md', 'personal:ideas/idea.md'),
+    ).toHaveLength(1);
+
+    // `[[guide]]` in the personal root resolves to the main root after its own guide is removed
+    rmSync(path.join(personalPath, 'guide.md'));
+    await load();
+    expect(
+      await notebook.getReferences('guide.md', 'personal:ideas/idea.md'),
+    ).toHaveLength(2);
+  });
+
+  test('checks the file extension of the moved note against the target root', async () => {
+    write(
+      personalPath,
+      '.crossnote/config.js',
+      `({ markdownFileExtensions: ['.md', '.txt'] })`,
+    );
+    const notebook = await initNotebook();
+    await expect(
+      notebook.renameNote('personal:todo.md', 'todo.txt'),
+    ).rejects.toThrow('"todo.txt" is not a markdown file');
+    const note = await notebook.renameNote('guide.md', 'personal:guide.txt');
+    expect(note?.filePath).toBe('personal:guide.txt');
+  });
+
+  test('rejects overlapping roots', async () => {
+    await expect(
+      Notebook.init({
+        notebookPath,
+        config: {},
+        roots: { nested: path.join(notebookPath, 'private') },
+      }),
+    ).rejects.toThrow('Root "nested" overlaps with "main"');
+    await expect(
+      Notebook.init({
+        notebookPath,
+        config: {},
+        roots: {
+          personal: personalPath,
+          ideas: path.join(personalPath, 'ideas'),
+        },
+      }),
+    ).rejects.toThrow('Root "ideas" overlaps with "personal"');
+  });
+
+  test('rejects invalid root names', async () => {
+    await expect(
+      Notebook.init({
+        notebookPath,
+        config: {},
+        roots: { main: personalPath },
+      }),
+    ).rejects.toThrow('already used');
+  });
+});
@@ -0,0 +1,123 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+import { queryNotes } from '../../src/notebook/query';
+
+describe('notebook query blocks', () => {
+  let notebookPath: string;
+  let notebook: Notebook;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  const render = async (markdown: string) => {
+    const engine = notebook.getNoteMarkdownEngine('index.md');
+    const { html } = await engine.parseMD(markdown, {
+      isForPreview: false,
+      useRelativeFilePath: true,
+      hideFrontMatter: false,
+    });
+    return html;
+  };
+
+  beforeEach(async () => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    write(
+      'projects/alpha.md',
+      '---\nstatus: active\npriority: 2\ntags: [work]\n---\n[[../index]]',
+    );
+    write('projects/beta.md', '---\nstatus: done\npriority: 1\n---\n# Beta');
+    write(
+      'projects/gamma.md',
+      '---\nstatus: active\npriority: 3\n---\n#work/urgent',
+    );
+    write('index.md', '# Index');
+    notebook = await Notebook.init({
+      notebookPath,
+      config: { enableTagSyntax: true },
+    });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('filters, sorts and groups the notes', () => {
+    const titles = (query: object) =>
+      queryNotes(notebook, query, 'index.md').map((group) =>
+        group.notes.map((note) => note.title),
+      );
+
+    expect(titles({ folder: 'projects', sort: '-priority' })).toEqual([
+      ['gamma', 'alpha', 'beta'],
+    ]);
+    expect(titles({ where: { status: 'active' } })).toEqual([
+      ['alpha', 'gamma'],
+    ]);
+    expect(titles({ where: (note) => note.data.priority > 1 })).toEqual([
+      ['alpha', 'gamma'],
+    ]);
+    expect(titles({ tag: 'work' })).toEqual([['alpha', 'gamma']]);
+    expect(titles({ linksTo: true })).toEqual([['alpha']]);
+    expect(titles({ folder: 'projects', groupBy: 'status' })).toEqual([
+      ['alpha', 'gamma'],
+      ['beta'],
+    ]);
+    expect(titles({ folder: 'projects', sort: 'priority', limit: 1 })).toEqual([
+      ['beta'],
+    ]);
+  });
+
+  test('renders the query block as a table', async () => {
+    const html = await render(
+      [
+        '```crossnote-query',
+        "{ folder: 'projects', where: { status: 'active' }, view: 'table', fields: ['status', 'priority'] }",
+        '```',
+      ].join('\n'),
+    );
+    expect(html).toContain('<div class="crossnote-query"><table>');
+    expect(html).toContain(
+      '<tr><td><a href="projects/alpha.md">alpha</a></td><td>active</td><td>2</td></tr>',
+    );
+    expect(html).not.toContain('beta');
+    expect(html).not.toContain('language-crossnote-query');
+  });
+
+  test('runs the where function only if script execution is enabled', async () => {
+    const markdown = [
+      '```crossnote-query',
+      "{ where: (note) => { note.constructor.constructor('return process')().exitCode = 3; return true; } }",
+      '```',
+    ].join('\n');
+    let html = await render(markdown);
+    expect(html).toContain(
+      'The `where` function requires `enableScriptExecution`',
+    );
+    expect(process.exitCode).toBeUndefined();
+
+    notebook.updateConfig({ enableScriptExecution: true });
+    html = await render(
+      [
+        '```crossnote-query',
+        "{ where: (note) => note.folder === 'projects' }",
+        '```',
+      ].join('\n'),
+    );
+    expect(html).toContain('<a href="projects/alpha.md">alpha</a>');
+    expect(html).not.toContain('>Index</a>');
+  });
+
+  test('renders the error of the invalid query', async () => {
+    const html = await render(
+      ['```crossnote-query', '{ folder: ', '```'].join('\n'),
+    );
+    expect(html).toContain('SyntaxError');
+  });
+});
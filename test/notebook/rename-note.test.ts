@@ -0,0 +1,158 @@
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('Notebook.renameNote', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+  const read = (filePath: string) =>
+    readFileSync(path.join(notebookPath, filePath), 'utf-8');
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('rewrites wikilinks and markdown links pointing at the note', async () => {
+    write('Old Name.md', '# Old\n\n[[other]] and [self](./Old%20Name.md)\n');
+    write(
+      'other.md',
+      [
+        '[[Old Name]] [[Old Name#Heading]] [[Old Name | Text]]',
+        '',
+        '- [link](Old%20Name.md) [[unrelated]]',
+        '',
+        '```',
+        '[[Old Name]]',
+        '```',
+      ].join('\n'),
+    );
+    write('sub/nested.md', '[[../Old Name]] [abs](/Old%20Name.md)');
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    const note = await notebook.renameNote('Old Name.md', 'dir/New Name.md');
+
+    expect(note?.filePath).toBe(path.join('dir', 'New Name.md'));
+    expect(read('other.md')).toBe(
+      [
+        '[[dir/New Name]] [[dir/New Name#Heading]] [[dir/New Name | Text]]',
+        '',
+        '- [link](dir/New%20Name.md) [[unrelated]]',
+        '',
+        '```',
+        '[[Old Name]]',
+        '```',
+      ].join('\n'),
+    );
+    expect(read('sub/nested.md')).toBe(
+      '[[../dir/New Name]] [abs](/dir/New%20Name.md)',
+    );
+    expect(read('dir/New Name.md')).toBe(
+      '# Old\n\n[[../other]] and [self](New%20Name.md)\n',
+    );
+
+    const newFilePath = path.join('dir', 'New Name.md');
+    expect(notebook.notes['Old Name.md']).toBeUndefined();
+    expect(notebook.referenceMap.map['Old Name.md']).toBeUndefined();
+    expect(notebook.referenceMap.getReferredByNotesCount(newFilePath)).toBe(2);
+  });
+
+  test('keeps the links in inline code and front matter with CRLF line endings', async () => {
+    write('Old Name.md', '# Old');
+    write(
+      'other.md',
+      [
+        '---',
+        'related: "[[Old Name]]"',
+        '---',
+        '[[Old Name]] `[[Old Name]]` ``[link](Old%20Name.md)`` [link](Old%20Name.md)',
+        '',
+      ].join('\r\n'),
+    );
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.renameNote('Old Name.md', 'New Name.md');
+    expect(read('other.md')).toBe(
+      [
+        '---',
+        'related: "[[Old Name]]"',
+        '---',
+        '[[New Name]] `[[Old Name]]` ``[link](Old%20Name.md)`` [link](New%20Name.md)',
+        '',
+      ].join('\r\n'),
+    );
+  });
+
+  test('rewrites reference definitions and angle bracket destinations', async () => {
+    write('Old Name.md', '# Old');
+    write(
+      'other.md',
+      [
+        'See [old][r], [angle](<Old Name.md#heading>) and ![img](<Old Name.md>).',
+        '',
+        '[r]: Old%20Name.md "Old"',
+        '> [q]: <Old Name.md>',
+        '',
+        '> See [q].',
+        '',
+        '```',
+        '[r]: Old%20Name.md',
+        '```',
+      ].join('\n'),
+    );
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.renameNote('Old Name.md', 'dir/New Name.md');
+    expect(read('other.md')).toBe(
+      [
+        'See [old][r], [angle](<dir/New Name.md#heading>) and ![img](<dir/New Name.md>).',
+        '',
+        '[r]: dir/New%20Name.md "Old"',
+        '> [q]: <dir/New Name.md>',
+        '',
+        '> See [q].',
+        '',
+        '```',
+        '[r]: Old%20Name.md',
+        '```',
+      ].join('\n'),
+    );
+    expect(
+      notebook.referenceMap.getReferences(
+        path.join('dir', 'New Name.md'),
+        'other.md',
+      ),
+    ).toHaveLength(3);
+  });
+
+  test('respects GitHub style piped links and file name case', async () => {
+    write('old-note.md', '# Old');
+    write('other.md', '[[Text | Old Note]]');
+
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: {
+        useGitHubStylePipedLink: true,
+        wikiLinkTargetFileNameChangeCase: 'kebabCase',
+      },
+    });
+    await notebook.renameNote('old-note.md', 'new-note.md');
+    expect(read('other.md')).toBe('[[Text | new-note]]');
+  });
+});
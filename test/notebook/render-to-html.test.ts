@@ -0,0 +1,66 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook, utility } from '../../src';
+
+describe('render to html', () => {
+  let notebookPath: string;
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    writeFileSync(path.join(notebookPath, 'other.md'), '# Other');
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('renders the markdown with its metadata', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    const output = await notebook.renderToHtml(
+      '---\ntitle: Hello\n---\n# Hello\n\n## World {#earth}\n\nSee [[other]].\n\n```mermaid\ngraph LR\nA-->B\n```',
+      { filePath: 'index.md' },
+    );
+    expect(output.html).toMatch(/<h1 id="hello">Hello\s*<\/h1>/);
+    expect(output.html).toContain('href="other.md"');
+    expect(output.html).not.toContain('data-source-line');
+    expect(output.headings).toMatchObject([
+      { content: 'Hello', level: 1, id: 'hello', lineNo: 4 },
+      { content: 'World', level: 2, id: 'earth', lineNo: 6 },
+    ]);
+    expect(output.tocHTML).toContain('href="#earth"');
+    expect(output.frontMatter).toEqual({ title: 'Hello' });
+    expect(output.assets).toEqual({
+      scripts: [
+        'https://cdn.jsdelivr.net/npm/mermaid@10.6.0/dist/mermaid.min.js',
+      ],
+      styles: ['https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css'],
+    });
+    expect(output.diagnostics).toEqual([]);
+    expect(output.slideConfigs).toEqual([]);
+  });
+
+  test('renders for the preview with the offline assets and diagnostics', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    const output = await notebook.renderToHtml(
+      '---\ntags: [a\n---\n<!-- slide -->\n# A\n\n<!-- slide vertical=true -->\n# B',
+      { filePath: 'slides.md', forPreview: true, offline: true },
+    );
+    expect(output.html).toContain('data-source-line');
+    expect(output.html).toContain('<div class="crossnote-diagnostics">');
+    expect(output.diagnostics.map(({ source }) => source)).toEqual([
+      'front-matter',
+    ]);
+    expect(output.slideConfigs).toEqual([
+      { lineNo: 4 },
+      { vertical: true, lineNo: 7 },
+    ]);
+    expect(output.frontMatter).toEqual({});
+    expect(output.assets.scripts).toEqual([
+      `file:///${path.resolve(
+        utility.getCrossnoteBuildDirectory(),
+        './dependencies/reveal/js/reveal.js',
+      )}`,
+    ]);
+  });
+});
@@ -0,0 +1,131 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('front matter schema validation', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('reports the notes that do not match the schemas', async () => {
+    write('projects/valid.md', '---\ncreated: 2024-01-01\ntags: [a]\n---\n');
+    write('projects/invalid.md', '---\ntags: a\n---\n# Invalid');
+    write('projects/broken.md', '---\ntags: [a\n---\n# Broken');
+    write('notes/free.md', '# Free');
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    write(
+      '.crossnote/schema/project.json',
+      JSON.stringify({
+        files: ['projects/**'],
+        type: 'object',
+        required: ['created', 'tags'],
+        properties: {
+          created: { type: 'string', format: 'date' },
+          tags: { type: 'array', items: { type: 'string' } },
+        },
+      }),
+    );
+    await notebook.onFileChanged(
+      path.join(notebookPath, '.crossnote/schema/project.json'),
+      'changed',
+    );
+
+    const diagnostics = await notebook.getDiagnostics();
+    expect(
+      diagnostics.map(({ filePath, source }) => [filePath, source]),
+    ).toEqual([
+      [path.join('projects', 'broken.md'), 'front-matter'],
+      [path.join('projects', 'invalid.md'), 'schema'],
+      [path.join('projects', 'invalid.md'), 'schema'],
+    ]);
+    expect(
+      diagnostics
+        .filter(({ source }) => source === 'schema')
+        .map(({ message, schemaFilePath }) => [message, schemaFilePath]),
+    ).toEqual([
+      [
+        "should have required property 'created'",
+        '.crossnote/schema/project.json',
+      ],
+      ['tags should be array', '.crossnote/schema/project.json'],
+    ]);
+
+    expect(
+      await notebook.getNoteDiagnostics(
+        'projects/invalid.md',
+        '---\ncreated: 2024-01-01\ntags: [a]\n---\n',
+      ),
+    ).toEqual([]);
+
+    const engine = notebook.getNoteMarkdownEngine('projects/invalid.md');
+    const { html } = await engine.parseMD('---\ntags: a\n---\n# Invalid', {
+      isForPreview: true,
+      useRelativeFilePath: false,
+      hideFrontMatter: false,
+    });
+    expect(html).toContain('<div class="crossnote-diagnostics">');
+    expect(html).toContain('tags should be array');
+  });
+
+  test('reports the schemas that are not draft-07', async () => {
+    write('projects/note.md', '---\ntags: a\n---\n');
+    write('notes/free.md', '---\ntags: a\n---\n');
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    write(
+      '.crossnote/schema/draft-07.json',
+      JSON.stringify({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        files: ['notes/**'],
+        properties: { tags: { type: 'array' } },
+      }),
+    );
+    write(
+      '.crossnote/schema/draft-2020-12.json',
+      JSON.stringify({
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        files: ['projects/**'],
+        properties: { tags: { type: 'array' } },
+      }),
+    );
+    await notebook.onFileChanged(
+      path.join(notebookPath, '.crossnote/schema/draft-2020-12.json'),
+      'changed',
+    );
+
+    const diagnostics = await notebook.getDiagnostics();
+    expect(
+      diagnostics.map(({ filePath, message, schemaFilePath }) => [
+        filePath,
+        message,
+        schemaFilePath,
+      ]),
+    ).toEqual([
+      [
+        path.join('notes', 'free.md'),
+        'tags should be array',
+        '.crossnote/schema/draft-07.json',
+      ],
+      [
+        path.join('projects', 'note.md'),
+        'Unsupported $schema "https://json-schema.org/draft/2020-12/schema", only JSON Schema draft-07 is supported',
+        '.crossnote/schema/draft-2020-12.json',
+      ],
+    ]);
+  });
+});
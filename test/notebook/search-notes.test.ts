@@ -0,0 +1,48 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('Notebook.searchNotes', () => {
+  let notebookPath: string;
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('searches the content, headings and tags of notes', async () => {
+    writeFileSync(
+      path.join(notebookPath, 'a.md'),
+      '---\ntags: [gardening]\ncreated: 2020-01-01\n---\n# Tomatoes\n\nWater the plants every morning.\n',
+    );
+    writeFileSync(path.join(notebookPath, 'b.md'), 'Nothing to see here');
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+
+    const results = await notebook.searchNotes('morning');
+    expect(results.map((r) => r.filePath)).toEqual(['a.md']);
+    expect(results[0].snippets).toEqual([
+      { line: 6, text: 'Water the plants every morning.' },
+    ]);
+
+    expect((await notebook.searchNotes('tomatoes'))[0].filePath).toBe('a.md');
+    expect((await notebook.searchNotes('gardening'))[0].filePath).toBe('a.md');
+    expect(await notebook.searchNotes('created')).toEqual([]);
+  });
+
+  test('updates the index when notes change', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.createNote('a.md', 'Hello crossnote');
+    expect((await notebook.searchNotes('crossnote')).length).toBe(1);
+
+    await notebook.writeNote('a.md', 'Hello world');
+    expect((await notebook.searchNotes('crossnote')).length).toBe(0);
+
+    await notebook.deleteNote('a.md');
+    expect((await notebook.searchNotes('world')).length).toBe(0);
+  });
+});
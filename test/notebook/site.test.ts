@@ -0,0 +1,101 @@
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('site export', () => {
+  let notebookPath: string;
+  let outDir: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+  const read = (filePath: string) =>
+    readFileSync(path.join(outDir, filePath), 'utf-8');
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    outDir = mkdtempSync(path.join(tmpdir(), 'crossnote-site-'));
+    write(
+      'index.md',
+      '# Welcome\n\nSee [[docs/guide]] and [the API](docs/api.md#usage).\n\n![logo](images/logo.png)',
+    );
+    write(
+      'docs/guide.md',
+      '---\ntitle: User Guide\n---\n# Guide\n\n## Install\n\nBack to [[../index]].',
+    );
+    write('docs/api.md', '# API\n\n## Usage\n\nThe searchable keyword.');
+    write('images/logo.png', 'PNG');
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+    rmSync(outDir, { recursive: true, force: true });
+  });
+
+  test('exports the notes as pages with rewritten links', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    const files = await notebook.exportSite(outDir, {
+      baseUrl: 'https://docs.example.com',
+      title: 'Docs',
+    });
+    expect(files.map((file) => path.relative(outDir, file)).sort()).toEqual(
+      [
+        'docs/api.html',
+        'docs/guide.html',
+        'images/logo.png',
+        'index.html',
+        'search-index.json',
+        'sitemap.xml',
+      ].map((file) => path.normalize(file)),
+    );
+
+    const index = read('index.html');
+    expect(index).toContain('href="docs/guide.html"');
+    expect(index).toContain('href="docs/api.html#usage"');
+    expect(index).toContain('src="images/logo.png"');
+    expect(read('images/logo.png')).toBe('PNG');
+
+    // The sidebar has the folder tree and the table of contents of the current note
+    const guide = read('docs/guide.html');
+    expect(guide).toContain('<nav class="crossnote-site-sidebar">');
+    expect(guide).toContain('<a href="../index.html">index</a>');
+    expect(guide).toContain('<details open=""><summary>docs</summary>');
+    expect(guide).toMatch(
+      /<li class="active"><a href="guide.html">User Guide<\/a><div class="md-toc">.*href="#install"/s,
+    );
+
+    // Backlinks
+    expect(guide).toContain('<div class="crossnote-site-backlinks">');
+    expect(guide).toMatch(
+      /crossnote-site-backlinks.*<a href="..\/index.html">index<\/a>/s,
+    );
+    expect(read('docs/api.html')).toContain('href="../index.html"');
+  });
+
+  test('generates the search index and the sitemap', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.exportSite(outDir, { baseUrl: 'https://docs.example.com' });
+
+    const { index, urls } = JSON.parse(read('search-index.json'));
+    expect(index).toBeDefined();
+    expect(urls[path.normalize('docs/api.md')]).toBe('docs/api.html');
+
+    const sitemap = read('sitemap.xml');
+    expect(sitemap).toContain(
+      '<loc>https://docs.example.com/docs/guide.html</loc>',
+    );
+    expect(sitemap).toContain('<loc>https://docs.example.com/index.html</loc>');
+    expect(existsSync(path.join(outDir, 'images/logo.html'))).toBe(false);
+  });
+});
@@ -0,0 +1,64 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('notebook tags', () => {
+  let notebookPath: string;
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('renders #tag syntax', async () => {
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { enableTagSyntax: true },
+    });
+    expect(notebook.md.renderInline('Hello #area/subarea world')).toBe(
+      'Hello <span class="crossnote-tag" data-tag="area/subarea">#area/subarea</span> world',
+    );
+    expect(notebook.md.renderInline('C# issue #123 a#b')).toBe(
+      'C# issue #123 a#b',
+    );
+  });
+
+  test('keeps #word as plain text by default', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    expect(notebook.md.renderInline('See #section')).toBe('See #section');
+  });
+
+  test('indexes tags from front matter and content', async () => {
+    writeFileSync(
+      path.join(notebookPath, 'a.md'),
+      '---\ntags: [Project]\n---\nWorking on #area/subarea\n',
+    );
+    writeFileSync(path.join(notebookPath, 'b.md'), '#area and `#code`');
+    writeFileSync(path.join(notebookPath, 'c.md'), '[[a]]');
+
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { enableTagSyntax: true },
+    });
+    expect(await notebook.getTags()).toEqual([
+      { name: 'Project', count: 1 },
+      { name: 'area', count: 2 },
+      { name: 'area/subarea', count: 1 },
+    ]);
+    expect(
+      (await notebook.getNotesByTag('#area')).map((n) => n.filePath).sort(),
+    ).toEqual(['a.md', 'b.md']);
+    expect(
+      (await notebook.getNotesByTag('area', false)).map((n) => n.filePath),
+    ).toEqual(['b.md']);
+    expect(
+      (await notebook.searchNotes('subarea', { fields: ['tags'] })).map(
+        (r) => r.filePath,
+      ),
+    ).toEqual(['a.md']);
+  });
+});
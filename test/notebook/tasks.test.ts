@@ -0,0 +1,188 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+import slash from '../../src/notebook/slash';
+
+describe('notebook tasks', () => {
+  let notebookPath: string;
+  let notebook: Notebook;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  beforeEach(async () => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    write(
+      'projects/alpha.md',
+      [
+        '---',
+        'tags: [project]',
+        '---',
+        '# Alpha',
+        '',
+        '- [ ] Write the docs 📅 2026-10-25 #work',
+        '- [x] Ship the release due:2026-10-01 ⏫',
+        '  * [ ] Review the PR priority:high #work/review',
+        '',
+        '```',
+        '- [ ] Not a task',
+        '```',
+      ].join('\n'),
+    );
+    write(
+      'inbox.md',
+      '1. [ ] Call Bob 📅 2026-10-20 🔽\n2. [ ] Buy milk\n- [] Not a task',
+    );
+    write('index.md', '# Index');
+    notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('parses the tasks of the notes', async () => {
+    const tasks = await notebook.getTasks();
+    expect(tasks).toEqual([
+      {
+        filePath: path.normalize('projects/alpha.md'),
+        line: 6,
+        text: 'Ship the release due:2026-10-01 ⏫',
+        description: 'Ship the release',
+        completed: true,
+        due: '2026-10-01',
+        priority: 'high',
+        tags: [],
+      },
+      {
+        filePath: 'inbox.md',
+        line: 0,
+        text: 'Call Bob 📅 2026-10-20 🔽',
+        description: 'Call Bob',
+        completed: false,
+        due: '2026-10-20',
+        priority: 'low',
+        tags: [],
+      },
+      {
+        filePath: path.normalize('projects/alpha.md'),
+        line: 5,
+        text: 'Write the docs 📅 2026-10-25 #work',
+        description: 'Write the docs #work',
+        completed: false,
+        due: '2026-10-25',
+        tags: ['work'],
+      },
+      {
+        filePath: path.normalize('projects/alpha.md'),
+        line: 7,
+        text: 'Review the PR priority:high #work/review',
+        description: 'Review the PR #work/review',
+        completed: false,
+        priority: 'high',
+        tags: ['work/review'],
+      },
+      {
+        filePath: 'inbox.md',
+        line: 1,
+        text: 'Buy milk',
+        description: 'Buy milk',
+        completed: false,
+        tags: [],
+      },
+    ]);
+  });
+
+  test('filters the tasks', async () => {
+    const descriptions = async (filter: object) =>
+      (await notebook.getTasks(filter)).map((task) => task.description);
+
+    expect(await descriptions({ completed: false, tag: 'work' })).toEqual([
+      'Write the docs #work',
+      'Review the PR #work/review',
+    ]);
+    expect(
+      await descriptions({ completed: false, dueBefore: '2026-10-24' }),
+    ).toEqual(['Call Bob']);
+    expect(
+      await descriptions({ dueAfter: new Date(2026, 9, 20), limit: 1 }),
+    ).toEqual(['Call Bob']);
+    expect(
+      await descriptions({ folder: 'projects', sort: 'priority' }),
+    ).toEqual([
+      'Ship the release',
+      'Review the PR #work/review',
+      'Write the docs #work',
+    ]);
+    expect(await descriptions({ hasDue: false, priority: 'high' })).toEqual([
+      'Review the PR #work/review',
+    ]);
+  });
+
+  test('renders the open tasks in the tasks block', async () => {
+    const engine = notebook.getNoteMarkdownEngine('index.md');
+    const { html } = await engine.parseMD(
+      "```tasks\n{ tag: 'work' }\n```\n\n```tasks {hide=false}\n```\n\n```tasks\n'invalid'\n```\n\n```tasks\n{ tag: (() => 'work')() }\n```",
+      {
+        isForPreview: false,
+        useRelativeFilePath: true,
+        hideFrontMatter: false,
+      },
+    );
+    expect(html).toContain(
+      '<li class="task-list-item" data-priority=""><input type="checkbox" disabled=""> Write the docs #work <span class="crossnote-task-due">📅 2026-10-25</span> <a href="projects/alpha.md" data-line="5">alpha</a></li>',
+    );
+    expect(html).toContain('Review the PR #work/review');
+    expect(html).toContain('Buy milk');
+    expect(html).not.toContain('Ship the release');
+    expect(html).toContain('The task filter should be an object');
+    // The filter is not evaluated as JavaScript, so the tag is the whole string
+    expect(html).toContain('<p>No tasks found</p>');
+  });
+
+  test('lists the tasks in the other roots', async () => {
+    const personalPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    writeFileSync(
+      path.join(personalPath, 'todo.md'),
+      '- [ ] Water the plants #home',
+    );
+    try {
+      notebook = await Notebook.init({
+        notebookPath,
+        config: {},
+        roots: { personal: personalPath },
+      });
+      await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+      expect(
+        (await notebook.getTasks({ folder: 'personal:' })).map(
+          (task) => task.filePath,
+        ),
+      ).toEqual(['personal:todo.md']);
+      expect(
+        await notebook.getTasks({ folder: 'projects', tag: 'home' }),
+      ).toEqual([]);
+
+      const engine = notebook.getNoteMarkdownEngine('projects/alpha.md');
+      const { html } = await engine.parseMD('```tasks\ntag: home\n```', {
+        isForPreview: false,
+        useRelativeFilePath: true,
+        hideFrontMatter: false,
+      });
+      expect(html).toContain(
+        `href="${encodeURI(
+          slash(
+            path.relative(path.join(notebookPath, 'projects'), personalPath),
+          ),
+        )}/todo.md"`,
+      );
+    } finally {
+      rmSync(personalPath, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,161 @@
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+import { formatDate } from '../../src/notebook/templates';
+
+// `less.render` is lost by the module interop of ts-jest
+jest.mock('less', () => ({
+  render: (
+    input: string,
+    _options: object,
+    callback: (error: Error | null, output: { css: string }) => void,
+  ) => callback(null, { css: input }),
+}));
+
+describe('note templates', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+  const read = (filePath: string) =>
+    readFileSync(path.join(notebookPath, filePath), 'utf-8');
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('formats the dates', () => {
+    const date = new Date(2026, 0, 1, 9, 5, 3);
+    expect(formatDate(date, 'YYYY-MM-DD HH:mm:ss')).toBe('2026-01-01 09:05:03');
+    // 2026-01-01 is Thursday in the first ISO week of 2026
+    expect(formatDate(date, 'GGGG-[W]WW')).toBe('2026-W01');
+    expect(formatDate(new Date(2027, 0, 1), 'GGGG-[W]WW')).toBe('2026-W53');
+  });
+
+  test('creates a note from the template', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    write(
+      '.crossnote/templates/meeting.md',
+      '---\ntags: [meeting]\nproject: ${project}\n---\n# ${title}\n\nDate: ${date}\n\n- ${cursor}\n',
+    );
+    expect(await notebook.getTemplateNames()).toEqual(['meeting']);
+
+    const { note, cursor } = await notebook.createNoteFromTemplate(
+      'meeting',
+      'meetings/Kickoff.md',
+      { project: 'crossnote' },
+    );
+    expect(note?.filePath).toBe(path.normalize('meetings/Kickoff.md'));
+    expect(note?.tags).toEqual(['meeting']);
+
+    const content = read('meetings/Kickoff.md');
+    expect(content).toContain('project: crossnote');
+    expect(content).toMatch(/# Kickoff\n\nDate: \d{4}-\d{2}-\d{2}\n\n- \n$/);
+    expect(cursor).toEqual({
+      line: content.split('\n').indexOf('- '),
+      character: 2,
+    });
+
+    await expect(
+      notebook.createNoteFromTemplate('missing', 'missing.md'),
+    ).rejects.toThrow('Template "missing" does not exist');
+    await expect(
+      notebook.createNoteFromTemplate('meeting', 'meetings/Kickoff.md'),
+    ).rejects.toThrow('already exists');
+  });
+
+  test('rejects the cursor in the front matter', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    write('.crossnote/templates/bad.md', '---\ntitle: ${cursor}\n---\n# A\n');
+    await expect(
+      notebook.createNoteFromTemplate('bad', 'bad.md'),
+    ).rejects.toThrow('${cursor} cannot be in the front matter');
+    expect(notebook.notes['bad.md']).toBeUndefined();
+  });
+
+  test('reads the templates from the root of the note', async () => {
+    const personalPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    try {
+      mkdirSync(path.join(personalPath, '.crossnote/templates'), {
+        recursive: true,
+      });
+      writeFileSync(
+        path.join(personalPath, '.crossnote/templates/idea.md'),
+        '# ${title}\n\n${cursor}',
+      );
+      write('.crossnote/templates/meeting.md', '# Meeting');
+      const notebook = await Notebook.init({
+        notebookPath,
+        config: {},
+        roots: { personal: personalPath },
+      });
+      expect(await notebook.getTemplateNames()).toEqual(['meeting']);
+      expect(await notebook.getTemplateNames('personal')).toEqual(['idea']);
+
+      const { note, cursor } = await notebook.createNoteFromTemplate(
+        'idea',
+        'personal:ideas/Flying.md',
+      );
+      expect(note?.filePath).toBe('personal:ideas/Flying.md');
+      const content = readFileSync(
+        path.join(personalPath, 'ideas/Flying.md'),
+        'utf-8',
+      );
+      expect(content).toMatch(/# Flying\n\n$/);
+      expect(cursor).toEqual({
+        line: content.split('\n').length - 1,
+        character: 0,
+      });
+      await expect(
+        notebook.createNoteFromTemplate('meeting', 'personal:meeting.md'),
+      ).rejects.toThrow('Template "meeting" does not exist');
+    } finally {
+      rmSync(personalPath, { recursive: true, force: true });
+    }
+  });
+
+  test('creates the daily and weekly notes', async () => {
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { dailyNoteFilePath: 'journal/YYYY/YYYY-MM-DD.md' },
+    });
+    const date = new Date(2026, 9, 19);
+
+    const daily = await notebook.getOrCreatePeriodicNote('daily', date);
+    expect(daily.note?.filePath).toBe(
+      path.normalize('journal/2026/2026-10-19.md'),
+    );
+    const content = read('journal/2026/2026-10-19.md');
+    expect(content).toContain('# 2026-10-19');
+    expect(content).toContain(
+      '[[/journal/2026/2026-10-18]] · [[/journal/2026/2026-10-20]]',
+    );
+
+    // The existing note is returned as it is
+    const again = await notebook.getOrCreatePeriodicNote('daily', date);
+    expect(again.note?.filePath).toBe(daily.note?.filePath);
+    expect(again.cursor).toBeNull();
+
+    write('.crossnote/templates/weekly.md', 'Week ${title}: ${previous}');
+    const weekly = await notebook.getOrCreatePeriodicNote('weekly', date);
+    expect(weekly.note?.filePath).toBe(path.normalize('weekly/2026-W43.md'));
+    expect(read('weekly/2026-W43.md')).toMatch(
+      /Week 2026-W43: weekly\/2026-W42$/,
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('block references and heading transclusion', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+
+  const render = async (notebook: Notebook, markdown: string) => {
+    const engine = notebook.getNoteMarkdownEngine('index.md');
+    const { html } = await engine.parseMD(markdown, {
+      isForPreview: false,
+      useRelativeFilePath: true,
+      hideFrontMatter: false,
+    });
+    return html;
+  };
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    write(
+      'note.md',
+      [
+        '# Note',
+        '',
+        '## First Section',
+        '',
+        'First content.',
+        '',
+        '## Second Section',
+        '',
+        'Second content ^para',
+        '',
+        '- item one ^item',
+        '  - nested',
+        '- item two',
+      ].join('\n'),
+    );
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('links to the heading id and the block id', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+
+    const html = await render(
+      notebook,
+      '[[note#Second Section]] [[note#^para]]',
+    );
+    expect(html).toContain('<a href="note.md#second-section">');
+    expect(html).toContain('<a href="note.md#^para">');
+
+    const noteHtml = await render(notebook, 'Some text ^block\n\n- a ^item');
+    expect(noteHtml).toContain('<p id="^block">Some text</p>');
+    expect(noteHtml).toContain('<li id="^item">a</li>');
+  });
+
+  test('transcludes the section or the block', async () => {
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+
+    const sectionHtml = await render(notebook, '![[note#First Section]]');
+    expect(sectionHtml).toContain('First content.');
+    expect(sectionHtml).not.toContain('Second content');
+
+    const paragraphHtml = await render(notebook, '![[note#^para]]');
+    expect(paragraphHtml).toContain('<p id="^para">Second content</p>');
+    expect(paragraphHtml).not.toContain('First content.');
+    expect(paragraphHtml).not.toContain('item one');
+
+    const listItemHtml = await render(notebook, '![[note#^item]]');
+    expect(listItemHtml).toContain('nested');
+    expect(listItemHtml).not.toContain('item two');
+  });
+
+  test('detects cyclic transclusion', async () => {
+    write('a.md', '# A\n\n![[b]]');
+    write('b.md', '# B\n\n![[a#A]]');
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+
+    const html = await render(notebook, '![[a#A]]');
+    expect(html).toContain('Cyclic import is detected');
+  });
+});
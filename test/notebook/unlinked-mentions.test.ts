@@ -0,0 +1,100 @@
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('unlinked mentions', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+  const read = (filePath: string) =>
+    readFileSync(path.join(notebookPath, filePath), 'utf-8');
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('finds the plain text mentions of the title and the aliases', async () => {
+    write(
+      'notes/Machine Learning.md',
+      '---\naliases: [ML]\n---\n# Machine Learning',
+    );
+    write(
+      'index.md',
+      [
+        '---',
+        'title: Index',
+        '---',
+        'I like machine learning.',
+        '',
+        '- About ML and MLOps',
+        '- [[notes/Machine Learning]] and [Machine Learning](notes/Machine%20Learning.md)',
+        '',
+        '`ML` in code',
+      ].join('\n'),
+    );
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    const target = path.join('notes', 'Machine Learning.md');
+    const unlinkedMentions = await notebook.getNoteUnlinkedMentions(target);
+
+    expect(unlinkedMentions.map(({ note }) => note.filePath)).toEqual([
+      'index.md',
+    ]);
+    expect(unlinkedMentions[0].references).toEqual([
+      { text: 'machine learning', line: 3, column: 7 },
+      { text: 'ML', line: 5, column: 8 },
+    ]);
+    expect(unlinkedMentions[0].referenceHtmls[0]).toContain(
+      'I like machine learning.',
+    );
+  });
+
+  test('links the mention to the note', async () => {
+    write('notes/Machine Learning.md', '# Machine Learning');
+    write('other/index.md', 'Notes about Machine Learning here.');
+
+    const notebook = await Notebook.init({ notebookPath, config: {} });
+    const target = path.join('notes', 'Machine Learning.md');
+    const [{ note, references }] =
+      await notebook.getNoteUnlinkedMentions(target);
+    await notebook.linkNoteUnlinkedMention(
+      target,
+      note.filePath as string,
+      references[0],
+    );
+
+    expect(read('other/index.md')).toBe(
+      'Notes about [[../notes/Machine Learning|Machine Learning]] here.',
+    );
+    expect(await notebook.getNoteUnlinkedMentions(target)).toEqual([]);
+    expect(
+      (await notebook.getNoteBacklinks(target)).map(
+        (backlink) => backlink.note.filePath,
+      ),
+    ).toEqual([path.join('other', 'index.md')]);
+
+    await expect(
+      notebook.linkNoteUnlinkedMention(
+        target,
+        note.filePath as string,
+        references[0],
+      ),
+    ).rejects.toThrow('is not found');
+  });
+});
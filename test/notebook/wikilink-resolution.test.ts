@@ -0,0 +1,129 @@
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('wikiLinkResolution', () => {
+  let notebookPath: string;
+
+  const write = (filePath: string, content: string) => {
+    mkdirSync(path.dirname(path.join(notebookPath, filePath)), {
+      recursive: true,
+    });
+    writeFileSync(path.join(notebookPath, filePath), content);
+  };
+  const read = (filePath: string) =>
+    readFileSync(path.join(notebookPath, filePath), 'utf-8');
+
+  beforeEach(() => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('resolves wikilinks by file name anywhere in the notebook', async () => {
+    write('index.md', '[[Foo]] [[projects/bar#Heading]] [[new]]');
+    write('notes/deep/foo.md', '# Foo');
+    write('notes/projects/bar.md', '# Bar');
+
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { wikiLinkResolution: 'shortest' },
+    });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+
+    const foo = path.join('notes', 'deep', 'foo.md');
+    const bar = path.join('notes', 'projects', 'bar.md');
+    expect(notebook.resolveWikilink('Foo.md', 'index.md')).toEqual({
+      filePath: foo,
+      candidates: [],
+    });
+    expect(Object.keys(notebook.notes['index.md'].mentions).sort()).toEqual(
+      [bar, foo, 'new.md'].sort(),
+    );
+    expect(
+      (await notebook.getNoteBacklinks(foo)).map(
+        (backlink) => backlink.note.filePath,
+      ),
+    ).toEqual(['index.md']);
+
+    // Links to notes that do not exist are resolved relative to the note
+    write('archive/new.md', '# New');
+    await notebook.onFileChanged('archive/new.md', 'created');
+    expect(Object.keys(notebook.notes['index.md'].mentions)).toContain(
+      path.join('archive', 'new.md'),
+    );
+
+    const engine = notebook.getNoteMarkdownEngine('index.md');
+    const { html } = await engine.parseMD('[[Foo]] [[projects/bar#Heading]]', {
+      isForPreview: false,
+      useRelativeFilePath: true,
+      hideFrontMatter: false,
+    });
+    expect(html).toContain('href="notes/deep/foo.md"');
+    expect(html).toContain('href="notes/projects/bar.md#heading"');
+  });
+
+  test('reports ambiguous wikilinks', async () => {
+    write('index.md', '[[foo]]');
+    write('a/foo.md', '');
+    write('b/c/foo.md', '');
+
+    const warn = jest.spyOn(console, 'warn');
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { wikiLinkResolution: 'shortest' },
+    });
+    const report = await notebook.getLinkHealthReport();
+    // The ambiguity is only reported by the link health report
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+
+    expect(report.ambiguousWikilinks).toMatchObject([
+      {
+        filePath: 'index.md',
+        link: path.join('a', 'foo.md'),
+        candidates: [path.join('a', 'foo.md'), path.join('b', 'c', 'foo.md')],
+      },
+    ]);
+  });
+
+  test('resolves wikilinks relative to the notebook directory', async () => {
+    write('sub/index.md', '[[foo]]');
+    write('foo.md', '');
+    write('sub/foo.md', '');
+
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { wikiLinkResolution: 'absolute' },
+    });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+    expect(
+      Object.keys(notebook.notes[path.join('sub', 'index.md')].mentions),
+    ).toEqual(['foo.md']);
+  });
+
+  test('keeps the shortest wikilinks when renaming notes', async () => {
+    write('index.md', '[[foo]] [[bar]]');
+    write('a/foo.md', '');
+    write('a/bar.md', '');
+    write('b/baz.md', '');
+
+    const notebook = await Notebook.init({
+      notebookPath,
+      config: { wikiLinkResolution: 'shortest' },
+    });
+    await notebook.renameNote('a/foo.md', 'c/foo.md');
+    await notebook.renameNote('a/bar.md', 'c/baz.md');
+
+    expect(read('index.md')).toBe('[[foo]] [[/c/baz]]');
+  });
+});
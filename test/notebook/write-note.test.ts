@@ -0,0 +1,102 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { Notebook } from '../../src';
+
+describe('Notebook.writeNote', () => {
+  let notebookPath: string;
+  let notebook: Notebook;
+
+  beforeEach(async () => {
+    notebookPath = mkdtempSync(path.join(tmpdir(), 'crossnote-'));
+    notebook = await Notebook.init({ notebookPath, config: {} });
+    await notebook.refreshNotes({ dir: './', includeSubdirectories: true });
+  });
+
+  afterEach(() => {
+    rmSync(notebookPath, { recursive: true, force: true });
+  });
+
+  test('serializes note config into front matter and keeps unknown keys', async () => {
+    writeFileSync(
+      path.join(notebookPath, 'a.md'),
+      '---\ntitle: Hello\ncreated: 2020-01-01T00:00:00.000Z\n---\n# A\n',
+    );
+    const note = await notebook.getNote('a.md', true);
+    expect(note?.config.createdAt.toISOString()).toBe(
+      '2020-01-01T00:00:00.000Z',
+    );
+
+    const written = await notebook.writeNote('a.md', note?.markdown ?? '', {
+      pinned: true,
+      aliases: ['Alpha'],
+    });
+    const content = readFileSync(path.join(notebookPath, 'a.md'), 'utf-8');
+    expect(content).toContain('title: Hello');
+    expect(content).toContain('created: 2020-01-01T00:00:00.000Z');
+    expect(content).toContain('pinned: true');
+    expect(content).toContain('- Alpha');
+    expect(written?.config.pinned).toBe(true);
+    expect(written?.config.aliases).toEqual(['Alpha']);
+    expect(written?.config.modifiedAt.getTime()).toBeGreaterThan(
+      new Date('2020-01-01').getTime(),
+    );
+  });
+
+  test('reads the note config from the front matter of the markdown', async () => {
+    await notebook.createNote('a.md', '# A', {
+      aliases: ['Alpha'],
+      icon: ':star:',
+    });
+    const written = await notebook.writeNote(
+      'a.md',
+      '---\naliases: [Alpha, First]\npinned: true\n---\n# A\n',
+    );
+    expect(written?.config.aliases).toEqual(['Alpha', 'First']);
+    expect(written?.config.pinned).toBe(true);
+    // The icon that the markdown dropped is not merged back
+    expect(written?.config.icon).toBeUndefined();
+    const content = readFileSync(path.join(notebookPath, 'a.md'), 'utf-8');
+    expect(content).toContain('- First');
+    expect(content).toContain('pinned: true');
+    expect(content).not.toContain('icon:');
+    expect(notebook.resolveWikilink('First.md', 'b.md').filePath).toBe('a.md');
+  });
+
+  test('reads false and empty values from the front matter', async () => {
+    await notebook.createNote('a.md', '# A', {
+      pinned: true,
+      aliases: ['Alpha'],
+    });
+    const written = await notebook.writeNote(
+      'a.md',
+      '---\npinned: false\naliases: []\n---\n# A\n',
+    );
+    expect(written?.config.pinned).toBeFalsy();
+    expect(written?.config.aliases).toEqual([]);
+    const content = readFileSync(path.join(notebookPath, 'a.md'), 'utf-8');
+    expect(content).not.toContain('pinned');
+    expect(content).not.toContain('aliases');
+    expect(notebook.resolveWikilink('Alpha.md', 'b.md').filePath).not.toBe(
+      'a.md',
+    );
+  });
+
+  test('updates relations of the written note', async () => {
+    await notebook.createNote('a.md', '[[b]]');
+    expect(notebook.referenceMap.getReferredByNotesCount('b.md')).toBe(1);
+
+    await notebook.writeNote('a.md', 'No links anymore');
+    expect(notebook.referenceMap.getReferredByNotesCount('b.md')).toBe(0);
+
+    await expect(notebook.createNote('a.md', '')).rejects.toThrow();
+  });
+
+  test('duplicates the note', async () => {
+    await notebook.createNote('a.md', '# A', { icon: ':star:' });
+    const copy = await notebook.duplicateNote('a.md');
+    expect(copy?.filePath).toBe('a.copy.md');
+    expect(copy?.config.icon).toBe(':star:');
+    expect(notebook.notes['a.copy.md']).toBeDefined();
+  });
+});